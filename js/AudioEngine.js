@@ -1,35 +1,77 @@
 import { 
-    BASE_FREQUENCY, 
-    NOTES_PER_OCTAVE, 
+    C0_FREQUENCY, 
     BASE_SAMPLE_RATE,
     PORTAMENTO_TIME,
-    AUDIO_STOP_DELAY,
     ORG_VELOCITY_SCALE,
-    MAX_DRUMS
+    MAX_DRUMS,
+    WAVE_SAMPLES,
+    MAX_MELODIC_SAMPLES,
+    DRUM_SAMPLE_PATTERN,
+    MASTER_BUS,
+    ORG_WAVE_SIZES,
+    ORG_OCTAVE_MULTIPLIERS,
+    ORG_PIPI_LOOPS,
+    ORG_FREQUENCY_TABLE,
+    ORG_PAN_TABLE,
+    ENGINE_MODE_STANDARD,
+    ENGINE_MODE_AUTHENTIC
 } from './constants.js';
+import { DEFAULT_TUNING } from './Tuning.js';
+import { SoundBank } from './SoundBank.js';
+import { Mixer } from './Mixer.js';
+import { Effects } from './Effects.js';
+import { EffectChain } from './EffectChain.js';
+import { Envelopes } from './Envelopes.js';
+
+const PREVIEW_SAMPLE = 'USR_MPREVIEW'; // Waveform being edited
 
 /**
  * Audio engine for handling all sound playback
  */
 export class AudioEngine {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    /**
+     * @param {BaseAudioContext} audioContext - Optional context to render into (e.g. an OfflineAudioContext)
+     */
+    constructor(audioContext = null) {
+        this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0.3;
         this.masterGain.connect(this.audioContext.destination);
         
+        // Master effects sit between the channel strips and the master volume
+        this.effects = new Effects();
+        this.workletsLoaded = false; // Bitcrusher and Organya mixer, see loadWorklets
+        this.masterEffects = new EffectChain(this.audioContext);
+        this.masterEffects.output.connect(this.masterGain);
+        
         this.activeNotes = new Map();
         this.loadedSamples = new Map();
         this.wavetable = null;
         this.drums = [];
+        this.defaultWavetable = null; // wavetable.bin, used unless the sound bank replaces it
+        this.soundBank = new SoundBank();
+        
+        // Channel strips by instrument, built on first use from the mixer settings
+        this.mixer = new Mixer();
+        this.channelStrips = new Map();
         
         // Glissando state
         this.currentGlissandoNote = null;
         this.currentGlissandoKey = null;
         
-        // Tempo for envelope timing
+        // Standard Web Audio voices, or authentic Organya mixing (one worklet per channel strip)
+        this.engineMode = ENGINE_MODE_STANDARD;
+        this.nextVoiceId = 0;
+        
+        // Attack/decay/sustain/release per instrument (off means Organya gating)
+        this.envelopes = new Envelopes();
+        
+        // Tempo for tempo-synced effects
         this.currentBPM = 120;
         
+        // Song tuning - maps keys to pitches
+        this.tuning = DEFAULT_TUNING;
+        
     }
 
     /**
@@ -50,10 +92,140 @@ export class AudioEngine {
     }
     
     /**
-     * Set current BPM for envelope timing
+     * Use a song's mixer settings
+     * @param {Mixer} mixer - The settings
+     */
+    setMixer(mixer) {
+        this.mixer = mixer;
+        this.updateMixer();
+    }
+
+    /**
+     * Load the AudioWorklet processors - the bitcrusher effect and the Organya mixer
+     * @returns {Promise<boolean>} Whether they loaded (if not the bitcrusher is bypassed
+     *                             and authentic mode plays standard voices)
+     */
+    async loadWorklets() {
+        try {
+            await Promise.all([
+                this.audioContext.audioWorklet.addModule(new URL('./BitcrusherProcessor.js', import.meta.url)),
+                this.audioContext.audioWorklet.addModule(new URL('./OrganyaProcessor.js', import.meta.url))
+            ]);
+            this.workletsLoaded = true;
+        } catch (error) {
+            this.workletsLoaded = false;
+        }
+        this.updateEffects();
+        return this.workletsLoaded;
+    }
+    
+    /**
+     * Use a song's effect settings
+     * @param {Effects} effects - The settings
+     */
+    setEffects(effects) {
+        this.effects = effects;
+        this.updateEffects();
+    }
+    
+    /**
+     * Choose how notes are played
+     * @param {string} mode - ENGINE_MODE_STANDARD or ENGINE_MODE_AUTHENTIC
+     */
+    setEngineMode(mode) {
+        this.engineMode = mode === ENGINE_MODE_AUTHENTIC ? ENGINE_MODE_AUTHENTIC : ENGINE_MODE_STANDARD;
+    }
+    
+    /**
+     * Whether notes go through the Organya mixer
+     */
+    isAuthentic() {
+        return this.engineMode === ENGINE_MODE_AUTHENTIC && this.workletsLoaded;
+    }
+    
+    /**
+     * Use a song's envelope settings - they apply to notes started from now on
+     * @param {Envelopes} envelopes - The settings
+     */
+    setEnvelopes(envelopes) {
+        this.envelopes = envelopes;
+    }
+    
+    /**
+     * Apply the effect settings to the master bus and every channel strip
+     */
+    updateEffects() {
+        this.masterEffects.update(this.effects.getChain(MASTER_BUS), this.currentBPM, this.workletsLoaded);
+        for (const [name, strip] of this.channelStrips) {
+            strip.effects.update(this.effects.getChain(name), this.currentBPM, this.workletsLoaded);
+        }
+    }
+    
+    /**
+     * Channel strip for an instrument: gain, effects, pan and a meter on the way to the master bus
+     * @param {string} name - Instrument name
+     */
+    getChannelStrip(name) {
+        if (!this.channelStrips.has(name)) {
+            const strip = {
+                gain: this.audioContext.createGain(),
+                effects: new EffectChain(this.audioContext),
+                panner: this.audioContext.createStereoPanner(),
+                analyser: this.audioContext.createAnalyser()
+            };
+            strip.analyser.fftSize = 1024;
+            strip.gain.gain.value = this.mixer.getGain(name);
+            strip.panner.pan.value = this.mixer.getChannel(name).pan / 100;
+            strip.effects.update(this.effects.getChain(name), this.currentBPM, this.workletsLoaded);
+            strip.gain.connect(strip.effects.input);
+            strip.effects.output.connect(strip.panner);
+            strip.panner.connect(strip.analyser);
+            strip.analyser.connect(this.masterEffects.input);
+            this.channelStrips.set(name, strip);
+        }
+        return this.channelStrips.get(name);
+    }
+
+    /**
+     * Apply the mixer settings to every channel strip - solo on one channel changes the others
+     */
+    updateMixer() {
+        const now = this.audioContext.currentTime;
+        for (const [name, strip] of this.channelStrips) {
+            // A short glide keeps fader moves from clicking
+            strip.gain.gain.setTargetAtTime(this.mixer.getGain(name), now, 0.01);
+            strip.panner.pan.setTargetAtTime(this.mixer.getChannel(name).pan / 100, now, 0.01);
+        }
+    }
+
+    /**
+     * Current level of an instrument's channel, after its fader
+     * @param {string} name - Instrument name
+     * @returns {Object} {peak, rms} as linear amplitudes
+     */
+    getChannelLevel(name) {
+        const strip = this.channelStrips.get(name);
+        if (!strip) {
+            return { peak: 0, rms: 0 };
+        }
+        
+        const data = new Float32Array(strip.analyser.fftSize);
+        strip.analyser.getFloatTimeDomainData(data);
+        let peak = 0;
+        let sumOfSquares = 0;
+        for (const sample of data) {
+            peak = Math.max(peak, Math.abs(sample));
+            sumOfSquares += sample * sample;
+        }
+        return { peak, rms: Math.sqrt(sumOfSquares / data.length) };
+    }
+    
+    /**
+     * Set current BPM for tempo-synced effects
      */
     setBPM(bpm) {
         this.currentBPM = bpm;
+        this.updateEffects();
     }
     
     /**
@@ -62,89 +234,153 @@ export class AudioEngine {
     stopNote(keyNumber) {
         const note = this.activeNotes.get(keyNumber);
         if (note) {
-            try {
-                // Fade out quickly to avoid clicks
-                const now = this.audioContext.currentTime;
-                note.gain.gain.cancelScheduledValues(now);
-                note.gain.gain.setValueAtTime(note.gain.gain.value, now);
-                note.gain.gain.linearRampToValueAtTime(0, now + 0.05);
-                
-                // Stop the source after fade
-                note.source.stop(now + 0.05);
-                
-                // Clean up
-                this.activeNotes.delete(keyNumber);
-            } catch (e) {
-                // Note may have already stopped
-                this.activeNotes.delete(keyNumber);
+            this.stopVoice(note);
+            this.activeNotes.delete(keyNumber);
+        }
+    }
+
+    /**
+     * Fade out and stop a voice returned by playNote - one not started yet never sounds
+     * @param {Object} note - Voice data from playNote
+     */
+    stopVoice(note) {
+        if (note.authentic) {
+            // The driver stops a sound dead
+            this.postOrganya(note.strip, { type: 'stop', id: note.id, time: this.audioContext.currentTime });
+            return;
+        }
+        
+        try {
+            // Fade out quickly to avoid clicks, or over the envelope's release
+            const now = this.audioContext.currentTime;
+            const fadeTime = Math.max(0.05, note.release || 0);
+            const level = (note.envelope || note.gain).gain;
+            level.cancelScheduledValues(now);
+            level.setValueAtTime(level.value, now);
+            if (note.envelope) {
+                level.setTargetAtTime(0, now, fadeTime / 5);
+            } else {
+                level.linearRampToValueAtTime(0, now + fadeTime);
             }
+            
+            // Stop the source after fade
+            note.source.stop(now + fadeTime);
+            
+            // Schedule cleanup
+            setTimeout(() => this.cleanupNote(note), fadeTime * 1000 + 50);
+        } catch (e) {
+            // Note may have already stopped - force cleanup
+            this.cleanupNote(note);
         }
     }
 
     /**
-     * Load wavetable data
+     * Load the built-in wavetable
      */
     async loadWavetable() {
         try {
             const response = await fetch('wavetable.bin');
-            const buffer = await response.arrayBuffer();
-            const view = new DataView(buffer);
-            this.wavetable = new Int8Array(buffer);
-            
-            // Parse drum data
-            this.drums = [];
-            for (let i = 256 * 100; i < this.wavetable.length - 4; i++) {
-                if (view.getUint32(i, true) === 0x45564157) { // 'WAVE'
-                    i += 4;
-                    const riffId = view.getUint32(i, true); i += 4;
-                    const riffLen = view.getUint32(i, true); i += 4;
-                    if (riffId !== 0x20746d66) { // 'fmt '
-                        continue;
-                    }
-                    
-                    const startPos = i;
-                    const aFormat = view.getUint16(i, true); i += 2;
-                    if (aFormat !== 1) {
-                        i = startPos + riffLen;
-                        continue;
-                    }
-                    
-                    const channels = view.getUint16(i, true); i += 2;
-                    if (channels !== 1) {
-                        i = startPos + riffLen;
-                        continue;
-                    }
-                    
-                    const sampleRate = view.getUint32(i, true); i += 4;
-                    i += 6; // Skip bytes per second and block align
-                    const bits = view.getUint16(i, true); i += 2;
-                    
-                    // Skip to data chunk
-                    while (i < this.wavetable.length - 8) {
-                        const chunkId = view.getUint32(i, true); i += 4;
-                        const chunkSize = view.getUint32(i, true); i += 4;
-                        if (chunkId === 0x61746164) { // 'data'
-                            this.drums.push({
-                                filePos: i,
-                                samples: chunkSize / (bits / 8),
-                                bits: bits,
-                                sampleRate: sampleRate
-                            });
-                            break;
-                        }
-                        i += chunkSize;
-                    }
-                    
-                    i = startPos + riffLen + 8;
-                }
+            this.defaultWavetable = await response.arrayBuffer();
+            if (!this.soundBank.wavetable) {
+                this.setWavetable(this.defaultWavetable);
             }
-            
             return true;
         } catch (error) {
             return false;
         }
     }
 
+    /**
+     * Play ORG waves and drums from a wavetable - 100 waves of 256 bytes, then WAVE drum chunks
+     * @param {ArrayBuffer} buffer - wavetable.bin contents
+     */
+    setWavetable(buffer) {
+        const view = new DataView(buffer);
+        this.wavetable = new Int8Array(buffer);
+        
+        // Parse drum data
+        this.drums = [];
+        for (let i = WAVE_SAMPLES * MAX_MELODIC_SAMPLES; i < this.wavetable.length - 4; i++) {
+            if (view.getUint32(i, true) === 0x45564157) { // 'WAVE'
+                i += 4;
+                const riffId = view.getUint32(i, true); i += 4;
+                const riffLen = view.getUint32(i, true); i += 4;
+                if (riffId !== 0x20746d66) { // 'fmt '
+                    continue;
+                }
+                
+                const startPos = i;
+                const aFormat = view.getUint16(i, true); i += 2;
+                if (aFormat !== 1) {
+                    i = startPos + riffLen;
+                    continue;
+                }
+                
+                const channels = view.getUint16(i, true); i += 2;
+                if (channels !== 1) {
+                    i = startPos + riffLen;
+                    continue;
+                }
+                
+                const sampleRate = view.getUint32(i, true); i += 4;
+                i += 6; // Skip bytes per second and block align
+                const bits = view.getUint16(i, true); i += 2;
+                
+                // Skip to data chunk
+                while (i < this.wavetable.length - 8) {
+                    const chunkId = view.getUint32(i, true); i += 4;
+                    const chunkSize = view.getUint32(i, true); i += 4;
+                    if (chunkId === 0x61746164) { // 'data'
+                        this.drums.push({
+                            filePos: i,
+                            samples: chunkSize / (bits / 8),
+                            bits: bits,
+                            sampleRate: sampleRate
+                        });
+                        break;
+                    }
+                    i += chunkSize;
+                }
+                
+                i = startPos + riffLen + 8;
+            }
+        }
+        
+        // Decoded ORG sounds came from the previous wavetable
+        for (const name of this.loadedSamples.keys()) {
+            if (name.startsWith('ORG_')) {
+                this.loadedSamples.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Use a song's sound bank - its wavetable (if any) replaces the built-in one
+     * @param {SoundBank} soundBank - The bank
+     */
+    setSoundBank(soundBank) {
+        this.soundBank = soundBank;
+        const wavetable = soundBank.wavetable?.data || this.defaultWavetable;
+        if (wavetable && wavetable !== this.wavetable?.buffer) {
+            this.setWavetable(wavetable);
+        }
+        
+        // Bank sounds are decoded again on first use
+        for (const name of this.loadedSamples.keys()) {
+            if (name.startsWith('USR_')) {
+                this.loadedSamples.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Decode sounds ahead of playback, so scheduled notes never wait for a buffer
+     * @param {Iterable} sampleNames - Sounds to load
+     */
+    async preloadSamples(sampleNames) {
+        await Promise.all(Array.from(sampleNames, name => this.loadSample(name)));
+    }
+
     /**
      * Load a sample
      * @param {string} sampleName - Sample name
@@ -154,6 +390,11 @@ export class AudioEngine {
             return this.loadedSamples.get(sampleName);
         }
         
+        // Sounds from the song's sound bank
+        if (sampleName.startsWith('USR_')) {
+            return this.loadBankSample(sampleName);
+        }
+        
         // If wavetable is loaded, generate buffer from it
         if (this.wavetable) {
             try {
@@ -189,20 +430,7 @@ export class AudioEngine {
                     // Handle melodic waves
                     const waveIndex = parseInt(sampleName.substring(5));
                     if (waveIndex <= 99) {
-                        // For now, just create the basic 256-sample buffer
-                        // Check if this waveform might create gating
-                        let silentSamples = 0;
-                        const audioBuffer = this.audioContext.createBuffer(
-                            1, 256, this.audioContext.sampleRate
-                        );
-                        const channelData = audioBuffer.getChannelData(0);
-                        
-                        for (let i = 0; i < 256; i++) {
-                            // Get signed 8-bit sample
-                            const sample = this.wavetable[256 * waveIndex + i];
-                            // Convert to float (-1 to 1 range)
-                            channelData[i] = sample / 128;
-                        }
+                        const audioBuffer = this.createWaveBuffer(this.wavetable.subarray(WAVE_SAMPLES * waveIndex));
                         this.loadedSamples.set(sampleName, audioBuffer);
                         return audioBuffer;
                     }
@@ -226,14 +454,126 @@ export class AudioEngine {
     }
 
     /**
-     * Calculate frequency for a given key in 46 EDO
+     * Decode a drum or build a waveform from the sound bank
+     * @param {string} sampleName - USR_Dxx or USR_Mxx
+     * @returns {AudioBuffer|null} Null if the bank has no such sound
+     */
+    async loadBankSample(sampleName) {
+        let audioBuffer = null;
+        const wave = this.soundBank.getWave(sampleName);
+        const drum = this.soundBank.getDrum(sampleName);
+        if (wave) {
+            audioBuffer = this.createWaveBuffer(wave.samples);
+        } else if (drum) {
+            try {
+                // decodeAudioData detaches the buffer it is given
+                audioBuffer = await this.audioContext.decodeAudioData(drum.data.slice(0));
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        if (audioBuffer) {
+            this.loadedSamples.set(sampleName, audioBuffer);
+        }
+        return audioBuffer;
+    }
+
+    /**
+     * The cycle behind a melodic sample, for editing
+     * @param {string} sampleName - ORG_Mxx or USR_Mxx
+     * @returns {Int8Array|null} A copy of its 256 samples
+     */
+    getWaveSamples(sampleName) {
+        if (sampleName.startsWith('USR_M')) {
+            return this.soundBank.getWave(sampleName)?.samples.slice() ?? null;
+        }
+        const waveIndex = parseInt(sampleName.substring(5));
+        if (!sampleName.startsWith('ORG_M') || !this.wavetable || waveIndex > 99) {
+            return null;
+        }
+        return this.wavetable.slice(WAVE_SAMPLES * waveIndex, WAVE_SAMPLES * (waveIndex + 1));
+    }
+
+    /**
+     * Make a cycle that isn't in the sound bank playable, e.g. while it's being drawn
+     * @param {Int8Array} samples - The cycle
+     * @returns {string} Sample name to play it with
+     */
+    setPreviewWave(samples) {
+        this.loadedSamples.set(PREVIEW_SAMPLE, this.createWaveBuffer(samples));
+        return PREVIEW_SAMPLE;
+    }
+
+    /**
+     * Buffer for one looped cycle of 256 signed 8-bit samples
+     * @param {Int8Array} samples - The cycle (only the first 256 samples are used)
+     */
+    createWaveBuffer(samples) {
+        const audioBuffer = this.audioContext.createBuffer(
+            1, WAVE_SAMPLES, this.audioContext.sampleRate
+        );
+        const channelData = audioBuffer.getChannelData(0);
+        
+        for (let i = 0; i < WAVE_SAMPLES; i++) {
+            // Convert signed 8-bit to float (-1 to 1 range)
+            channelData[i] = samples[i] / 128;
+        }
+        return audioBuffer;
+    }
+
+    /**
+     * Calculate frequency for a given key in the current tuning
      * @param {number} keyNumber - Key number
+     * @returns {number|null} Frequency in Hz, or null if the tuning leaves the key unmapped
      */
     getFrequency(keyNumber) {
-        const middleAKey = 4 * NOTES_PER_OCTAVE + 35; // A4 in 46 EDO
-        const stepsFromA4 = keyNumber - middleAKey;
-        const octaveOffset = stepsFromA4 / NOTES_PER_OCTAVE;
-        return BASE_FREQUENCY * Math.pow(2, octaveOffset);
+        return this.tuning.getFrequency(keyNumber);
+    }
+    
+    /**
+     * Pitch of a key in octaves above Organya's lowest C
+     * @param {number} keyNumber - Key number
+     */
+    getOrganyaOctaves(keyNumber) {
+        return Math.log2(this.getFrequency(keyNumber) / C0_FREQUENCY);
+    }
+
+    /**
+     * Schedule an envelope's attack and decay, and its release if the note end is known
+     * Segments are linear, so a note that ends early releases from the level it reached.
+     * @param {AudioParam} level - Gain to shape
+     * @param {Object} envelope - Settings from Envelopes.getEnvelope
+     * @param {number} startTime - Note start (audio context time)
+     * @param {number|null} stopTime - Note end, or null for a held key (see stopNote)
+     */
+    scheduleEnvelope(level, envelope, startTime, stopTime = null) {
+        const attack = envelope.attack / 1000;
+        const decay = envelope.decay / 1000;
+        const end = stopTime !== null ? stopTime : Infinity;
+        const levelAt = (time) => Envelopes.levelAt(envelope, Math.min(time, end) - startTime);
+        
+        level.setValueAtTime(attack > 0 ? 0 : 1, startTime);
+        if (attack > 0) {
+            level.linearRampToValueAtTime(levelAt(startTime + attack), Math.min(startTime + attack, end));
+        }
+        if (startTime + attack < end) {
+            if (decay > 0) {
+                level.linearRampToValueAtTime(levelAt(startTime + attack + decay), Math.min(startTime + attack + decay, end));
+            } else {
+                level.setValueAtTime(envelope.sustain / 100, startTime + attack);
+            }
+        }
+        
+        if (stopTime !== null) {
+            // Exponential release, down 99% by the end of the release time
+            const release = envelope.release / 1000;
+            if (release > 0) {
+                level.setTargetAtTime(0, stopTime, release / 5);
+            } else {
+                level.setValueAtTime(0, stopTime);
+            }
+        }
     }
 
     /**
@@ -245,8 +585,14 @@ export class AudioEngine {
      * @param {number} pan - Pan value (-100 to 100)
      * @param {number} when - When to play (audio context time)
      * @param {number} duration - Note duration in seconds
+     * @param {number} offset - Seconds of the note already gone by at `when`, to join it part-way through
      */
-    async playNote(keyNumber, velocity = 100, sampleName, isGlissando = false, pan = 0, when = 0, duration = 0, pipi = null, volumeAutomation = null, panAutomation = null, freqAdjust = 0, tickDuration = null) {
+    async playNote(keyNumber, velocity = 100, sampleName, isGlissando = false, pan = 0, when = 0, duration = 0, pipi = null, volumeAutomation = null, panAutomation = null, freqAdjust = 0, tickDuration = null, offset = 0) {
+        
+        // Keys left out of a keyboard mapping are silent (drums ignore the tuning)
+        if (!DRUM_SAMPLE_PATTERN.test(sampleName) && !this.tuning.isMapped(keyNumber)) {
+            return;
+        }
         
         // For glissando with portamento, update existing note's pitch
         if (isGlissando && this.currentGlissandoNote) {
@@ -260,7 +606,9 @@ export class AudioEngine {
             if (existingNote && !existingNote.isDrum) {
                 // Instead of stopping immediately, let it fade naturally
                 // Set loop to false so it stops at the end of the current cycle
-                if (existingNote.source && existingNote.source.loop !== undefined) {
+                if (existingNote.authentic) {
+                    this.postOrganya(existingNote.strip, { type: 'release', id: existingNote.id });
+                } else if (existingNote.source && existingNote.source.loop !== undefined) {
                     existingNote.source.loop = false;
                 }
                 // Remove from active notes but let it play out
@@ -273,33 +621,59 @@ export class AudioEngine {
         if (!buffer) return;
         
         const startTime = when || this.audioContext.currentTime;
+        if (this.isAuthentic()) {
+            return this.playAuthenticNote(keyNumber, velocity, sampleName, buffer, isGlissando, pan, startTime, duration,
+                pipi, volumeAutomation, panAutomation, freqAdjust, tickDuration, offset);
+        }
+        
+        // Automation, loops and the note end are timed from where the note began
+        const noteStart = startTime - offset;
         const source = this.audioContext.createBufferSource();
         const gain = this.audioContext.createGain();
         const panner = this.audioContext.createStereoPanner();
         
+        // Configure based on sample type
+        const isDrum = DRUM_SAMPLE_PATTERN.test(sampleName);
+        
+        // Melodic notes with an envelope get a gain stage of their own, after the volume and its automation
+        const envelope = isDrum ? null : this.envelopes.getEnvelope(sampleName);
+        const envelopeGain = envelope?.enabled ? this.audioContext.createGain() : null;
+        
         // Connect nodes
         source.buffer = buffer;
         source.connect(gain);
-        gain.connect(panner);
-        panner.connect(this.masterGain);
+        if (envelopeGain) {
+            gain.connect(envelopeGain);
+            envelopeGain.connect(panner);
+        } else {
+            gain.connect(panner);
+        }
+        panner.connect(this.getChannelStrip(sampleName).gain);
         
         // Set pan value
         panner.pan.value = pan / 100;
         
-        // Configure based on sample type
-        const isDrum = sampleName.startsWith('ORG_D');
-        
         // Calculate playback rate for pitch
         source.playbackRate.value = this.calculatePlaybackRate(keyNumber, sampleName, isDrum, freqAdjust);
         
+        // Position in the buffer after the offset - waves loop, a drum may already be over
+        let bufferOffset = offset * source.playbackRate.value;
+        if (isDrum && bufferOffset >= buffer.duration) {
+            panner.disconnect();
+            return;
+        }
+        if (!isDrum) bufferOffset %= buffer.duration;
+        
         // Use authentic Organya volume scaling
         const orgVol = velocity * ORG_VELOCITY_SCALE;
         const authenticVolume = Math.pow(10, ((orgVol - 255) * 8) / 2000);
         
+        // When finite pipi loops run out before the note ends
+        let loopEndTime = null;
         
         if (isDrum) {
             source.loop = false;
-            gain.gain.setValueAtTime(authenticVolume, startTime);
+            gain.gain.setValueAtTime(authenticVolume, noteStart);
         } else {
             // pipi affects looping behavior:
             // pipi=0: loops infinitely
@@ -310,7 +684,7 @@ export class AudioEngine {
             // Handle looping based on pipi value
             if (actualPipi > 0) {
                 // pipi>0: finite loops based on octave and pipi value
-                const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
+                const octave = Math.max(0, Math.floor(this.getOrganyaOctaves(keyNumber) + 1e-9));
                 // The pipi value might affect the number of loops
                 // For now, using the original octave-based loop counts
                 const octSizes = [4, 8, 12, 16, 20, 24, 28, 32];
@@ -327,8 +701,13 @@ export class AudioEngine {
                 // Only cut off if loops complete before note duration
                 if (loopDuration < duration) {
                     // Stop immediately when loops complete
-                    gain.gain.setValueAtTime(0, startTime + loopDuration);
-                    source.stop(startTime + loopDuration);
+                    loopEndTime = noteStart + loopDuration;
+                    if (loopEndTime <= startTime) {
+                        panner.disconnect();
+                        return;
+                    }
+                    gain.gain.setValueAtTime(0, loopEndTime);
+                    source.stop(loopEndTime);
                 }
             } else {
                 // pipi=0: loop infinitely
@@ -336,7 +715,7 @@ export class AudioEngine {
             }
             
             // Set volume immediately
-            gain.gain.setValueAtTime(authenticVolume, startTime);
+            gain.gain.setValueAtTime(authenticVolume, noteStart);
             
             // Apply volume automation if provided
             if (volumeAutomation && volumeAutomation.length > 0) {
@@ -349,7 +728,7 @@ export class AudioEngine {
                 
                 sortedAutomation.forEach((point, index) => {
                     // point.tick is the relative tick offset from note start
-                    const time = startTime + (point.tick * actualTickDuration);
+                    const time = noteStart + (point.tick * actualTickDuration);
                     const vol = point.volume * ORG_VELOCITY_SCALE;
                     const automationVolume = Math.pow(10, ((vol - 255) * 8) / 2000);
                     
@@ -374,29 +753,39 @@ export class AudioEngine {
                 
                 sortedPanAutomation.forEach(point => {
                     // point.tick is the relative tick offset from note start
-                    const time = startTime + (point.tick * actualTickDuration);
+                    const time = noteStart + (point.tick * actualTickDuration);
                     panner.pan.linearRampToValueAtTime(point.pan / 100, time);
                 });
             }
         }
         
+        if (envelopeGain) {
+            this.scheduleEnvelope(envelopeGain.gain, envelope, noteStart, duration > 0 ? noteStart + duration : null);
+        }
+        
         // Start playback at scheduled time
-        source.start(startTime);
+        source.start(startTime, bufferOffset);
         
         // Schedule stop if duration provided
         if (duration > 0 && !isDrum) {
-            const stopTime = startTime + duration;
+            const stopTime = noteStart + duration;
             
-            // Stop immediately at scheduled time (only for melodic instruments)
-            source.stop(stopTime);
-            gain.gain.setValueAtTime(0, stopTime);
+            if (envelopeGain) {
+                // The release rings on past the note end (unless the pipi loops already ran out)
+                const releaseEnd = stopTime + envelope.release / 1000;
+                source.stop(loopEndTime !== null ? Math.min(loopEndTime, releaseEnd) : releaseEnd);
+            } else {
+                // Stop immediately at scheduled time (only for melodic instruments)
+                source.stop(stopTime);
+                gain.gain.setValueAtTime(0, stopTime);
+            }
             
             // Return noteData for tracking
-            return { source, gain, panner, isDrum, keyNumber, stopTime };
+            return { source, gain, envelope: envelopeGain, panner, isDrum, keyNumber, stopTime };
         }
         
         // Store reference for manual stopping (only melodic instruments)
-        const noteData = { source, gain, panner, isDrum };
+        const noteData = { source, gain, envelope: envelopeGain, release: envelopeGain ? envelope.release / 1000 : 0, panner, isDrum };
         if (!isDrum) {
             this.activeNotes.set(keyNumber, noteData);
         }
@@ -410,11 +799,164 @@ export class AudioEngine {
         return noteData;
     }
 
+    /**
+     * Play a note through its instrument's Organya mixer - playNote's arguments, plus the decoded sound
+     * Envelopes don't apply: the driver gates notes on and off.
+     */
+    playAuthenticNote(keyNumber, velocity, sampleName, buffer, isGlissando, pan, startTime, duration, pipi, volumeAutomation, panAutomation, freqAdjust, tickDuration, offset = 0) {
+        const isDrum = DRUM_SAMPLE_PATTERN.test(sampleName);
+        const strip = this.getChannelStrip(sampleName);
+        
+        // The mixer keeps an instrument's sound until it is decoded again
+        if (strip.organyaSound !== buffer) {
+            this.postOrganya(strip, { type: 'sound', data: buffer.getChannelData(0) });
+            strip.organyaSound = buffer;
+        }
+        
+        // Driver volume is in hundredths of a dB below full, pan attenuates the far side
+        const toVolume = (volume) => ({ volume: Math.pow(10, ((volume * ORG_VELOCITY_SCALE - 255) * 8) / 2000) });
+        const toPan = (value) => {
+            const index = Math.max(0, Math.min(12, Math.round(value * 6 / 100 + 6)));
+            const attenuation = (ORG_PAN_TABLE[index] - 256) * 10;
+            return {
+                left: Math.pow(10, -Math.max(0, attenuation) / 2000),
+                right: Math.pow(10, Math.min(0, attenuation) / 2000)
+            };
+        };
+        
+        // Volume and pan automation land on ticks, counted from where the note began
+        const noteStart = startTime - offset;
+        const events = [{ time: noteStart, changes: { ...toVolume(velocity), ...toPan(pan) } }];
+        if (!isDrum) {
+            const addAutomation = (points, toChanges) => {
+                if (!points || points.length === 0) return;
+                const actualTickDuration = tickDuration || (duration / Math.max(...points.map(p => p.tick), 1));
+                points.forEach(point => events.push({ time: noteStart + point.tick * actualTickDuration, changes: toChanges(point) }));
+            };
+            addAutomation(volumeAutomation, point => toVolume(point.volume));
+            addAutomation(panAutomation, point => toPan(point.pan));
+            events.sort((a, b) => a.time - b.time);
+        }
+        
+        const id = this.nextVoiceId++;
+        const stopTime = duration > 0 && !isDrum ? noteStart + duration : null;
+        const pitch = this.getAuthenticPitch(keyNumber, isDrum, buffer, freqAdjust, pipi);
+        this.postOrganya(strip, {
+            type: 'note',
+            id,
+            start: startTime,
+            stop: stopTime,
+            position: offset * pitch.frequency,
+            events,
+            ...pitch
+        });
+        
+        const noteData = { authentic: true, id, strip, buffer, pipi, isDrum, keyNumber, stopTime };
+        if (stopTime !== null) {
+            return noteData;
+        }
+        if (!isDrum) {
+            this.activeNotes.set(keyNumber, noteData);
+        }
+        if (isGlissando) {
+            this.currentGlissandoNote = noteData;
+            this.currentGlissandoKey = keyNumber;
+        }
+        return noteData;
+    }
+    
+    /**
+     * How the Organya driver plays a key: sound samples per second, and for waves the
+     * cycle length it resamples to (fewer samples in higher octaves) and the pipi length
+     * @returns {Object} {frequency, cycle, stride, length} - cycle is null for drums
+     */
+    getAuthenticPitch(keyNumber, isDrum, buffer, freqAdjust = 0, pipi = null) {
+        if (isDrum) {
+            return {
+                frequency: this.calculateDrumPlaybackRate(keyNumber) * buffer.sampleRate,
+                cycle: null,
+                stride: 1,
+                length: buffer.length
+            };
+        }
+        
+        const octaves = this.getOrganyaOctaves(keyNumber);
+        const octave = Math.max(0, Math.min(7, Math.floor(octaves + 1e-9)));
+        const semitones = (octaves - octave) * 12;
+        
+        // Keys between the driver's semitones glide along its frequency table
+        const index = Math.floor(semitones + 1e-9);
+        let tableFrequency;
+        if (index >= 0 && index < 12) {
+            const next = index < 11 ? ORG_FREQUENCY_TABLE[index + 1] : ORG_FREQUENCY_TABLE[0] * 2;
+            const fraction = semitones - index;
+            tableFrequency = fraction > 1e-9
+                ? ORG_FREQUENCY_TABLE[index] * Math.pow(next / ORG_FREQUENCY_TABLE[index], fraction)
+                : ORG_FREQUENCY_TABLE[index];
+        } else {
+            tableFrequency = ORG_FREQUENCY_TABLE[0] * Math.pow(2, semitones / 12);
+        }
+        
+        const cycle = ORG_WAVE_SIZES[octave];
+        return {
+            frequency: cycle * tableFrequency * ORG_OCTAVE_MULTIPLIERS[octave] / 8 + freqAdjust,
+            cycle,
+            stride: WAVE_SAMPLES / cycle,
+            length: pipi ? cycle * ORG_PIPI_LOOPS[octave] : Infinity
+        };
+    }
+    
+    /**
+     * Send a message to a channel strip's Organya mixer, building it on first use
+     * An offline render holds the messages and hands them over with the node (see
+     * startOfflineMixers), as port messages may arrive after rendering has begun.
+     */
+    postOrganya(strip, message) {
+        if (this.audioContext instanceof OfflineAudioContext) {
+            (strip.organyaMessages = strip.organyaMessages || []).push(message);
+            return;
+        }
+        if (!strip.organya) {
+            strip.organya = new AudioWorkletNode(this.audioContext, 'organya', { numberOfInputs: 0, outputChannelCount: [2] });
+            strip.organya.connect(strip.gain);
+        }
+        strip.organya.port.postMessage(message);
+    }
+    
+    /**
+     * Build the Organya mixers of an offline render with everything sent to them so far
+     */
+    startOfflineMixers() {
+        for (const strip of this.channelStrips.values()) {
+            if (strip.organyaMessages && !strip.organya) {
+                strip.organya = new AudioWorkletNode(this.audioContext, 'organya', {
+                    numberOfInputs: 0,
+                    outputChannelCount: [2],
+                    processorOptions: { messages: strip.organyaMessages }
+                });
+                strip.organya.connect(strip.gain);
+                strip.organyaMessages = null;
+            }
+        }
+    }
+
     /**
      * Update glissando pitch
      */
     updateGlissandoPitch(keyNumber, sampleName) {
-        const isDrum = sampleName.startsWith('ORG_D');
+        const isDrum = DRUM_SAMPLE_PATTERN.test(sampleName);
+        if (!isDrum && !this.tuning.isMapped(keyNumber)) return;
+ 
+        if (this.currentGlissandoNote.authentic) {
+            // The driver retunes a playing sound instantly
+            const note = this.currentGlissandoNote;
+            this.postOrganya(note.strip, { type: 'pitch', id: note.id, ...this.getAuthenticPitch(keyNumber, isDrum, note.buffer, 0, note.pipi) });
+            this.activeNotes.delete(this.currentGlissandoKey);
+            this.activeNotes.set(keyNumber, note);
+            this.currentGlissandoKey = keyNumber;
+            return;
+        }
+        
         const targetRate = this.calculatePlaybackRate(keyNumber, sampleName, isDrum, 0);
         
         // Calculate portamento time based on distance
@@ -462,9 +1004,10 @@ export class AudioEngine {
         const BASE_POINT_FREQS = [33408, 35584, 37632, 39808, 42112, 44672, 47488, 50048, 52992, 56320, 59648, 63232];
         const PERIOD_SIZES = [1024, 512, 256, 128, 64, 32, 16, 8];
         
-        // Convert 46-EDO to octave and position within octave
-        const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
-        const positionInOctave = keyNumber % NOTES_PER_OCTAVE;
+        // Split the tuned pitch into an Organya octave and the distance above its C
+        // (the epsilon keeps exact octaves from rounding down into the octave below)
+        const octaves = this.getOrganyaOctaves(keyNumber);
+        const octave = Math.floor(octaves + 1e-9);
         
         // Clamp octave to valid range
         const clampedOctave = Math.max(0, Math.min(7, octave));
@@ -472,10 +1015,8 @@ export class AudioEngine {
         // Use C (position 0) as our reference frequency
         const referenceFreq = BASE_POINT_FREQS[0];
         
-        // Calculate the exact frequency for this 46-EDO step
-        // Each step in 46-EDO is exactly 2^(1/46) ratio
-        // positionInOctave gives us how many steps above C we are
-        const frequencyRatio = Math.pow(2, positionInOctave / NOTES_PER_OCTAVE);
+        // Ratio of this note above the C that starts its octave
+        const frequencyRatio = Math.pow(2, octaves - octave);
         
         // Apply the ratio to get the frequency for this note
         const baseFreq = referenceFreq * frequencyRatio;
@@ -497,30 +1038,6 @@ export class AudioEngine {
             : this.calculateMelodicPlaybackRate(keyNumber, freqAdjust);
     }
 
-    /**
-     * Stop a playing note
-     * @param {number} keyNumber - Key number
-     */
-    stopNote(keyNumber) {
-        const note = this.activeNotes.get(keyNumber);
-        if (!note) return;
-        
-        // Remove from active notes
-        this.activeNotes.delete(keyNumber);
-        
-        try {
-            const stopTime = this.audioContext.currentTime + AUDIO_STOP_DELAY;
-            note.source.stop(stopTime);
-            note.gain.gain.setValueAtTime(0, stopTime);
-            
-            // Schedule cleanup
-            setTimeout(() => this.cleanupNote(note), 50);
-        } catch (e) {
-            // Force cleanup on error
-            this.cleanupNote(note);
-        }
-    }
-    
     /**
      * Clean up audio nodes
      */
@@ -528,6 +1045,7 @@ export class AudioEngine {
         try {
             note.source.disconnect();
             note.gain.disconnect();
+            note.envelope?.disconnect();
             note.panner.disconnect();
         } catch (e) {
             // Already disconnected
@@ -551,7 +1069,9 @@ export class AudioEngine {
         const melodicSamples = [];
         
         if (this.wavetable) {
-            for (let i = 0; i < this.drums.length && i < MAX_DRUMS; i++) {
+            // The built-in wavetable's extra drum chunks aren't usable; an alternate one can have more
+            const drumCount = this.soundBank.wavetable ? this.drums.length : Math.min(this.drums.length, MAX_DRUMS);
+            for (let i = 0; i < drumCount; i++) {
                 drumSamples.push(`ORG_D${i.toString().padStart(2, '0')}`);
             }
             
@@ -568,6 +1088,18 @@ export class AudioEngine {
             }
         }
         
+        // Sound bank sounds follow the built-in ones
+        drumSamples.push(...this.soundBank.drums.map(drum => drum.id));
+        melodicSamples.push(...this.soundBank.waves.map(wave => wave.id));
+        
         return { drumSamples, melodicSamples };
     }
+    
+    /**
+     * Name to show for a sample - sound bank sounds have their file names
+     */
+    getSampleLabel(sampleName) {
+        const bankName = this.soundBank.getName(sampleName);
+        return bankName ? `${sampleName.replace('USR_', '')} ${bankName}` : sampleName.replace('ORG_', '');
+    }
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+import { AudioEngine } from './AudioEngine.js';
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+import {
+    GRID_WIDTH,
+    PIANO_KEY_WIDTH,
+    AUTOMATION_TICKS_PER_BEAT
+} from './constants.js';
+
+/**
+ * Offline audio renderer - plays a song through an OfflineAudioContext
+ * using the same voice logic as live playback and encodes the result as WAV
+ */
+export class AudioExporter {
+    constructor(audioEngine) {
+        // Live engine - source of the wavetable, drums and decoded samples
+        this.audioEngine = audioEngine;
+
+        // Extra time rendered after the last note so drums can ring out
+        this.tailTime = 1;
+    }
+
+    /**
+     * Build the list of measure ranges to render, in playback order
+     * @param {Array} notes - Notes in editor format
+     * @param {Object} options - Render options
+     * @returns {Array} Segments of {startMeasure, endMeasure}
+     */
+    buildSegments(notes, options) {
+        const { loopEnabled, loopStart, loopEnd, loopCount, meterMap } = options;
+
+        if (loopEnabled && loopEnd > loopStart) {
+            // Intro plus the first pass through the loop
+            const segments = [{ startMeasure: 0, endMeasure: loopEnd }];
+            for (let i = 1; i < loopCount; i++) {
+                segments.push({ startMeasure: loopStart, endMeasure: loopEnd });
+            }
+            // One more pass that the fade-out plays over
+            if (options.fadeOut > 0) {
+                segments.push({ startMeasure: loopStart, endMeasure: loopEnd });
+            }
+            return segments;
+        }
+
+        let maxEndX = PIANO_KEY_WIDTH;
+        for (const note of notes) {
+            maxEndX = Math.max(maxEndX, note.x + note.width);
+        }
+        const songLength = Math.max(1, meterMap.getMeasureAtBeat((maxEndX - PIANO_KEY_WIDTH) / GRID_WIDTH - 1e-9) + 1);
+        return [{ startMeasure: 0, endMeasure: songLength }];
+    }
+
+    /**
+     * Render notes to an AudioBuffer
+     * @param {Array} notes - Notes in editor format
+     * @param {Object} options - {bpm, tempoMap, meterMap, orgMsPerTick, loopEnabled, loopStart, loopEnd, loopCount, fadeOut, trackVisibility}
+     * @returns {Promise<AudioBuffer>} Rendered stereo audio
+     */
+    async render(notes, options = {}) {
+        const settings = {
+            bpm: 120,
+            tempoMap: null,
+            meterMap: new MeterMap(),
+            orgMsPerTick: null,
+            loopEnabled: false,
+            loopStart: 0,
+            loopEnd: 4,
+            loopCount: 2,
+            fadeOut: 0,
+            trackVisibility: null,
+            ...options
+        };
+
+        const tempoMap = settings.tempoMap || new TempoMap(settings.bpm);
+        const measureToTime = (measure) => tempoMap.beatToTime(settings.meterMap.getMeasureStartBeat(measure));
+        const segments = this.buildSegments(notes, settings);
+        const segmentsDuration = segments.reduce((sum, s) => sum + measureToTime(s.endMeasure) - measureToTime(s.startMeasure), 0);
+
+        const isLooping = settings.loopEnabled && settings.loopEnd > settings.loopStart;
+        const loopDuration = isLooping ? measureToTime(settings.loopEnd) - measureToTime(settings.loopStart) : 0;
+        const fadeOut = isLooping ? Math.min(settings.fadeOut, loopDuration) : 0;
+
+        // With a fade the render stops where the fade reaches silence,
+        // otherwise leave a tail for notes, echoes and reverb that ring past the end
+        const loopedLength = segmentsDuration - (fadeOut > 0 ? loopDuration : 0);
+        const tailTime = Math.max(this.tailTime, this.audioEngine.effects.getTailTime(settings.bpm));
+        const totalDuration = fadeOut > 0 ? loopedLength + fadeOut : loopedLength + tailTime;
+
+        const sampleRate = this.audioEngine.audioContext.sampleRate;
+        const offlineContext = new OfflineAudioContext(2, Math.ceil(totalDuration * sampleRate), sampleRate);
+
+        // Offline voice engine sharing the live engine's sample data
+        const engine = new AudioEngine(offlineContext);
+        engine.wavetable = this.audioEngine.wavetable;
+        engine.drums = this.audioEngine.drums;
+        engine.soundBank = this.audioEngine.soundBank;
+        engine.mixer = this.audioEngine.mixer;
+        engine.effects = this.audioEngine.effects;
+        engine.envelopes = this.audioEngine.envelopes;
+        engine.tuning = this.audioEngine.tuning;
+        engine.setEngineMode(this.audioEngine.engineMode);
+        engine.loadedSamples = new Map(this.audioEngine.loadedSamples);
+        engine.masterGain.gain.value = this.audioEngine.masterGain.gain.value;
+        engine.setBPM(settings.bpm);
+        await engine.loadWorklets();
+
+        if (fadeOut > 0) {
+            const fadeStart = totalDuration - fadeOut;
+            engine.masterGain.gain.setValueAtTime(engine.masterGain.gain.value, fadeStart);
+            engine.masterGain.gain.linearRampToValueAtTime(0, totalDuration);
+        }
+
+        // Same tick duration as live playback uses for automation
+        const getTickDuration = (beat) => settings.orgMsPerTick
+            ? settings.orgMsPerTick / 1000
+            : 60 / tempoMap.getTempoAt(beat) / AUTOMATION_TICKS_PER_BEAT;
+
+        let segmentTime = 0;
+        for (const segment of segments) {
+            const segmentStartTime = measureToTime(segment.startMeasure);
+            const segmentStartX = PIANO_KEY_WIDTH + settings.meterMap.getMeasureStartBeat(segment.startMeasure) * GRID_WIDTH;
+            const segmentEndX = PIANO_KEY_WIDTH + settings.meterMap.getMeasureStartBeat(segment.endMeasure) * GRID_WIDTH;
+
+            for (const note of notes) {
+                // Skip muted tracks
+                if (settings.trackVisibility && settings.trackVisibility.get(note.instrument) === false) {
+                    continue;
+                }
+                if (note.x < segmentStartX || note.x >= segmentEndX) {
+                    continue;
+                }
+
+                const noteStartTime = tempoMap.beatToTime((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+                const startTime = segmentTime + noteStartTime - segmentStartTime;
+                if (startTime >= totalDuration) continue;
+                const duration = tempoMap.beatToTime((note.x + note.width - PIANO_KEY_WIDTH) / GRID_WIDTH) - noteStartTime;
+
+                await engine.playNote(
+                    note.key,
+                    note.velocity,
+                    note.instrument,
+                    false,
+                    note.pan,
+                    startTime,
+                    duration,
+                    note.pipi,
+                    note.volumeAutomation,
+                    note.panAutomation,
+                    note.freqAdjust || 0,
+                    getTickDuration((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH)
+                );
+            }
+
+            segmentTime += measureToTime(segment.endMeasure) - segmentStartTime;
+        }
+
+        engine.startOfflineMixers();
+        return offlineContext.startRendering();
+    }
+
+    /**
+     * Encode an AudioBuffer as a 16-bit PCM WAV file
+     * @param {AudioBuffer} audioBuffer - Buffer to encode
+     * @returns {ArrayBuffer} WAV file data
+     */
+    static encodeWav(audioBuffer) {
+        const numChannels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const numFrames = audioBuffer.length;
+        const bytesPerSample = 2;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, str) => {
+            for (let i = 0; i < str.length; i++) {
+                view.setUint8(offset + i, str.charCodeAt(i));
+            }
+        };
+
+        // RIFF header
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+
+        // fmt chunk
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+
+        // data chunk
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channels = [];
+        for (let c = 0; c < numChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        // Interleave and convert to signed 16-bit
+        let offset = 44;
+        for (let i = 0; i < numFrames; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Bitcrusher - AudioWorklet processor that reduces bit depth and sample rate
+ * Loaded with audioWorklet.addModule, so it runs in the audio thread with no imports.
+ */
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 1, minValue: 1, maxValue: 32, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.held = []; // Held sample per channel
+        this.phase = 0; // Samples since the last one was taken
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const levels = Math.pow(2, Math.round(parameters.bits[0]) - 1);
+        const downsample = Math.round(parameters.downsample[0]);
+        const frames = output[0] ? output[0].length : 0;
+
+        for (let i = 0; i < frames; i++) {
+            const take = this.phase === 0;
+            for (let channel = 0; channel < output.length; channel++) {
+                if (take) {
+                    const sample = input[channel] ? input[channel][i] : 0;
+                    this.held[channel] = Math.round(sample * levels) / levels;
+                }
+                output[channel][i] = this.held[channel];
+            }
+            this.phase = (this.phase + 1) % downsample;
+        }
+        return true;
+    }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
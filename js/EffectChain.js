@@ -0,0 +1,174 @@
+import { MIN_BPM } from './constants.js';
+import { EFFECT_PARAMETERS } from './Effects.js';
+
+const IMPULSE_SEED = 0x46ED0; // Fixed so live playback and offline renders use the same reverb
+const MAX_DELAY_TIME = EFFECT_PARAMETERS.delay.beats.max * 60 / MIN_BPM; // Longest echo at the slowest tempo
+
+/**
+ * Generate a stereo reverb impulse - exponentially decaying noise
+ * @param {BaseAudioContext} audioContext - Context the buffer is for
+ * @param {number} decay - Length in seconds
+ */
+function createImpulse(audioContext, decay) {
+    const length = Math.max(1, Math.round(decay * audioContext.sampleRate));
+    const impulse = audioContext.createBuffer(2, length, audioContext.sampleRate);
+
+    // Seeded noise (mulberry32) so the impulse never changes between renders
+    let seed = IMPULSE_SEED;
+    const random = () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            // -60 dB at the end of the decay
+            data[i] = (random() * 2 - 1) * Math.pow(0.001, i / length);
+        }
+    }
+    return impulse;
+}
+
+/**
+ * Insert effects between an input and an output node
+ * Stages are built the first time they are enabled and wired in series in
+ * EFFECT_PARAMETERS order; disabled stages are left out of the path.
+ */
+export class EffectChain {
+    /**
+     * @param {BaseAudioContext} audioContext - Context the nodes belong to
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.input.connect(this.output);
+
+        this.stages = {}; // {input, output, ...nodes} by effect name
+        this.route = ''; // Enabled effects in the current wiring
+    }
+
+    /**
+     * Apply effect settings
+     * @param {Object} chain - Settings from Effects.getChain
+     * @param {number} bpm - Tempo the delay is synced to
+     * @param {boolean} canCrush - Whether the bitcrusher worklet is loaded
+     */
+    update(chain, bpm, canCrush) {
+        const enabled = Object.keys(EFFECT_PARAMETERS).filter(effect =>
+            chain[effect].enabled && (effect !== 'bitcrusher' || canCrush));
+        const now = this.audioContext.currentTime;
+
+        for (const effect of enabled) {
+            const stage = this.stages[effect] || (this.stages[effect] = this.createStage(effect));
+            const settings = chain[effect];
+
+            switch (effect) {
+                case 'filter':
+                    stage.filter.frequency.setTargetAtTime(settings.frequency, now, 0.01);
+                    stage.filter.Q.setTargetAtTime(settings.resonance, now, 0.01);
+                    break;
+                case 'bitcrusher':
+                    stage.crusher.parameters.get('bits').value = settings.bits;
+                    stage.crusher.parameters.get('downsample').value = settings.downsample;
+                    break;
+                case 'delay':
+                    stage.delay.delayTime.setTargetAtTime(Math.min(MAX_DELAY_TIME, settings.beats * 60 / bpm), now, 0.01);
+                    stage.feedback.gain.setTargetAtTime(settings.feedback / 100, now, 0.01);
+                    stage.wet.gain.setTargetAtTime(settings.mix / 100, now, 0.01);
+                    break;
+                case 'reverb':
+                    if (stage.decay !== settings.decay) {
+                        this.setReverbDecay(stage, settings.decay);
+                    }
+                    stage.dry.gain.setTargetAtTime(1 - settings.mix / 100, now, 0.01);
+                    stage.wet.gain.setTargetAtTime(settings.mix / 100, now, 0.01);
+                    break;
+            }
+        }
+
+        // Rewire only when effects are switched on or off
+        const route = enabled.join(',');
+        if (route !== this.route) {
+            this.route = route;
+            this.input.disconnect();
+            Object.values(this.stages).forEach(stage => stage.output.disconnect());
+
+            let previous = this.input;
+            for (const effect of enabled) {
+                previous.connect(this.stages[effect].input);
+                previous = this.stages[effect].output;
+            }
+            previous.connect(this.output);
+        }
+    }
+
+    /**
+     * Build the nodes of one effect
+     */
+    createStage(effect) {
+        const context = this.audioContext;
+
+        switch (effect) {
+            case 'filter': {
+                const filter = context.createBiquadFilter();
+                filter.type = 'lowpass';
+                return { input: filter, output: filter, filter };
+            }
+            case 'bitcrusher': {
+                const crusher = new AudioWorkletNode(context, 'bitcrusher');
+                return { input: crusher, output: crusher, crusher };
+            }
+            case 'delay': {
+                // Dry signal straight through, echoes fed back into the delay line
+                const stage = {
+                    input: context.createGain(),
+                    output: context.createGain(),
+                    delay: context.createDelay(MAX_DELAY_TIME),
+                    feedback: context.createGain(),
+                    wet: context.createGain()
+                };
+                stage.input.connect(stage.output);
+                stage.input.connect(stage.delay);
+                stage.delay.connect(stage.feedback);
+                stage.feedback.connect(stage.delay);
+                stage.delay.connect(stage.wet);
+                stage.wet.connect(stage.output);
+                return stage;
+            }
+            case 'reverb': {
+                const stage = {
+                    input: context.createGain(),
+                    output: context.createGain(),
+                    dry: context.createGain(),
+                    wet: context.createGain(),
+                    convolver: null,
+                    decay: null
+                };
+                stage.input.connect(stage.dry);
+                stage.dry.connect(stage.output);
+                stage.wet.connect(stage.output);
+                return stage;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Swap in a convolver with a new impulse rather than changing the buffer of one in use
+     */
+    setReverbDecay(stage, decay) {
+        if (stage.convolver) {
+            stage.input.disconnect(stage.convolver);
+            stage.convolver.disconnect();
+        }
+        stage.convolver = this.audioContext.createConvolver();
+        stage.convolver.buffer = createImpulse(this.audioContext, decay);
+        stage.input.connect(stage.convolver);
+        stage.convolver.connect(stage.wet);
+        stage.decay = decay;
+    }
+}
@@ -0,0 +1,121 @@
+import { MAX_EFFECT_TAIL } from './constants.js';
+
+// Parameter ranges and defaults for each effect, in processing order
+export const EFFECT_PARAMETERS = {
+    filter: {
+        frequency: { min: 20, max: 20000, default: 2000 }, // Low-pass cutoff in Hz
+        resonance: { min: 0.1, max: 20, default: 1 }      // Q
+    },
+    bitcrusher: {
+        bits: { min: 1, max: 16, default: 8 },            // Bit depth
+        downsample: { min: 1, max: 32, default: 4 }       // Hold each sample this many times
+    },
+    delay: {
+        beats: { min: 0.125, max: 4, default: 0.75 },     // Echo time, synced to the song tempo
+        feedback: { min: 0, max: 90, default: 40 },       // Percent of each echo fed back
+        mix: { min: 0, max: 100, default: 30 }            // Echo level in percent
+    },
+    reverb: {
+        decay: { min: 0.1, max: 8, default: 2 },          // Impulse length in seconds
+        mix: { min: 0, max: 100, default: 30 }            // Wet/dry balance in percent
+    }
+};
+
+/**
+ * Song effects - an insert chain per instrument and one on the master bus
+ * Each chain runs filter, bitcrusher, delay and reverb in that order; effects
+ * are off until enabled. MASTER_BUS is the target name of the master chain.
+ */
+export class Effects {
+    /**
+     * @param {Object} chains - Chains by target name, as {effect: {enabled, ...parameters}}
+     */
+    constructor(chains = {}) {
+        this.chains = new Map();
+        for (const [target, chain] of Object.entries(chains)) {
+            for (const [effect, settings] of Object.entries(chain)) {
+                if (EFFECT_PARAMETERS[effect]) {
+                    this.setEffect(target, effect, settings);
+                }
+            }
+        }
+    }
+
+    static defaultChain() {
+        const chain = {};
+        for (const [effect, parameters] of Object.entries(EFFECT_PARAMETERS)) {
+            chain[effect] = { enabled: false };
+            for (const [name, range] of Object.entries(parameters)) {
+                chain[effect][name] = range.default;
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Effect settings of an instrument or the master bus (a copy - change them with setEffect)
+     */
+    getChain(target) {
+        const chain = this.chains.get(target) || Effects.defaultChain();
+        return Object.fromEntries(Object.entries(chain).map(([effect, settings]) => [effect, { ...settings }]));
+    }
+
+    /**
+     * Change some settings of one effect
+     * @param {string} target - Instrument name or MASTER_BUS
+     * @param {string} effect - 'filter', 'bitcrusher', 'delay' or 'reverb'
+     * @param {Object} changes - Any of enabled and the effect's parameters
+     */
+    setEffect(target, effect, changes) {
+        const chain = this.getChain(target);
+        const merged = { ...chain[effect], ...changes };
+        const settings = { enabled: !!merged.enabled };
+        for (const [name, range] of Object.entries(EFFECT_PARAMETERS[effect])) {
+            const value = Number(merged[name]);
+            settings[name] = Number.isFinite(value) ? Math.max(range.min, Math.min(range.max, value)) : range.default;
+        }
+        chain[effect] = settings;
+        this.chains.set(target, chain);
+    }
+
+    /**
+     * Seconds an enabled delay or reverb keeps sounding after its input stops
+     * @param {number} bpm - Tempo the delay is synced to
+     */
+    getTailTime(bpm) {
+        let tail = 0;
+        for (const chain of this.chains.values()) {
+            if (chain.reverb.enabled) {
+                tail = Math.max(tail, chain.reverb.decay);
+            }
+            if (chain.delay.enabled && chain.delay.mix > 0) {
+                // Echoes until they fall 60 dB
+                const echoes = chain.delay.feedback > 0 ? Math.log(0.001) / Math.log(chain.delay.feedback / 100) : 1;
+                tail = Math.max(tail, chain.delay.beats * 60 / bpm * Math.ceil(echoes));
+            }
+        }
+        return Math.min(tail, MAX_EFFECT_TAIL);
+    }
+
+    clone() {
+        return new Effects(Object.fromEntries(this.chains));
+    }
+
+    /**
+     * Song file format - only chains with an effect enabled or changed from the defaults
+     * @returns {Object|null} Null when every chain is at its defaults
+     */
+    toJSON() {
+        const defaults = JSON.stringify(Effects.defaultChain());
+        const chains = Array.from(this.chains.entries())
+            .filter(([, chain]) => JSON.stringify(chain) !== defaults);
+        return chains.length > 0 ? Object.fromEntries(chains) : null;
+    }
+
+    /**
+     * Restore effects saved with toJSON (missing data means every effect off)
+     */
+    static fromJSON(data) {
+        return new Effects(data || {});
+    }
+}
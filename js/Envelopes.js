@@ -0,0 +1,95 @@
+// Envelope parameter ranges and defaults - times in milliseconds, sustain in percent of the peak
+export const ENVELOPE_PARAMETERS = {
+    attack: { min: 0, max: 2000, default: 10 },
+    decay: { min: 0, max: 2000, default: 200 },
+    sustain: { min: 0, max: 100, default: 70 },
+    release: { min: 0, max: 5000, default: 300 }
+};
+
+/**
+ * Song envelopes - an attack/decay/sustain/release envelope per melodic instrument
+ * Envelopes are off by default, which keeps Organya's gating: full level from
+ * the start of a note and silence at its end.
+ */
+export class Envelopes {
+    /**
+     * @param {Object} envelopes - Settings by instrument name, as {enabled, attack, decay, sustain, release}
+     */
+    constructor(envelopes = {}) {
+        this.envelopes = new Map();
+        for (const [name, settings] of Object.entries(envelopes)) {
+            this.setEnvelope(name, settings);
+        }
+    }
+
+    static defaultEnvelope() {
+        const envelope = { enabled: false };
+        for (const [name, range] of Object.entries(ENVELOPE_PARAMETERS)) {
+            envelope[name] = range.default;
+        }
+        return envelope;
+    }
+
+    /**
+     * Envelope of an instrument (a copy - change it with setEnvelope)
+     */
+    getEnvelope(name) {
+        return { ...(this.envelopes.get(name) || Envelopes.defaultEnvelope()) };
+    }
+
+    /**
+     * Change some of an instrument's envelope settings
+     * @param {string} name - Instrument name
+     * @param {Object} changes - Any of {enabled, attack, decay, sustain, release}
+     */
+    setEnvelope(name, changes) {
+        const merged = { ...this.getEnvelope(name), ...changes };
+        const envelope = { enabled: !!merged.enabled };
+        for (const [parameter, range] of Object.entries(ENVELOPE_PARAMETERS)) {
+            const value = Number(merged[parameter]);
+            envelope[parameter] = Number.isFinite(value) ? Math.max(range.min, Math.min(range.max, value)) : range.default;
+        }
+        this.envelopes.set(name, envelope);
+    }
+
+    /**
+     * Level of an envelope while its note is held
+     * @param {Object} envelope - Settings from getEnvelope
+     * @param {number} time - Seconds since the note started
+     * @returns {number} Level from 0 to 1
+     */
+    static levelAt(envelope, time) {
+        const attack = envelope.attack / 1000;
+        const decay = envelope.decay / 1000;
+        const sustain = envelope.sustain / 100;
+        if (time < attack) {
+            return time / attack;
+        }
+        if (time < attack + decay) {
+            return 1 - (1 - sustain) * (time - attack) / decay;
+        }
+        return sustain;
+    }
+
+    clone() {
+        return new Envelopes(Object.fromEntries(this.envelopes));
+    }
+
+    /**
+     * Song file format - only envelopes that differ from the defaults
+     * @returns {Object|null} Null when every envelope is at its defaults
+     */
+    toJSON() {
+        const defaults = Envelopes.defaultEnvelope();
+        const envelopes = Array.from(this.envelopes.entries())
+            .filter(([, envelope]) => Object.keys(defaults).some(key => envelope[key] !== defaults[key]));
+        return envelopes.length > 0 ? Object.fromEntries(envelopes) : null;
+    }
+
+    /**
+     * Restore envelopes saved with toJSON (missing data means Organya gating everywhere)
+     */
+    static fromJSON(data) {
+        return new Envelopes(data || {});
+    }
+}
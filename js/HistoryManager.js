@@ -0,0 +1,214 @@
+/**
+ * Undo/redo history for note edits, tempo map, time signature and loop changes
+ * Each entry holds a snapshot of the song state from before the edit
+ */
+export class HistoryManager {
+    constructor(pianoRoll, maxSize = 100) {
+        this.pianoRoll = pianoRoll;
+        this.maxSize = maxSize;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Open edit - nested begin/commit pairs collapse into one entry
+        this.pending = null;
+        this.depth = 0;
+
+        // Set while applying a snapshot so restores aren't recorded
+        this.isRestoring = false;
+    }
+
+    /**
+     * Capture the current song state
+     * @returns {Object} Snapshot of notes, selection, tempo map, meters and loop
+     */
+    captureState() {
+        const { noteManager } = this.pianoRoll;
+        return {
+            notes: noteManager.notes.map(note => this.cloneNote(note)),
+            selectedIds: Array.from(noteManager.selectedNotes, note => note.id),
+            tempoMap: this.pianoRoll.tempoMap.getPoints(),
+            meters: this.pianoRoll.meterMap.getMeters(),
+            loop: {
+                enabled: this.pianoRoll.loopEnabled,
+                start: this.pianoRoll.loopStart,
+                end: this.pianoRoll.loopEnd
+            }
+        };
+    }
+
+    /**
+     * Serialize the parts of a snapshot that count as an edit (selection is ignored)
+     */
+    serialize(state) {
+        return JSON.stringify([state.notes, state.tempoMap, state.meters, state.loop]);
+    }
+
+    /**
+     * Deep copy a note including its automation points
+     */
+    cloneNote(note) {
+        return {
+            ...note,
+            volumeAutomation: (note.volumeAutomation || []).map(point => ({ ...point })),
+            panAutomation: (note.panAutomation || []).map(point => ({ ...point }))
+        };
+    }
+
+    /**
+     * Start an edit. Calls may nest; only the outermost pair records an entry
+     * @param {string} label - Description of the edit
+     */
+    begin(label) {
+        if (this.isRestoring) return;
+
+        if (this.depth === 0) {
+            const state = this.captureState();
+            this.pending = { label, state, serialized: this.serialize(state) };
+        }
+        this.depth++;
+    }
+
+    /**
+     * Finish an edit, recording it if the song actually changed
+     */
+    commit() {
+        if (this.isRestoring || this.depth === 0) return;
+
+        this.depth--;
+        if (this.depth > 0) return;
+
+        const pending = this.pending;
+        this.pending = null;
+
+        if (this.serialize(this.captureState()) === pending.serialized) {
+            return;
+        }
+
+        this.undoStack.push({ label: pending.label, state: pending.state });
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    /**
+     * Run a function as a single undoable edit
+     * @param {string} label - Description of the edit
+     * @param {Function} fn - Function that performs the edit
+     * @returns {*} Result of fn
+     */
+    record(label, fn) {
+        this.begin(label);
+        try {
+            return fn();
+        } finally {
+            this.commit();
+        }
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        if (this.undoStack.length === 0 || this.depth > 0) return;
+
+        const entry = this.undoStack.pop();
+        this.redoStack.push({ label: entry.label, state: this.captureState() });
+        this.applyState(entry.state);
+        this.notifyChange();
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        if (this.redoStack.length === 0 || this.depth > 0) return;
+
+        const entry = this.redoStack.pop();
+        this.undoStack.push({ label: entry.label, state: this.captureState() });
+        this.applyState(entry.state);
+        this.notifyChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all history (e.g. after loading a new song)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.depth = 0;
+        this.notifyChange();
+    }
+
+    /**
+     * Restore a snapshot into the editor
+     * @param {Object} state - Snapshot from captureState
+     */
+    applyState(state) {
+        const { noteManager } = this.pianoRoll;
+        this.isRestoring = true;
+
+        try {
+            noteManager.notes = state.notes.map(note => this.cloneNote(note));
+            noteManager.selectedNotes.clear();
+            const selectedIds = new Set(state.selectedIds);
+            for (const note of noteManager.notes) {
+                if (selectedIds.has(note.id)) {
+                    noteManager.selectedNotes.add(note);
+                }
+            }
+            noteManager.adjacentNoteCache.clear();
+            noteManager.needsNoteGrouping = true;
+
+            if (JSON.stringify(state.tempoMap) !== JSON.stringify(this.pianoRoll.tempoMap.points)) {
+                this.pianoRoll.setTempoMap(state.tempoMap);
+            }
+
+            if (JSON.stringify(state.meters) !== JSON.stringify(this.pianoRoll.meterMap.meters)) {
+                this.pianoRoll.setMeterMap(state.meters);
+            }
+
+            const { loop } = state;
+            if (loop.enabled !== this.pianoRoll.loopEnabled ||
+                loop.start !== this.pianoRoll.loopStart ||
+                loop.end !== this.pianoRoll.loopEnd) {
+                this.pianoRoll.setLoop(loop.enabled, loop.start, loop.end);
+                this.pianoRoll.updateLoopControls();
+            }
+
+            // Keep a running playback in sync with the restored notes
+            if (this.pianoRoll.isPlaying) {
+                this.pianoRoll.playbackEngine.loadNotes(noteManager.notes, this.pianoRoll.orgMsPerTick);
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+
+        this.pianoRoll.renderer.markFullRedraw();
+        this.pianoRoll.emit('notesChanged');
+        this.pianoRoll.emit('selectionChanged');
+        this.pianoRoll.dirty = true;
+    }
+
+    /**
+     * Let listeners update undo/redo UI
+     */
+    notifyChange() {
+        this.pianoRoll.emit('historyChange', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null
+        });
+    }
+}
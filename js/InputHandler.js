@@ -1,4 +1,4 @@
-import { PIANO_KEY_WIDTH, RESIZE_HANDLE_WIDTH, NUM_OCTAVES, NOTES_PER_OCTAVE, NOTE_HEIGHT, GRID_WIDTH, GRID_SUBDIVISIONS, BEATS_PER_MEASURE } from './constants.js';
+import { PIANO_KEY_WIDTH, RESIZE_HANDLE_WIDTH, NUM_OCTAVES, NOTES_PER_OCTAVE, NOTE_HEIGHT, GRID_WIDTH, GRID_SUBDIVISIONS, ZOOM_STEP } from './constants.js';
 
 /**
  * Handles all user input events
@@ -74,12 +74,13 @@ export class InputHandler {
 
     /**
      * Get mouse coordinates relative to canvas
+     * Y is converted back to unzoomed note coordinates; X stays in screen space
      */
     getMouseCoordinates(e) {
         const rect = this.canvas.getBoundingClientRect();
         return {
             x: e.clientX - rect.left + this.pianoRoll.scrollX,
-            y: e.clientY - rect.top + this.pianoRoll.scrollY
+            y: (e.clientY - rect.top + this.pianoRoll.scrollY) / this.pianoRoll.getVerticalScale()
         };
     }
 
@@ -95,7 +96,7 @@ export class InputHandler {
      */
     isInResizeZone(note, x) {
         // Scale note position for comparison
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
         const scaledWidth = note.width * scaleFactor;
 
@@ -148,7 +149,7 @@ export class InputHandler {
         }
 
         // Check if clicking on a note
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor);
 
         if (note) {
@@ -167,7 +168,7 @@ export class InputHandler {
      * Handle right click
      */
     handleRightClick(x, y) {
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const note = this.pianoRoll.noteManager.getNoteAt(x, y, scaleFactor);
         if (note) {
             this.pianoRoll.noteManager.deleteNote(note);
@@ -240,9 +241,10 @@ export class InputHandler {
     startDrag(note, x, y, isNoteSelected) {
         this.isDragging = true;
         this.dragNote = note;
+        this.pianoRoll.history.begin('Move Notes');
 
         // Convert screen position to note space
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const scaledNoteX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
 
         this.dragStartX = x - scaledNoteX;
@@ -272,6 +274,7 @@ export class InputHandler {
     startResize(note, direction, isNoteSelected) {
         this.isResizing = true;
         this.dragNote = note;
+        this.pianoRoll.history.begin('Resize Notes');
         this.resizeDirection = direction;
         this.dragStartX = this.mouseX; // Store the actual mouse position
 
@@ -321,13 +324,14 @@ export class InputHandler {
         if (key < 0 || key >= NUM_OCTAVES * NOTES_PER_OCTAVE || x < PIANO_KEY_WIDTH) return;
 
         // Convert screen position to note position by unscaling
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const unscaledX = PIANO_KEY_WIDTH + (x - PIANO_KEY_WIDTH) / scaleFactor;
 
         const snappedX = this.pianoRoll.gridSnap ? this.pianoRoll.snapXToGrid(unscaledX) + PIANO_KEY_WIDTH : unscaledX;
 
-        // Create note with default width (one grid subdivision)
-        const defaultWidth = this.pianoRoll.baseGridWidth * BEATS_PER_MEASURE / this.pianoRoll.getSnapDivisions();
+        // Create note with default width (one grid subdivision of the meter it starts in)
+        const measure = this.pianoRoll.meterMap.getMeasureAtBeat((snappedX - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        const defaultWidth = this.pianoRoll.baseGridWidth * this.pianoRoll.getSnapBeats(measure);
 
         const noteData = {
             x: snappedX,
@@ -338,7 +342,9 @@ export class InputHandler {
             instrument: this.pianoRoll.currentSample
         };
 
-        const newNote = this.pianoRoll.noteManager.createNote(noteData);
+        const newNote = this.pianoRoll.history.record('Create Note', () => {
+            return this.pianoRoll.noteManager.createNote(noteData);
+        });
 
         // Select the newly created note
         this.pianoRoll.noteManager.selectedNotes.clear();
@@ -388,9 +394,8 @@ export class InputHandler {
     handleResize(x, y) {
         if (!this.dragNote) return;
 
-        const snapDivisions = this.pianoRoll.getSnapDivisions();
-        const subdivisionWidth = GRID_WIDTH * BEATS_PER_MEASURE / snapDivisions;
-        const minWidth = subdivisionWidth;
+        const measure = this.pianoRoll.meterMap.getMeasureAtBeat((this.dragNote.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        const minWidth = GRID_WIDTH * this.pianoRoll.getSnapBeats(measure);
 
         if (this.pianoRoll.noteManager.selectedNotes.has(this.dragNote)) {
             // Calculate raw delta
@@ -406,8 +411,7 @@ export class InputHandler {
 
                 // Snap to grid if enabled
                 if (this.pianoRoll.gridSnap) {
-                    newRightEdge = Math.round((newRightEdge - PIANO_KEY_WIDTH) / subdivisionWidth) *
-                        subdivisionWidth + PIANO_KEY_WIDTH;
+                    newRightEdge = this.pianoRoll.snapBaseX(newRightEdge);
                 }
 
                 // Calculate new width
@@ -419,8 +423,7 @@ export class InputHandler {
 
                 // Snap to grid if enabled
                 if (this.pianoRoll.gridSnap) {
-                    newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) *
-                        subdivisionWidth + PIANO_KEY_WIDTH;
+                    newX = this.pianoRoll.snapBaseX(newX);
                 }
 
                 // Keep right edge fixed
@@ -444,7 +447,7 @@ export class InputHandler {
         if (!this.dragNote) return;
 
         // Convert screen position to note space
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
 
         // Calculate the target position (where the mouse is minus the offset within the note)
         const targetScreenX = x - this.dragStartX;
@@ -479,10 +482,7 @@ export class InputHandler {
 
                 // Apply grid snap if enabled
                 if (this.pianoRoll.gridSnap) {
-                    const snapDivisions = this.pianoRoll.getSnapDivisions();
-                    const subdivisionWidth = GRID_WIDTH * BEATS_PER_MEASURE / snapDivisions;
-                    newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) *
-                        subdivisionWidth + PIANO_KEY_WIDTH;
+                    newX = this.pianoRoll.snapBaseX(newX);
                 }
 
                 // Ensure note stays within bounds
@@ -529,7 +529,7 @@ export class InputHandler {
         this.selectionBox.y2 = y;
 
         // Update selected notes
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         this.pianoRoll.noteManager.selectNotesInRegion(this.selectionBox, this.shiftKeyHeld, scaleFactor);
         this.pianoRoll.emit('selectionChanged');
         this.pianoRoll.dirty = true;
@@ -586,7 +586,7 @@ export class InputHandler {
         // Handle selection boxes
         if (this.isSelecting || this.isDeleteSelecting) {
             if (this.isDeleteSelecting && this.selectionBox) {
-                const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+                const scaleFactor = this.pianoRoll.getScaleFactor();
                 this.pianoRoll.noteManager.deleteNotesInRegion(this.selectionBox, scaleFactor);
                 this.pianoRoll.emit('notesChanged');
             }
@@ -605,6 +605,7 @@ export class InputHandler {
 
         // Emit notesChanged if we were editing notes
         if (this.isDragging || this.isResizing) {
+            this.pianoRoll.history.commit();
             this.pianoRoll.emit('notesChanged');
         }
 
@@ -657,6 +658,21 @@ export class InputHandler {
         const delta = e.deltaY;
         const scrollSpeed = 30;
 
+        if (e.ctrlKey || e.metaKey) {
+            // Zoom around the mouse position (Shift zooms pitch instead of time)
+            const rect = this.canvas.getBoundingClientRect();
+            const anchorX = e.clientX - rect.left;
+            const anchorY = e.clientY - rect.top;
+            const factor = Math.pow(ZOOM_STEP, -(e.shiftKey ? (e.deltaY || e.deltaX) : delta) / 100);
+
+            if (e.shiftKey) {
+                this.pianoRoll.setZoom(this.pianoRoll.zoomX, this.pianoRoll.zoomY * factor, anchorX, anchorY);
+            } else {
+                this.pianoRoll.setZoom(this.pianoRoll.zoomX * factor, this.pianoRoll.zoomY, anchorX, anchorY);
+            }
+            return;
+        }
+
         if (e.shiftKey) {
             // Horizontal scroll
             this.pianoRoll.scrollX = Math.max(0,
@@ -756,7 +772,7 @@ export class InputHandler {
         const rect = this.canvas.getBoundingClientRect();
         return {
             x: touch.clientX - rect.left + this.pianoRoll.scrollX,
-            y: touch.clientY - rect.top + this.pianoRoll.scrollY
+            y: (touch.clientY - rect.top + this.pianoRoll.scrollY) / this.pianoRoll.getVerticalScale()
         };
     }
 
@@ -886,6 +902,9 @@ export class InputHandler {
     cancelCurrentInteraction() {
         // Cancel any ongoing drag or resize
         if (this.isDragging || this.isResizing) {
+            // Keep whatever was edited so far as one undo step
+            this.pianoRoll.history.commit();
+            
             // Reset all interaction states
             this.isDragging = false;
             this.isResizing = false;
@@ -918,6 +937,18 @@ export class InputHandler {
             // Calculate center point
             this.multiTouchCenterX = (touch1.clientX + touch2.clientX) / 2;
             this.multiTouchCenterY = (touch1.clientY + touch2.clientY) / 2;
+
+            // Store per-axis finger spread and zoom so each axis pinches independently
+            this.multiTouchStartSpanX = Math.abs(dx);
+            this.multiTouchStartSpanY = Math.abs(dy);
+            this.multiTouchStartZoomX = this.pianoRoll.zoomX;
+            this.multiTouchStartZoomY = this.pianoRoll.zoomY;
+
+            // Content point under the center, in unzoomed coordinates
+            const rect = this.canvas.getBoundingClientRect();
+            this.multiTouchBaseX = PIANO_KEY_WIDTH + (this.multiTouchCenterX - rect.left + this.pianoRoll.scrollX - PIANO_KEY_WIDTH) /
+                this.pianoRoll.getScaleFactor();
+            this.multiTouchBaseY = (this.multiTouchCenterY - rect.top + this.pianoRoll.scrollY) / this.pianoRoll.getVerticalScale();
         }
     }
 
@@ -933,23 +964,27 @@ export class InputHandler {
             const newCenterX = (touch1.clientX + touch2.clientX) / 2;
             const newCenterY = (touch1.clientY + touch2.clientY) / 2;
 
-            // Calculate pan delta
-            const panDeltaX = this.multiTouchCenterX - newCenterX;
-            const panDeltaY = this.multiTouchCenterY - newCenterY;
-
-            // Apply panning
-            this.pianoRoll.scrollX = Math.max(0,
-                Math.min(this.pianoRoll.totalWidth - this.canvas.width,
-                    this.multiTouchStartScrollX + panDeltaX));
-            this.pianoRoll.scrollY = Math.max(0,
-                Math.min(this.pianoRoll.totalHeight - this.canvas.height,
-                    this.multiTouchStartScrollY + panDeltaY));
+            // Pinch zoom - only on axes where the fingers are far enough apart to measure
+            const minSpan = 40;
+            const spanX = Math.abs(touch2.clientX - touch1.clientX);
+            const spanY = Math.abs(touch2.clientY - touch1.clientY);
+            const zoomX = this.multiTouchStartSpanX > minSpan
+                ? this.multiTouchStartZoomX * spanX / this.multiTouchStartSpanX
+                : this.pianoRoll.zoomX;
+            const zoomY = this.multiTouchStartSpanY > minSpan
+                ? this.multiTouchStartZoomY * spanY / this.multiTouchStartSpanY
+                : this.pianoRoll.zoomY;
+
+            if (zoomX !== this.pianoRoll.zoomX || zoomY !== this.pianoRoll.zoomY) {
+                this.pianoRoll.setZoom(zoomX, zoomY);
+            }
 
-            this.pianoRoll.emit('scroll', {
-                scrollX: this.pianoRoll.scrollX,
-                scrollY: this.pianoRoll.scrollY
-            });
-            this.pianoRoll.dirty = true;
+            // Pan so the content that started under the fingers follows them
+            const rect = this.canvas.getBoundingClientRect();
+            this.pianoRoll.setScroll(
+                PIANO_KEY_WIDTH + (this.multiTouchBaseX - PIANO_KEY_WIDTH) * this.pianoRoll.getScaleFactor() - (newCenterX - rect.left),
+                this.multiTouchBaseY * this.pianoRoll.getVerticalScale() - (newCenterY - rect.top)
+            );
         }
     }
 
@@ -1022,33 +1057,13 @@ export class InputHandler {
      * Handle MIDI Note On
      */
     handleMIDINoteOn(midiNote, velocity) {
-        // Convert MIDI note to 46-EDO key number
-        // Import the 12-tone to 46 EDO mapping
-        const TWELVE_TO_46_EDO_MAP = {
-            0: 0,   // C
-            1: 5,   // C#
-            2: 8,   // D
-            3: 13,  // D#
-            4: 16,  // E
-            5: 19,  // F
-            6: 24,  // F#
-            7: 27,  // G
-            8: 32,  // G#
-            9: 35,  // A
-            10: 40, // A#
-            11: 43  // B
-        };
-
+        // Convert MIDI note to a key in the song's tuning
         // MIDI note 60 = Middle C = C4
-        const midiC4 = 60;
-        const octaveShift = Math.floor((midiNote - midiC4) / 12);
+        const octave = Math.floor(midiNote / 12) - 1;
         const noteInOctave = (midiNote % 12 + 12) % 12; // Ensure positive
+        const keyNumber = this.pianoRoll.tuning.keyFromTwelveTone(octave, noteInOctave);
 
-        // C4 should be at key 184 (octave 4 in 46 EDO)
-        const c4KeyNumber = 4 * NOTES_PER_OCTAVE; // 184 (4 × 46)
-        const keyNumber = c4KeyNumber + octaveShift * NOTES_PER_OCTAVE + TWELVE_TO_46_EDO_MAP[noteInOctave];
-
-        // Check if key is within valid range (0-575)
+        // Check if key is within valid range
         if (keyNumber < 0 || keyNumber >= NUM_OCTAVES * NOTES_PER_OCTAVE) {
             return;
         }
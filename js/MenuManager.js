@@ -201,6 +201,10 @@ export class MenuManager {
             } else {
                 option.classList.remove('checked');
             }
+            const checkmark = option.querySelector('.menu-check');
+            if (checkmark) {
+                checkmark.textContent = checked ? '✓' : '';
+            }
         }
     }
 
@@ -237,7 +241,8 @@ export class MenuManager {
             if (keyPressed === key &&
                 (modifiers.ctrl ? ctrlOrCmd : true) &&
                 (modifiers.cmd ? e.metaKey : true) &&
-                (modifiers.shift ? e.shiftKey : true) &&
+                // Shift must match exactly so Ctrl+Z doesn't also fire on Ctrl+Shift+Z
+                modifiers.shift === e.shiftKey &&
                 (modifiers.alt ? e.altKey : true)) {
                 e.preventDefault();
                 handler();
@@ -0,0 +1,217 @@
+import { BEATS_PER_MEASURE, GRID_SUBDIVISIONS } from './constants.js';
+
+/**
+ * Song meter map - time signature changes by measure
+ * Positions are counted in quarter-note beats (GRID_WIDTH pixels each), so a 6/8 or 3/4
+ * measure is 3 beats long and a 7/8 measure 3.5. The first meter always starts at measure 0.
+ */
+export class MeterMap {
+    /**
+     * @param {number} numerator - Beats per measure of the opening meter
+     * @param {number} denominator - Note value of one beat (2, 4, 8, 16)
+     * @param {Array} changes - Optional meter changes as {measure, numerator, denominator}
+     */
+    constructor(numerator = BEATS_PER_MEASURE, denominator = 4, changes = []) {
+        this.setMeters([{ measure: 0, numerator, denominator }, ...changes]);
+    }
+
+    /**
+     * Replace all meters. Later meters win when two start on the same measure
+     * @param {Array} meters - Meter changes as {measure, numerator, denominator}
+     */
+    setMeters(meters) {
+        const byMeasure = new Map();
+        for (const meter of meters) {
+            const measure = Math.max(0, Math.round(meter.measure));
+            byMeasure.set(measure, { measure, numerator: meter.numerator, denominator: meter.denominator });
+        }
+        this.meters = Array.from(byMeasure.values()).sort((a, b) => a.measure - b.measure);
+
+        if (this.meters.length === 0 || this.meters[0].measure > 0) {
+            this.meters.unshift({ measure: 0, numerator: BEATS_PER_MEASURE, denominator: 4 });
+        }
+        this.updateBeats();
+    }
+
+    /**
+     * Copies of all meters, for snapshots
+     */
+    getMeters() {
+        return this.meters.map(meter => ({ ...meter }));
+    }
+
+    /**
+     * Whether the meter ever changes after the first measure
+     */
+    hasChanges() {
+        return this.meters.length > 1;
+    }
+
+    /**
+     * Set the meter from a measure on, or remove the change when it matches the meter before it
+     */
+    setMeter(measure, numerator, denominator) {
+        measure = Math.max(0, Math.round(measure));
+        const meters = this.getMeters().filter(meter => meter.measure !== measure);
+        meters.push({ measure, numerator, denominator });
+        this.setMeters(meters);
+        this.removeRedundant();
+    }
+
+    /**
+     * Remove a meter change - the opening meter can't be removed
+     */
+    removeMeter(measure) {
+        if (measure <= 0) return;
+        this.setMeters(this.meters.filter(meter => meter.measure !== measure));
+        this.removeRedundant();
+    }
+
+    /**
+     * Drop changes that repeat the meter already in effect
+     */
+    removeRedundant() {
+        this.meters = this.meters.filter((meter, index) => {
+            const previous = this.meters[index - 1];
+            return !previous || previous.numerator !== meter.numerator || previous.denominator !== meter.denominator;
+        });
+        this.updateBeats();
+    }
+
+    /**
+     * Cache the beat at which each meter starts
+     */
+    updateBeats() {
+        this.startBeats = [0];
+        for (let i = 1; i < this.meters.length; i++) {
+            const previous = this.meters[i - 1];
+            this.startBeats.push(this.startBeats[i - 1] +
+                (this.meters[i].measure - previous.measure) * MeterMap.getMeasureBeats(previous));
+        }
+    }
+
+    /**
+     * Length of one measure of a meter in quarter-note beats
+     */
+    static getMeasureBeats(meter) {
+        return meter.numerator * 4 / meter.denominator;
+    }
+
+    /**
+     * Parse a time signature string like "7/8"
+     * @returns {Object|null} {numerator, denominator}
+     */
+    static parse(text) {
+        const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(text || '');
+        if (!match) return null;
+        const numerator = parseInt(match[1]);
+        const denominator = parseInt(match[2]);
+        if (numerator < 1 || ![1, 2, 4, 8, 16, 32].includes(denominator)) return null;
+        return { numerator, denominator };
+    }
+
+    static format(meter) {
+        return `${meter.numerator}/${meter.denominator}`;
+    }
+
+    /**
+     * Index of the meter in effect at a measure
+     */
+    findIndexAtMeasure(measure) {
+        let index = 0;
+        while (index + 1 < this.meters.length && this.meters[index + 1].measure <= measure) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Index of the meter in effect at a beat
+     */
+    findIndexAtBeat(beat) {
+        let index = 0;
+        while (index + 1 < this.startBeats.length && this.startBeats[index + 1] <= beat + 1e-9) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Meter in effect at a measure
+     */
+    getMeterAt(measure) {
+        return this.meters[this.findIndexAtMeasure(measure)];
+    }
+
+    /**
+     * Measure length in quarter-note beats
+     */
+    getMeasureLength(measure) {
+        return MeterMap.getMeasureBeats(this.getMeterAt(measure));
+    }
+
+    /**
+     * Length of one counted beat of the measure (a quarter in 3/4, an eighth in 6/8)
+     */
+    getBeatLength(measure) {
+        return 4 / this.getMeterAt(measure).denominator;
+    }
+
+    /**
+     * Quarter-note beat at which a measure starts
+     */
+    getMeasureStartBeat(measure) {
+        const index = this.findIndexAtMeasure(measure);
+        const meter = this.meters[index];
+        return this.startBeats[index] + (measure - meter.measure) * MeterMap.getMeasureBeats(meter);
+    }
+
+    /**
+     * Measure containing a beat
+     */
+    getMeasureAtBeat(beat) {
+        const index = this.findIndexAtBeat(beat);
+        const meter = this.meters[index];
+        return meter.measure + Math.floor((beat - this.startBeats[index]) / MeterMap.getMeasureBeats(meter) + 1e-9);
+    }
+
+    /**
+     * Split a beat into its measure and the 16th-note position inside it (the song file format)
+     */
+    toMeasurePosition(beat) {
+        const measure = this.getMeasureAtBeat(beat);
+        return { measure, beat: (beat - this.getMeasureStartBeat(measure)) * GRID_SUBDIVISIONS };
+    }
+
+    /**
+     * Beat from a measure and 16th-note position, as stored in song files
+     */
+    fromMeasurePosition(measure, beat) {
+        return this.getMeasureStartBeat(measure) + beat / GRID_SUBDIVISIONS;
+    }
+
+    clone() {
+        const copy = new MeterMap();
+        copy.setMeters(this.getMeters());
+        return copy;
+    }
+
+    toJSON() {
+        return this.getMeters();
+    }
+
+    /**
+     * Restore a meter map saved with toJSON
+     * @param {Array} data - Saved meters, or nothing for a single meter
+     * @param {string} timeSignature - Song time signature, used when there's no saved map
+     */
+    static fromJSON(data, timeSignature = '4/4') {
+        if (Array.isArray(data) && data.length > 0) {
+            const meterMap = new MeterMap();
+            meterMap.setMeters(data);
+            return meterMap;
+        }
+        const meter = MeterMap.parse(timeSignature) || { numerator: BEATS_PER_MEASURE, denominator: 4 };
+        return new MeterMap(meter.numerator, meter.denominator);
+    }
+}
@@ -0,0 +1,111 @@
+import { METRONOME_CLICK, MAX_COUNT_IN_BARS } from './constants.js';
+
+const CLICK_FREQUENCY = 1000; // Hz, an octave up on downbeats
+const CLICK_LENGTH = 0.03; // Seconds for the synthesized click to die away
+const OFFBEAT_LEVEL = 0.6; // Level of the other beats against a downbeat
+
+/**
+ * Metronome - click track scheduled with the song's notes
+ * It goes straight to the master volume (past the mixer and effects) at a volume
+ * of its own. The sound is a synthesized click or one of the ORG_D drums.
+ */
+export class Metronome {
+    /**
+     * @param {AudioEngine} audioEngine - Engine whose context and master volume the clicks use
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.settings = Metronome.defaultSettings();
+        this.clicks = []; // Scheduled sources, for silencing clicks that haven't played
+
+        this.output = audioEngine.audioContext.createGain();
+        this.output.gain.value = this.settings.volume / 100;
+        this.output.connect(audioEngine.masterGain);
+    }
+
+    /**
+     * @returns {Object} {enabled, sound, volume (0-100), countIn (bars)}
+     */
+    static defaultSettings() {
+        return { enabled: false, sound: METRONOME_CLICK, volume: 70, countIn: 0 };
+    }
+
+    /**
+     * Current settings (a copy - change them with setSettings)
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change some of the settings - a drum sound is decoded straight away
+     * @param {Object} changes - Any of {enabled, sound, volume, countIn}
+     */
+    setSettings(changes) {
+        const settings = { ...this.settings, ...changes };
+        this.settings = {
+            enabled: !!settings.enabled,
+            sound: settings.sound || METRONOME_CLICK,
+            volume: Math.max(0, Math.min(100, settings.volume)),
+            countIn: Math.max(0, Math.min(MAX_COUNT_IN_BARS, Math.round(settings.countIn)))
+        };
+        this.output.gain.setTargetAtTime(this.settings.volume / 100, this.audioEngine.audioContext.currentTime, 0.01);
+        if (this.settings.sound !== METRONOME_CLICK) {
+            this.audioEngine.loadSample(this.settings.sound);
+        }
+    }
+
+    /**
+     * Play a click
+     * @param {number} time - Audio context time
+     * @param {boolean} accent - Whether it's a downbeat
+     */
+    scheduleClick(time, accent) {
+        const audioContext = this.audioEngine.audioContext;
+        const gain = audioContext.createGain();
+        gain.connect(this.output);
+
+        // Falls back to the synthesized click until a drum is decoded
+        const buffer = this.settings.sound !== METRONOME_CLICK
+            ? this.audioEngine.loadedSamples.get(this.settings.sound)
+            : null;
+
+        let source;
+        if (buffer) {
+            source = audioContext.createBufferSource();
+            source.buffer = buffer;
+            gain.gain.value = accent ? 1 : OFFBEAT_LEVEL;
+            source.start(time);
+        } else {
+            source = audioContext.createOscillator();
+            source.frequency.value = accent ? CLICK_FREQUENCY * 2 : CLICK_FREQUENCY;
+            gain.gain.setValueAtTime(accent ? 1 : OFFBEAT_LEVEL, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+            source.start(time);
+            source.stop(time + CLICK_LENGTH);
+        }
+        source.connect(gain);
+
+        const click = { source, gain };
+        this.clicks.push(click);
+        source.onended = () => {
+            gain.disconnect();
+            this.clicks = this.clicks.filter(other => other !== click);
+        };
+    }
+
+    /**
+     * Silence every scheduled click, including ones that haven't played yet
+     */
+    cancel() {
+        for (const { source, gain } of this.clicks) {
+            try {
+                source.stop();
+            } catch (e) {
+                // Already stopped
+            }
+            gain.disconnect();
+        }
+        this.clicks = [];
+    }
+}
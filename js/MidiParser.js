@@ -3,13 +3,19 @@ import {
     NOTES_PER_SEMITONE,
     GRID_WIDTH,
     GRID_SUBDIVISIONS,
-    BEATS_PER_MEASURE,
     NOTE_HEIGHT,
     PIANO_KEY_WIDTH,
     NUM_OCTAVES,
     DEFAULT_VELOCITY,
-    TOTAL_MEASURES
+    TOTAL_MEASURES,
+    AUTOMATION_TICKS_PER_BEAT,
+    GM_DRUM_MAP,
+    GM_DRUM_DEFAULT,
+    BASE_FREQUENCY
 } from './constants.js';
+import { DEFAULT_TUNING } from './Tuning.js';
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
 
 /**
  * MIDI file parser
@@ -225,8 +231,16 @@ export class MidiParser {
                     program: view.getUint8(offset),
                     bytesUsed: 1
                 };
-                
-                
+
+            case 0xE0: // Pitch Bend - 14-bit value, LSB first, centred on 8192
+                return {
+                    type: 'pitchBend',
+                    time,
+                    channel,
+                    value: ((view.getUint8(offset + 1) << 7) | view.getUint8(offset)) - 8192,
+                    bytesUsed: 2
+                };
+
             default:
                 // Skip unknown events - assume 2 data bytes for channel messages
                 if (eventType >= 0x80 && eventType < 0xF0) {
@@ -380,9 +394,13 @@ export class MidiParser {
      * @param {number} octaveShift - Number of octaves to transpose (negative = down, positive = up)
      * @param {string} defaultInstrument - Default instrument to use when no program change is specified
      * @param {boolean} useFineResolution - Whether to use fine timing resolution
-     * @returns {Object} Piano roll data
+     * @param {Object} importOptions - {splitTracks: Set of track indexes to split by channel,
+     *                                 parts: Map of part key to {voice, octaveShift, excluded}}, see getTrackParts
+     * @param {Tuning} tuning - Tuning that 12-tone notes are mapped into
+     * @param {Object} drumMap - GM percussion note to {instrument, key}, see GM_DRUM_MAP
+     * @returns {Object} Piano roll data, with the file's tempo and time signature changes as a TempoMap and MeterMap
      */
-    static convertToNotes(midiData, originalBuffer, octaveShift = -1, defaultInstrument = null, useFineResolution = false, trackVoices = null) {
+    static convertToNotes(midiData, originalBuffer, octaveShift = -1, defaultInstrument = null, useFineResolution = false, importOptions = {}, tuning = DEFAULT_TUNING, drumMap = GM_DRUM_MAP) {
         const notes = [];
         const activeNotes = new Map(); // Track active notes by key
         
@@ -423,12 +441,17 @@ export class MidiParser {
         tempoChanges.sort((a, b) => a.time - b.time);
         timeSignatures.sort((a, b) => a.time - b.time);
         
-        // Use the first tempo if available
+        // The tempo in effect at tick 0 is the base tempo; later changes go into the tempo map
+        // (notes are placed by tick, so a constant tempo drifts at the first ritardando)
         if (tempoChanges.length > 0) {
-            tempo = tempoChanges[0].tempo;
+            tempo = tempoChanges.filter(change => change.time <= 0).pop()?.tempo || tempoChanges[0].tempo;
         } else {
             console.warn('No tempo found in MIDI file, using default 120 BPM');
         }
+        const roundTempo = (bpm) => Math.round(bpm * 100) / 100;
+        const tempoMap = new TempoMap(roundTempo(tempo), tempoChanges
+            .filter(change => change.time > 0)
+            .map(change => ({ beat: change.time / midiData.ticksPerQuarter, bpm: roundTempo(change.tempo) })));
         
         // Use the first time signature if available
         if (timeSignatures.length > 0) {
@@ -438,6 +461,18 @@ export class MidiParser {
             };
         }
         
+        // Later time signatures become meter changes at the barline they fall on
+        // (a change in the middle of a measure starts at the next one)
+        const meterMap = new MeterMap(timeSignature.numerator, timeSignature.denominator);
+        for (const change of timeSignatures) {
+            const beat = change.time / midiData.ticksPerQuarter;
+            let measure = meterMap.getMeasureAtBeat(beat);
+            if (meterMap.getMeasureStartBeat(measure) < beat - 1e-6) {
+                measure++;
+            }
+            meterMap.setMeter(measure, change.numerator, change.denominator);
+        }
+        
         // Find the actual time range of the MIDI file
         const { minTime, maxTime } = this.findTimeRange(midiData.tracks);
         const timeRange = maxTime - minTime;
@@ -488,21 +523,66 @@ export class MidiParser {
         // so we need to merge all tracks' events and sort by time
         const allEvents = [];
         
-        // Collect all events from all tracks
+        // Each part is assigned a voice like a track. Split tracks become one part per channel
+        // numbered after their track, so files without split tracks keep their track numbers
+        const splitTracks = importOptions.splitTracks || new Set();
+        const partIndexes = new Map();
+        const partOptions = new Map();
+        let partOffset = 0;
+        let previousTrack = null;
+        this.getTrackParts(midiData, splitTracks).forEach(part => {
+            if (part.channel !== null && part.trackIndex === previousTrack) {
+                partOffset++;
+            }
+            const partIndex = part.trackIndex + partOffset;
+            partIndexes.set(part.key, partIndex);
+            partOptions.set(partIndex, importOptions.parts?.get(part.key) || {});
+            previousTrack = part.trackIndex;
+        });
+        const getPartIndex = (trackIndex, channel) =>
+            partIndexes.get(`${trackIndex}:${channel}`) ?? partIndexes.get(`${trackIndex}`) ?? trackIndex;
+        
+        // Collect all events from all tracks, leaving out the notes of excluded parts
         midiData.tracks.forEach((track, trackIndex) => {
             track.events.forEach(event => {
-                allEvents.push({ ...event, trackIndex });
+                const partIndex = getPartIndex(trackIndex, event.channel);
+                if ((event.type === 'noteOn' || event.type === 'noteOff') && partOptions.get(partIndex)?.excluded) {
+                    return;
+                }
+                allEvents.push({ ...event, trackIndex: partIndex });
             });
         });
         
         // Sort all events by time to process them in chronological order
         allEvents.sort((a, b) => a.time - b.time);
+        this.applySustain(allEvents);
+        
+        // Volume, expression and pan controllers per channel, for the notes' automation
+        const channelControls = this.collectControls(allEvents);
+        
+        // Pitch bend and bend range per channel. Channels that ever bend are retuned, so their
+        // notes map to the step nearest their pitch instead of the 12-tone spelling
+        const channelBends = new Map();
+        const bentChannels = new Set(allEvents
+            .filter(event => event.type === 'pitchBend' && event.value !== 0)
+            .map(event => event.channel));
         
         // Process all events in time order
         allEvents.forEach(event => {
             if (event.type === 'programChange') {
                 // Track program changes per channel
                 channelPrograms.set(event.channel, event.program);
+            } else if (event.type === 'controlChange') {
+                this.handleBendControl(channelBends, event);
+            } else if (event.type === 'pitchBend') {
+                const bendState = this.getBendState(channelBends, event.channel);
+                bendState.value = event.value;
+                // A bend on the same tick as a note-on still tunes that note
+                activeNotes.forEach(noteStart => {
+                    if (noteStart.channel === event.channel && noteStart.startTime === event.time) {
+                        noteStart.bendCents = this.getBendCents(bendState);
+                    }
+                });
             } else if (event.type === 'noteOn') {
                 // Store note start with track info
                 const key = `${event.trackIndex}-${event.channel}-${event.note}`;
@@ -511,6 +591,9 @@ export class MidiParser {
                     velocity: event.velocity,
                     channel: event.channel,
                     midiNote: event.note,
+                    bendCents: this.getBendCents(this.getBendState(channelBends, event.channel)),
+                    // Channel 10 is drums, unless an MPE zone uses it as a member channel
+                    isDrum: event.channel === 9 && !this.getBendState(channelBends, 9).mpeMember,
                     trackIndex: event.trackIndex
                 });
             } else if (event.type === 'noteOff') {
@@ -520,9 +603,13 @@ export class MidiParser {
                 if (noteStart) {
                         const duration = event.time - noteStart.startTime;
                         
-                        // Convert MIDI note to 46-EDO with optional octave shift
-                        const shiftedMidiNote = noteStart.midiNote + (octaveShift * 12);
-                        const key46 = this.midiNoteTo46edo(shiftedMidiNote);
+                        // Convert MIDI note to the song's tuning with optional octave shift;
+                        // drums play their mapped sample at a fixed key instead
+                        const drum = noteStart.isDrum ? this.mapGmDrum(noteStart.midiNote, drumMap) : null;
+                        const shiftedMidiNote = noteStart.midiNote + ((partOptions.get(noteStart.trackIndex)?.octaveShift ?? octaveShift) * 12);
+                        const key46 = drum
+                            ? drum.key
+                            : this.midiNoteTo46edo(shiftedMidiNote, tuning, bentChannels.has(noteStart.channel) ? noteStart.bendCents : null);
                         
                         // Calculate positions using pre-calculated pixelsPerTick
                         // Normalize times by subtracting minTime to start at measure 0
@@ -559,15 +646,15 @@ export class MidiParser {
                         // Choose instrument and pan based on channel
                         let instrument;
                         let pan = 0;
-                        if (noteStart.channel === 9) {
+                        if (drum) {
                             // Channel 10 (9 in 0-based) is drums
-                            instrument = 'ORG_D00';
+                            instrument = drum.instrument;
                         } else {
                             // First check if this track already has an assigned instrument
                             if (!trackInstruments.has(noteStart.trackIndex)) {
                                 // Check if user specified a voice for this track
-                                if (trackVoices && trackVoices.has(noteStart.trackIndex)) {
-                                    const userVoice = trackVoices.get(noteStart.trackIndex);
+                                if (partOptions.get(noteStart.trackIndex)?.voice) {
+                                    const userVoice = partOptions.get(noteStart.trackIndex).voice;
                                     trackInstruments.set(noteStart.trackIndex, userVoice);
                                     // Set appropriate pan based on the ORG instrument
                                     pan = this.getOrgInstrumentPan(userVoice);
@@ -642,6 +729,12 @@ export class MidiParser {
                             }
                         }
                         
+                        // Controllers scale the velocity and set the pan, then automate both while the note plays
+                        const automation = this.buildAutomation(channelControls.get(noteStart.channel),
+                            noteStart.startTime, event.time, velocity, midiData.ticksPerQuarter);
+                        velocity = automation.velocity;
+                        pan = automation.pan ?? pan;
+                        
                         // Log first few notes for debugging
                         if (notes.length < 10) {
                         }
@@ -655,7 +748,10 @@ export class MidiParser {
                             velocity,
                             pan,
                             instrument,
-                            pipi: 0
+                            pipi: 0,
+                            // Drums always play out, so only melodic notes keep automation
+                            volumeAutomation: drum ? [] : automation.volumeAutomation,
+                            panAutomation: drum ? [] : automation.panAutomation
                         });
                         
                         activeNotes.delete(key);
@@ -680,9 +776,13 @@ export class MidiParser {
             activeNotes.forEach((noteStart, key) => {
                 const endTime = noteStart.startTime + defaultDuration;
                 
-                // Convert MIDI note to 46-EDO with optional octave shift
-                const shiftedMidiNote = noteStart.midiNote + (octaveShift * 12);
-                const key46 = this.midiNoteTo46edo(shiftedMidiNote);
+                // Convert MIDI note to the song's tuning with optional octave shift;
+                // drums play their mapped sample at a fixed key instead
+                const drum = noteStart.isDrum ? this.mapGmDrum(noteStart.midiNote, drumMap) : null;
+                const shiftedMidiNote = noteStart.midiNote + ((partOptions.get(noteStart.trackIndex)?.octaveShift ?? octaveShift) * 12);
+                const key46 = drum
+                    ? drum.key
+                    : this.midiNoteTo46edo(shiftedMidiNote, tuning, bentChannels.has(noteStart.channel) ? noteStart.bendCents : null);
                 
                 // Calculate positions - normalize times by subtracting minTime
                 const normalizedStartTime = noteStart.startTime - minTime;
@@ -711,8 +811,8 @@ export class MidiParser {
                 // Use the same track-based instrument assignment logic
                 let instrument;
                 let pan = 0;
-                if (noteStart.channel === 9) {
-                    instrument = 'ORG_D00';
+                if (drum) {
+                    instrument = drum.instrument;
                 } else {
                     // Get instrument from track mapping
                     instrument = trackInstruments.get(noteStart.trackIndex);
@@ -724,16 +824,21 @@ export class MidiParser {
                     pan = trackPans.get(noteStart.trackIndex) || 0;
                 }
                 
+                const automation = this.buildAutomation(channelControls.get(noteStart.channel),
+                    noteStart.startTime, endTime, noteStart.velocity, midiData.ticksPerQuarter);
+                
                 notes.push({
                     x,
                     y,
                     width,
                     height: NOTE_HEIGHT,
                     key: key46,
-                    velocity: noteStart.velocity,
-                    pan,
+                    velocity: automation.velocity,
+                    pan: automation.pan ?? pan,
                     instrument,
-                    pipi: 0
+                    pipi: 0,
+                    volumeAutomation: drum ? [] : automation.volumeAutomation,
+                    panAutomation: drum ? [] : automation.panAutomation
                 });
             });
         }
@@ -777,63 +882,271 @@ export class MidiParser {
         
         return {
             notes,
-            tempo: Math.round(tempo),
+            tempo: tempoMap.getBaseTempo(),
+            tempoMap,
+            meterMap,
             loopStart: 0,
-            loopEnd: this.calculateMeasures(notes),
+            loopEnd: this.calculateMeasures(notes, meterMap),
             loopEnabled: false
         };
     }
     
     /**
-     * Convert MIDI note number to 46-EDO key
+     * Convert MIDI note number to a key in the song's tuning
+     * MIDI note 60 (C4) is middle C; notes beyond the piano roll fold back by octaves
+     * @param {number} bendCents - Pitch bend in cents on a retuned channel, or null to use
+     *                             the tuning's 12-tone spelling. Bent notes take the key nearest
+     *                             their 12-TET frequency (A4 = 440 Hz)
+     */
+    static midiNoteTo46edo(midiNote, tuning = DEFAULT_TUNING, bendCents = null) {
+        if (bendCents !== null) {
+            // Bent pitches are absolute, so the tuning's own reference frequency applies
+            const frequency = BASE_FREQUENCY * Math.pow(2, ((midiNote - 69) * 100 + bendCents) / 1200);
+            return tuning.foldKey(tuning.keyFromFrequency(frequency));
+        }
+        const octave = Math.floor(midiNote / 12) - 1;
+        const noteInOctave = ((midiNote % 12) + 12) % 12;
+        return tuning.foldKey(tuning.keyFromTwelveTone(octave, noteInOctave));
+    }
+    
+    /**
+     * Voices of a MIDI file for the import dialog: one per track with notes, or one per
+     * channel of a split track. Keys are the track index, or "track:channel" for split parts
+     * @param {Set} splitTracks - Indexes of tracks to split by channel
+     * @returns {Array} Parts in file order as {key, trackIndex, channel (null unless split),
+     *                  channels, noteCount, program (null if none), lowNote, highNote}
+     */
+    static getTrackParts(midiData, splitTracks = new Set()) {
+        const parts = [];
+        
+        midiData.tracks.forEach((track, trackIndex) => {
+            const noteOns = track.events.filter(event => event.type === 'noteOn');
+            if (noteOns.length === 0) return;
+            
+            const channels = [...new Set(noteOns.map(event => event.channel))].sort((a, b) => a - b);
+            const split = splitTracks.has(trackIndex) && channels.length > 1;
+            
+            for (const partChannels of split ? channels.map(channel => [channel]) : [channels]) {
+                const partNotes = noteOns.filter(event => partChannels.includes(event.channel));
+                // Programs are often set from another track, so fall back to any track
+                const isProgram = (event) => event.type === 'programChange' && partChannels.includes(event.channel);
+                const programChange = track.events.find(isProgram) ||
+                    midiData.tracks.map(other => other.events.find(isProgram)).find(Boolean);
+                
+                parts.push({
+                    key: split ? `${trackIndex}:${partChannels[0]}` : `${trackIndex}`,
+                    trackIndex,
+                    channel: split ? partChannels[0] : null,
+                    channels: partChannels,
+                    noteCount: partNotes.length,
+                    program: programChange ? programChange.program : null,
+                    lowNote: partNotes.reduce((low, event) => Math.min(low, event.note), 127),
+                    highNote: partNotes.reduce((high, event) => Math.max(high, event.note), 0)
+                });
+            }
+        });
+        
+        return parts;
+    }
+    
+    /**
+     * Hold note-offs while the sustain pedal (CC64) is down, moving them to when it lifts,
+     * when the same note is struck again or to the end of the song. Events must be sorted by time
+     */
+    static applySustain(events) {
+        const held = new Map(); // Channel -> note-offs waiting for the pedal
+        
+        for (const event of events) {
+            if (event.type === 'controlChange' && event.controller === 64) {
+                if (event.value >= 64) {
+                    if (!held.has(event.channel)) held.set(event.channel, []);
+                } else if (held.has(event.channel)) {
+                    held.get(event.channel).forEach(noteOff => { noteOff.time = event.time; });
+                    held.delete(event.channel);
+                }
+            } else if (event.type === 'noteOff' && held.has(event.channel)) {
+                held.get(event.channel).push(event);
+            } else if (event.type === 'noteOn' && held.has(event.channel)) {
+                const noteOffs = held.get(event.channel);
+                const index = noteOffs.findIndex(noteOff =>
+                    noteOff.note === event.note && noteOff.trackIndex === event.trackIndex);
+                if (index !== -1) {
+                    noteOffs[index].time = event.time;
+                    noteOffs.splice(index, 1);
+                }
+            }
+        }
+        
+        const endTime = events.length > 0 ? events[events.length - 1].time : 0;
+        held.forEach(noteOffs => noteOffs.forEach(noteOff => { noteOff.time = endTime; }));
+        
+        // Moved note-offs keep their place before later note-ons on the same tick
+        events.sort((a, b) => a.time - b.time);
+    }
+    
+    /**
+     * Volume (CC7), expression (CC11) and pan (CC10) changes by channel, in time order
+     * @returns {Map} Channel -> {7: [{time, value}], 11: [...], 10: [...]}
+     */
+    static collectControls(events) {
+        const controls = new Map();
+        for (const event of events) {
+            if (event.type !== 'controlChange' || ![7, 10, 11].includes(event.controller)) continue;
+            if (!controls.has(event.channel)) {
+                controls.set(event.channel, { 7: [], 10: [], 11: [] });
+            }
+            controls.get(event.channel)[event.controller].push({ time: event.time, value: event.value });
+        }
+        return controls;
+    }
+    
+    /**
+     * Index of the first controller change after a time
+     */
+    static findControlIndex(changes, time) {
+        let low = 0;
+        let high = changes.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (changes[mid].time <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * Controller value in effect at a time
+     */
+    static getControlValue(changes, time, defaultValue) {
+        const index = this.findControlIndex(changes, time);
+        return index > 0 ? changes[index - 1].value : defaultValue;
+    }
+    
+    /**
+     * A note's velocity and pan from its channel's controllers, plus automation points
+     * (ticks of AUTOMATION_TICKS_PER_BEAT from the note start) for changes while it plays.
+     * Volume is the GM default of 100 and expression 127 until set, which leaves velocity as is
+     * @returns {Object} {velocity, pan (null without CC10), volumeAutomation, panAutomation}
      */
-    static midiNoteTo46edo(midiNote) {
-        // MIDI note 60 = C4 (middle C)
-        // In our 46-EDO system with 8 octaves (0-7):
-        // - Octave 0 = MIDI notes 12-23 (C0-B0)
-        // - Octave 1 = MIDI notes 24-35 (C1-B1)
-        // - Octave 2 = MIDI notes 36-47 (C2-B2)
-        // - Octave 3 = MIDI notes 48-59 (C3-B3)
-        // - Octave 4 = MIDI notes 60-71 (C4-B4) <- Middle C
-        // - Octave 5 = MIDI notes 72-83 (C5-B5)
-        // - Octave 6 = MIDI notes 84-95 (C6-B6)
-        // - Octave 7 = MIDI notes 96-107 (C7-B7)
-        
-        // Import the mapping from constants
-        const TWELVE_TO_46_EDO_MAP = {
-            0: 0,   // C
-            1: 5,   // C#
-            2: 8,   // D
-            3: 13,  // D#
-            4: 16,  // E
-            5: 19,  // F
-            6: 24,  // F#
-            7: 27,  // G
-            8: 32,  // G#
-            9: 35,  // A
-            10: 40, // A#
-            11: 43  // B
+    static buildAutomation(controls, startTime, endTime, velocity, ticksPerQuarter) {
+        const result = { velocity, pan: null, volumeAutomation: [], panAutomation: [] };
+        if (!controls) return result;
+        
+        const volumeAt = (time) => Math.max(1, Math.min(127, Math.round(velocity *
+            this.getControlValue(controls[7], time, 100) / 100 *
+            this.getControlValue(controls[11], time, 127) / 127)));
+        const panAt = (time) => Math.max(-100, Math.min(100,
+            Math.round((this.getControlValue(controls[10], time, 64) - 64) * 100 / 63)));
+        const changeTimes = (changes) => changes
+            .slice(this.findControlIndex(changes, startTime), this.findControlIndex(changes, endTime - 1))
+            .map(change => change.time);
+        
+        // Points on the same tick collapse to the last one, and repeats are dropped
+        const addPoint = (points, time, field, value, previous) => {
+            const tick = Math.round((time - startTime) / ticksPerQuarter * AUTOMATION_TICKS_PER_BEAT);
+            if (points.length > 0 && points[points.length - 1].tick === tick) {
+                points.pop();
+            }
+            const last = points.length > 0 ? points[points.length - 1][field] : previous;
+            if (value !== last) {
+                points.push({ position: tick * GRID_WIDTH / AUTOMATION_TICKS_PER_BEAT, tick, [field]: value });
+            }
         };
         
-        const noteInOctave = midiNote % 12;
+        result.velocity = volumeAt(startTime);
+        const volumeTimes = [...new Set([...changeTimes(controls[7]), ...changeTimes(controls[11])])].sort((a, b) => a - b);
+        volumeTimes.forEach(time => addPoint(result.volumeAutomation, time, 'volume', volumeAt(time), result.velocity));
         
-        // Map MIDI note to our octave system
-        // Use C-based octaves since the frequency calculation handles the shift
-        let octave;
-        if (midiNote < 12) {
-            octave = 0; // Notes below C0 map to octave 0
-        } else if (midiNote >= 108) {
-            octave = 7; // Notes above B7 map to octave 7
-        } else {
-            octave = Math.floor((midiNote - 12) / 12);
+        if (controls[10].length > 0) {
+            // Before the first pan change the note keeps the pan it was given
+            const startPan = controls[10][0].time <= startTime ? panAt(startTime) : null;
+            result.pan = startPan;
+            changeTimes(controls[10]).forEach(time => addPoint(result.panAutomation, time, 'pan', panAt(time), startPan));
         }
         
-        // Use the 12-tone to 46 EDO mapping
-        const key46 = octave * NOTES_PER_OCTAVE + TWELVE_TO_46_EDO_MAP[noteInOctave];
+        return result;
+    }
+    
+    /**
+     * Organya drum and fixed piano roll key for a General MIDI percussion note
+     * Map keys are ORG keys, an octave below MIDI note numbers; drums ignore the tuning
+     */
+    static mapGmDrum(midiNote, drumMap = GM_DRUM_MAP) {
+        const drum = this.getDrumMapping(midiNote, drumMap);
+        return { instrument: drum.instrument, key: this.midiNoteTo46edo(drum.key + 12, DEFAULT_TUNING) };
+    }
+    
+    /**
+     * Drum map entry {instrument, key} for a General MIDI percussion note - unmapped notes get GM_DRUM_DEFAULT
+     */
+    static getDrumMapping(midiNote, drumMap = GM_DRUM_MAP) {
+        return drumMap[midiNote] || GM_DRUM_DEFAULT;
+    }
+    
+    /**
+     * Pitch bend state of a channel, created at the General MIDI default range of +/-2 semitones
+     */
+    static getBendState(channelBends, channel) {
+        if (!channelBends.has(channel)) {
+            channelBends.set(channel, { value: 0, rangeSemitones: 2, rangeCents: 0, rpnMsb: 127, rpnLsb: 127 });
+        }
+        return channelBends.get(channel);
+    }
+    
+    /**
+     * Current pitch bend of a channel in cents
+     */
+    static getBendCents(bendState) {
+        return bendState.value / 8192 * (bendState.rangeSemitones * 100 + bendState.rangeCents);
+    }
+    
+    /**
+     * Follow RPN data entry for the pitch bend range (RPN 0) and the MPE configuration
+     * message (RPN 6), which sets the zone's member channels to +/-48 semitones
+     */
+    static handleBendControl(channelBends, event) {
+        const state = this.getBendState(channelBends, event.channel);
+        const rpn = (state.rpnMsb << 7) | state.rpnLsb;
         
-        // Clamp the final key to valid piano range
-        const maxKey = NUM_OCTAVES * NOTES_PER_OCTAVE - 1;
-        return Math.max(0, Math.min(maxKey, key46));
+        switch (event.controller) {
+            case 101: // RPN MSB
+                state.rpnMsb = event.value;
+                break;
+            case 100: // RPN LSB
+                state.rpnLsb = event.value;
+                break;
+            case 98: // NRPN LSB/MSB - data entry no longer goes to an RPN
+            case 99:
+                state.rpnMsb = 127;
+                state.rpnLsb = 127;
+                break;
+            case 6: // Data entry MSB
+                if (rpn === 0) {
+                    state.rangeSemitones = event.value;
+                } else if (rpn === 6 && (event.channel === 0 || event.channel === 15)) {
+                    // Lower zone members follow channel 1, upper zone members precede channel 16
+                    for (let i = 1; i <= Math.min(event.value, 15); i++) {
+                        const member = this.getBendState(channelBends, event.channel === 0 ? i : 15 - i);
+                        member.rangeSemitones = 48;
+                        member.rangeCents = 0;
+                        member.mpeMember = true;
+                    }
+                }
+                break;
+            case 38: // Data entry LSB
+                if (rpn === 0) {
+                    state.rangeCents = event.value;
+                }
+                break;
+            case 121: // Reset all controllers
+                state.value = 0;
+                state.rpnMsb = 127;
+                state.rpnLsb = 127;
+                break;
+        }
     }
     
     /**
@@ -879,10 +1192,10 @@ export class MidiParser {
      * Snap position to grid
      * @param {number} x - X position to snap
      * @param {boolean} useFineResolution - Whether to use fine resolution snapping
+     * @param {number} subdivisions - Grid divisions per beat (overrides the resolution flag)
      */
-    static snapToGrid(x, useFineResolution = false) {
+    static snapToGrid(x, useFineResolution = false, subdivisions = useFineResolution ? 64 : GRID_SUBDIVISIONS) {
         // Always use base grid width for consistent positioning
-        const subdivisions = useFineResolution ? 64 : GRID_SUBDIVISIONS;
         const subdivisionWidth = GRID_WIDTH / subdivisions;
         // Round to nearest grid position
         const gridUnits = Math.round((x - PIANO_KEY_WIDTH) / subdivisionWidth);
@@ -892,11 +1205,11 @@ export class MidiParser {
     /**
      * Calculate number of measures from notes
      */
-    static calculateMeasures(notes) {
+    static calculateMeasures(notes, meterMap = new MeterMap()) {
         if (notes.length === 0) return 4;
         
         const maxX = Math.max(...notes.map(n => n.x + n.width));
-        const measures = Math.ceil((maxX - PIANO_KEY_WIDTH) / (GRID_WIDTH * BEATS_PER_MEASURE));
+        const measures = meterMap.getMeasureAtBeat((maxX - PIANO_KEY_WIDTH) / GRID_WIDTH - 1e-9) + 1;
         
         return Math.max(4, measures);
     }
@@ -1218,4 +1531,37 @@ export class MidiParser {
         
         return instruments[program] || `Program ${program}`;
     }
+    
+    /**
+     * Get General MIDI percussion name from note number
+     */
+    static getGmDrumName(note) {
+        const drums = [
+            "Acoustic Bass Drum", "Bass Drum 1", "Side Stick", "Acoustic Snare",
+            "Hand Clap", "Electric Snare", "Low Floor Tom", "Closed Hi-Hat",
+            "High Floor Tom", "Pedal Hi-Hat", "Low Tom", "Open Hi-Hat",
+            "Low-Mid Tom", "Hi-Mid Tom", "Crash Cymbal 1", "High Tom",
+            "Ride Cymbal 1", "Chinese Cymbal", "Ride Bell", "Tambourine",
+            "Splash Cymbal", "Cowbell", "Crash Cymbal 2", "Vibraslap",
+            "Ride Cymbal 2", "Hi Bongo", "Low Bongo", "Mute Hi Conga",
+            "Open Hi Conga", "Low Conga", "High Timbale", "Low Timbale",
+            "High Agogo", "Low Agogo", "Cabasa", "Maracas",
+            "Short Whistle", "Long Whistle", "Short Guiro", "Long Guiro",
+            "Claves", "Hi Wood Block", "Low Wood Block", "Mute Cuica",
+            "Open Cuica", "Mute Triangle", "Open Triangle"
+        ];
+        
+        return drums[note - 35] || `Percussion ${note}`;
+    }
+    
+    /**
+     * General MIDI percussion notes (channel 10) used anywhere in the file, in order
+     */
+    static getPercussionNotes(midiData) {
+        const notes = new Set();
+        midiData.tracks.forEach(track => track.events.forEach(event => {
+            if (event.type === 'noteOn' && event.channel === 9) notes.add(event.note);
+        }));
+        return [...notes].sort((a, b) => a - b);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,333 @@
+import {
+    PIANO_KEY_WIDTH,
+    GRID_WIDTH,
+    DRUM_SAMPLE_PATTERN,
+    BASE_FREQUENCY
+} from './constants.js';
+import { DEFAULT_TUNING } from './Tuning.js';
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+
+const DRUM_CHANNEL = 9;
+const MPE_MASTER_CHANNEL = 0;
+
+// Tempo ramps are written as a tempo event every this many beats
+const RAMP_STEP_BEATS = 0.25;
+
+// Event ordering within a tick: note-offs first, then channel setup, then note-ons
+const ORDER_NOTE_OFF = 0;
+const ORDER_SETUP = 1;
+const ORDER_NOTE_ON = 2;
+
+/**
+ * Standard MIDI File writer
+ * Tuned keys are written as the nearest 12-TET note plus a pitch bend. In 'pitchbend' mode
+ * notes rotate over channels so simultaneous notes never share a different bend; in 'mpe'
+ * mode every note gets its own member channel of an MPE lower zone.
+ */
+export class MidiWriter {
+    /**
+     * Create a MIDI file from notes
+     * @param {Array} notes - Note array
+     * @param {Object} settings - {bpm, tempoMap, meterMap, mode: 'pitchbend'|'mpe', ticksPerQuarter, bendRange, tuning}
+     * @returns {ArrayBuffer} MIDI file data (format 1, one track per instrument)
+     */
+    static createMidiFile(notes, settings = {}) {
+        const mode = settings.mode || 'pitchbend';
+        const ticksPerQuarter = settings.ticksPerQuarter || 480;
+        // MPE members default to +/-48 semitones; plain channels to +/-2
+        const bendRange = settings.bendRange || (mode === 'mpe' ? 48 : 2);
+        const tempoMap = settings.tempoMap || new TempoMap(settings.bpm || 120);
+        const meterMap = settings.meterMap || new MeterMap();
+        const tuning = settings.tuning || DEFAULT_TUNING;
+
+        // One track per instrument, in order of first appearance
+        const instrumentTracks = new Map();
+        const sorted = notes.slice().sort((a, b) => a.x - b.x || a.key - b.key);
+        for (const note of sorted) {
+            if (!instrumentTracks.has(note.instrument)) {
+                instrumentTracks.set(note.instrument, []);
+            }
+        }
+
+        const conductor = this.buildConductorTrack(tempoMap, meterMap, mode, bendRange, ticksPerQuarter);
+        const channels = mode === 'mpe'
+            ? this.createChannels(Array.from({ length: 15 }, (_, i) => i + 1))
+            : this.createChannels(Array.from({ length: 16 }, (_, i) => i).filter(ch => ch !== DRUM_CHANNEL));
+        const [drumChannel] = this.createChannels([DRUM_CHANNEL]);
+
+        // Channels are shared by all tracks, so allocate in time order across the whole song
+        for (const note of sorted) {
+            const start = Math.max(0, Math.round((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH * ticksPerQuarter));
+            const end = Math.max(start + 1, Math.round((note.x + note.width - PIANO_KEY_WIDTH) / GRID_WIDTH * ticksPerQuarter));
+            const isDrum = DRUM_SAMPLE_PATTERN.test(note.instrument);
+            // Drums ignore the tuning; keys the tuning leaves unmapped are silent
+            const keyTuning = isDrum ? DEFAULT_TUNING : tuning;
+            if (!keyTuning.isMapped(note.key)) continue;
+            const { midiNote, bend } = this.keyToMidi(note.key, bendRange, keyTuning);
+            const pan = Math.max(0, Math.min(127, Math.round(64 + (note.pan || 0) * 63 / 100)));
+            const velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+            const events = instrumentTracks.get(note.instrument);
+
+            let channel;
+            if (isDrum && mode !== 'mpe') {
+                // GM percussion has no tuning to preserve
+                channel = drumChannel;
+            } else {
+                channel = mode === 'mpe'
+                    ? this.allocateMpeChannel(channels, start)
+                    : this.allocateChannel(channels, start, note.instrument, bend, pan);
+
+                if (channel.bend !== bend) {
+                    events.push(this.channelEvent(start, ORDER_SETUP, 0xE0, channel.number, bend & 0x7F, bend >> 7));
+                    channel.bend = bend;
+                }
+                channel.instrument = note.instrument;
+            }
+
+            if (channel.pan !== pan) {
+                events.push(this.channelEvent(start, ORDER_SETUP, 0xB0, channel.number, 10, pan));
+                channel.pan = pan;
+            }
+
+            channel.activeEnds.push(end);
+            channel.lastUsed = start;
+            events.push(this.channelEvent(start, ORDER_NOTE_ON, 0x90, channel.number, midiNote, velocity));
+            events.push(this.channelEvent(end, ORDER_NOTE_OFF, 0x80, channel.number, midiNote, 0));
+        }
+
+        const tracks = [conductor];
+        for (const [instrument, events] of instrumentTracks) {
+            tracks.push([this.metaEvent(0, 0x03, this.encodeText(instrument)), ...events]);
+        }
+
+        return this.writeFile(tracks.map(events => this.encodeTrack(events)), ticksPerQuarter);
+    }
+
+    /**
+     * Tempo map, time signatures and pitch bend range setup
+     */
+    static buildConductorTrack(tempoMap, meterMap, mode, bendRange, ticksPerQuarter) {
+        const events = [
+            this.metaEvent(0, 0x03, this.encodeText('that46')),
+            ...this.tempoEvents(tempoMap, ticksPerQuarter),
+            ...meterMap.meters.map(meter => this.metaEvent(
+                Math.round(meterMap.getMeasureStartBeat(meter.measure) * ticksPerQuarter),
+                0x58,
+                [meter.numerator, Math.log2(meter.denominator), 24, 8] // denominator as a power of 2
+            ))
+        ];
+
+        if (mode === 'mpe') {
+            // MPE Configuration Message: lower zone with 15 member channels
+            events.push(...this.rpnEvents(MPE_MASTER_CHANNEL, 6, 15));
+            for (let channel = 1; channel < 16; channel++) {
+                events.push(...this.rpnEvents(channel, 0, bendRange));
+            }
+        } else {
+            for (let channel = 0; channel < 16; channel++) {
+                if (channel !== DRUM_CHANNEL) {
+                    events.push(...this.rpnEvents(channel, 0, bendRange));
+                }
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Set Tempo events for every tempo change
+     * MIDI tempo can only jump, so ramps become steps whose average tempo keeps the ramp's timing
+     */
+    static tempoEvents(tempoMap, ticksPerQuarter) {
+        const events = [];
+        const setTempo = (beat, bpm) => {
+            const microsecondsPerQuarter = Math.round(60000000 / bpm);
+            events.push(this.metaEvent(Math.round(beat * ticksPerQuarter), 0x51, [
+                (microsecondsPerQuarter >> 16) & 0xFF,
+                (microsecondsPerQuarter >> 8) & 0xFF,
+                microsecondsPerQuarter & 0xFF
+            ]));
+        };
+
+        tempoMap.points.forEach((point, index) => {
+            const next = tempoMap.points[index + 1];
+            if (!point.ramp || !next) {
+                setTempo(point.beat, point.bpm);
+                return;
+            }
+            for (let beat = point.beat; beat < next.beat - 1e-9; beat += RAMP_STEP_BEATS) {
+                const stepEnd = Math.min(beat + RAMP_STEP_BEATS, next.beat);
+                setTempo(beat, 60 * (stepEnd - beat) / tempoMap.getDuration(beat, stepEnd));
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Convert a key to the nearest MIDI note and a 14-bit pitch bend
+     * Notes are placed by the key's frequency (MIDI note 69 = 440 Hz), so bent notes sound as the app plays them
+     */
+    static keyToMidi(key, bendRange, tuning = DEFAULT_TUNING) {
+        const exactNote = 69 + 12 * Math.log2(tuning.getFrequency(key) / BASE_FREQUENCY);
+        const midiNote = Math.max(0, Math.min(127, Math.round(exactNote)));
+        const bend = Math.round(8192 + (exactNote - midiNote) / bendRange * 8192);
+
+        return { midiNote, bend: Math.max(0, Math.min(16383, bend)) };
+    }
+
+    /**
+     * Create channel state for allocation
+     */
+    static createChannels(numbers) {
+        return numbers.map(number => ({
+            number,
+            instrument: null,
+            bend: 8192,
+            pan: 64,
+            activeEnds: [],
+            lastUsed: -1
+        }));
+    }
+
+    /**
+     * Pick a channel for a note, rotating so sounding notes keep their own bend
+     */
+    static allocateChannel(channels, start, instrument, bend, pan) {
+        channels.forEach(channel => {
+            channel.activeEnds = channel.activeEnds.filter(end => end > start);
+        });
+
+        const matches = (channel) =>
+            channel.instrument === instrument && channel.bend === bend && channel.pan === pan;
+        const idle = channels.filter(channel => channel.activeEnds.length === 0);
+        const leastRecent = (list) => list.reduce((best, channel) =>
+            channel.lastUsed < best.lastUsed ? channel : best);
+
+        // Share a channel whose bend already fits, then reuse an idle one
+        const sharing = channels.find(channel => channel.activeEnds.length > 0 && matches(channel));
+        if (sharing) return sharing;
+
+        const idleMatch = idle.find(matches);
+        if (idleMatch) return idleMatch;
+        if (idle.length > 0) return leastRecent(idle);
+
+        // Every channel is busy - steal the one that frees up first
+        return channels.reduce((best, channel) =>
+            Math.min(...channel.activeEnds) < Math.min(...best.activeEnds) ? channel : best);
+    }
+
+    /**
+     * Pick an MPE member channel - one note per channel, least recently used first
+     */
+    static allocateMpeChannel(channels, start) {
+        channels.forEach(channel => {
+            channel.activeEnds = channel.activeEnds.filter(end => end > start);
+        });
+
+        const idle = channels.filter(channel => channel.activeEnds.length === 0);
+        if (idle.length > 0) {
+            return idle.reduce((best, channel) => channel.lastUsed < best.lastUsed ? channel : best);
+        }
+
+        return channels.reduce((best, channel) =>
+            Math.min(...channel.activeEnds) < Math.min(...best.activeEnds) ? channel : best);
+    }
+
+    /**
+     * Registered parameter change (RPN), followed by a null RPN
+     */
+    static rpnEvents(channel, parameter, value) {
+        return [
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 101, 0),
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 100, parameter),
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 6, value),
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 38, 0),
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 101, 127),
+            this.channelEvent(0, ORDER_SETUP, 0xB0, channel, 100, 127)
+        ];
+    }
+
+    static channelEvent(tick, order, status, channel, data1, data2) {
+        return { tick, order, bytes: [status | channel, data1, data2] };
+    }
+
+    static metaEvent(tick, type, data) {
+        return { tick, order: ORDER_SETUP, bytes: [0xFF, type, ...this.encodeVariableLength(data.length), ...data] };
+    }
+
+    static encodeText(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    /**
+     * Encode a number as a MIDI variable-length quantity
+     */
+    static encodeVariableLength(value) {
+        const bytes = [value & 0x7F];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode track events (sorted by time) into MTrk data
+     */
+    static encodeTrack(events) {
+        // Stable sort keeps insertion order within the same tick and priority
+        const sorted = events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+        const bytes = [];
+        let lastTick = 0;
+        for (const event of sorted) {
+            bytes.push(...this.encodeVariableLength(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        }
+
+        // End of track
+        bytes.push(0x00, 0xFF, 0x2F, 0x00);
+        return bytes;
+    }
+
+    /**
+     * Write header and track chunks
+     */
+    static writeFile(tracks, ticksPerQuarter) {
+        const fileSize = 14 + tracks.reduce((sum, track) => sum + 8 + track.length, 0);
+        const buffer = new ArrayBuffer(fileSize);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset++, text.charCodeAt(i));
+            }
+        };
+
+        // Header chunk
+        writeString('MThd');
+        view.setUint32(offset, 6, false);
+        view.setUint16(offset + 4, 1, false); // Format 1
+        view.setUint16(offset + 6, tracks.length, false);
+        view.setUint16(offset + 8, ticksPerQuarter, false);
+        offset += 10;
+
+        // Track chunks
+        for (const track of tracks) {
+            writeString('MTrk');
+            view.setUint32(offset, track.length, false);
+            offset += 4;
+            bytes.set(track, offset);
+            offset += track.length;
+        }
+
+        return buffer;
+    }
+}
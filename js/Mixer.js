@@ -0,0 +1,82 @@
+/**
+ * Song mixer - a channel strip per instrument between its notes and the master bus
+ * Volume is a percentage of unity gain, pan runs from -100 (left) to 100 (right).
+ * Instruments without settings play at unity gain, centred.
+ */
+export class Mixer {
+    /**
+     * @param {Object} channels - Settings by instrument name, as {volume, pan, mute, solo}
+     */
+    constructor(channels = {}) {
+        this.channels = new Map();
+        for (const [name, settings] of Object.entries(channels)) {
+            this.setChannel(name, settings);
+        }
+    }
+
+    static defaultChannel() {
+        return { volume: 100, pan: 0, mute: false, solo: false };
+    }
+
+    /**
+     * Settings for an instrument (a copy - change them with setChannel)
+     */
+    getChannel(name) {
+        return { ...(this.channels.get(name) || Mixer.defaultChannel()) };
+    }
+
+    /**
+     * Change some of an instrument's settings
+     * @param {string} name - Instrument name
+     * @param {Object} changes - Any of {volume, pan, mute, solo}
+     */
+    setChannel(name, changes) {
+        const channel = { ...this.getChannel(name), ...changes };
+        channel.volume = Math.max(0, channel.volume);
+        channel.pan = Math.max(-100, Math.min(100, channel.pan));
+        channel.mute = !!channel.mute;
+        channel.solo = !!channel.solo;
+        this.channels.set(name, channel);
+    }
+
+    hasSolo() {
+        return Array.from(this.channels.values()).some(channel => channel.solo);
+    }
+
+    /**
+     * Whether an instrument is heard - not muted, and soloed when anything is
+     */
+    isAudible(name) {
+        const channel = this.getChannel(name);
+        return !channel.mute && (channel.solo || !this.hasSolo());
+    }
+
+    /**
+     * Linear gain of an instrument's channel, 0 when it isn't heard
+     */
+    getGain(name) {
+        return this.isAudible(name) ? this.getChannel(name).volume / 100 : 0;
+    }
+
+    clone() {
+        return new Mixer(Object.fromEntries(this.channels));
+    }
+
+    /**
+     * Song file format - only channels that differ from the defaults
+     * @returns {Object|null} Null when every channel is at its defaults
+     */
+    toJSON() {
+        const defaults = Mixer.defaultChannel();
+        const channels = Array.from(this.channels.entries())
+            .filter(([, channel]) => Object.keys(defaults).some(key => channel[key] !== defaults[key]));
+        return channels.length > 0 ? Object.fromEntries(channels) : null;
+    }
+
+    /**
+     * Restore a mixer saved with toJSON (missing data means every channel at its defaults)
+     */
+    static fromJSON(data) {
+        return new Mixer(data || {});
+    }
+}
@@ -1,4 +1,5 @@
-import { GRID_WIDTH, GRID_SUBDIVISIONS, PIANO_KEY_WIDTH, NOTE_HEIGHT, NUM_OCTAVES, NOTES_PER_OCTAVE, BEATS_PER_MEASURE } from './constants.js';
+import { GRID_WIDTH, GRID_SUBDIVISIONS, PIANO_KEY_WIDTH, NOTE_HEIGHT, NUM_OCTAVES, NOTES_PER_OCTAVE, BEATS_PER_MEASURE, TOTAL_KEYS } from './constants.js';
+import { MeterMap } from './MeterMap.js';
 
 /**
  * Manages note data and operations
@@ -15,6 +16,16 @@ export class NoteManager {
         this.needsNoteGrouping = true;
     }
 
+    /**
+     * Run an edit through the undo history (if attached)
+     * @param {string} label - Description of the edit
+     * @param {Function} fn - Function that performs the edit
+     */
+    record(label, fn) {
+        const history = this.pianoRoll?.history;
+        return history ? history.record(label, fn) : fn();
+    }
+
     /**
      * Create a new note
      * @param {Object} noteData - Note properties
@@ -27,13 +38,16 @@ export class NoteManager {
             width: noteData.width || GRID_WIDTH / GRID_SUBDIVISIONS,
             height: noteData.height || NOTE_HEIGHT,
             key: noteData.key,
-            velocity: noteData.velocity || 100,
+            velocity: noteData.velocity ?? 100,
             pan: noteData.pan || 0,
             instrument: noteData.instrument,
             pipi: noteData.pipi !== undefined ? noteData.pipi : null,
             volumeAutomation: noteData.volumeAutomation || [],
             panAutomation: noteData.panAutomation || [],
             freqAdjust: noteData.freqAdjust || 0,
+            orgTrack: noteData.orgTrack ?? null, // Source ORG track (kept for ORG export)
+            orgVolume: noteData.orgVolume ?? null, // Raw ORG volume and pan bytes (kept for ORG export)
+            orgPan: noteData.orgPan ?? null,
             id: this.generateNoteId()
         };
         
@@ -52,12 +66,14 @@ export class NoteManager {
             return;
         }
         
-        const index = this.notes.indexOf(note);
-        if (index !== -1) {
-            this.notes.splice(index, 1);
-            this.selectedNotes.delete(note);
-            this.needsNoteGrouping = true;
-        }
+        this.record('Delete Note', () => {
+            const index = this.notes.indexOf(note);
+            if (index !== -1) {
+                this.notes.splice(index, 1);
+                this.selectedNotes.delete(note);
+                this.needsNoteGrouping = true;
+            }
+        });
     }
 
     /**
@@ -71,7 +87,9 @@ export class NoteManager {
                 // Skip notes from muted tracks
                 return !(this.pianoRoll && this.pianoRoll.trackVisibility.get(note.instrument) === false);
             });
-        notesToDelete.forEach(note => this.deleteNote(note));
+        this.record('Delete Notes', () => {
+            notesToDelete.forEach(note => this.deleteNote(note));
+        });
     }
 
     /**
@@ -152,29 +170,31 @@ export class NoteManager {
      * @param {boolean} snapToGrid - Whether to snap to grid
      */
     moveSelectedNotes(deltaX, deltaY, snapToGrid = true) {
-        const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
-        
-        for (const note of this.selectedNotes) {
-            let newX = note.x + deltaX;
-            let newY = note.y + deltaY;
+        this.record('Move Notes', () => {
+            const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
             
-            // Snap to grid if enabled
-            if (snapToGrid && deltaX !== 0) {
-                newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) * 
-                       subdivisionWidth + PIANO_KEY_WIDTH;
+            for (const note of this.selectedNotes) {
+                let newX = note.x + deltaX;
+                let newY = note.y + deltaY;
+                
+                // Snap to grid if enabled
+                if (snapToGrid && deltaX !== 0) {
+                    newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) * 
+                           subdivisionWidth + PIANO_KEY_WIDTH;
+                }
+                
+                // Ensure notes stay within bounds
+                newX = Math.max(PIANO_KEY_WIDTH, newX);
+                const newKey = Math.floor((NUM_OCTAVES * NOTES_PER_OCTAVE - 1) - (newY / NOTE_HEIGHT));
+                if (newKey >= 0 && newKey < NUM_OCTAVES * NOTES_PER_OCTAVE) {
+                    note.x = newX;
+                    note.y = newY;
+                    note.key = newKey;
+                }
             }
             
-            // Ensure notes stay within bounds
-            newX = Math.max(PIANO_KEY_WIDTH, newX);
-            const newKey = Math.floor((NUM_OCTAVES * NOTES_PER_OCTAVE - 1) - (newY / NOTE_HEIGHT));
-            if (newKey >= 0 && newKey < NUM_OCTAVES * NOTES_PER_OCTAVE) {
-                note.x = newX;
-                note.y = newY;
-                note.key = newKey;
-            }
-        }
-        
-        this.needsNoteGrouping = true;
+            this.needsNoteGrouping = true;
+        });
     }
 
     /**
@@ -185,50 +205,143 @@ export class NoteManager {
      * @param {Map} originalPositions - Map of notes to their original positions (for left resize)
      */
     resizeSelectedNotes(deltaWidth, direction, originalWidths, originalPositions) {
-        const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
-        const gridSnap = this.pianoRoll?.gridSnap || false;
-        
-        for (const note of this.selectedNotes) {
-            const originalWidth = originalWidths?.get(note) || note.width;
-            const originalPos = originalPositions?.get(note);
+        this.record('Resize Notes', () => {
+            const subdivisionWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
+            const gridSnap = this.pianoRoll?.gridSnap || false;
             
-            if (direction === 'right') {
-                // Calculate new right edge
-                let newRightEdge = (originalPos?.x || note.x) + originalWidth + deltaWidth;
-                
-                // Snap to grid if enabled
-                if (gridSnap) {
-                    newRightEdge = Math.round((newRightEdge - PIANO_KEY_WIDTH) / subdivisionWidth) * 
-                                   subdivisionWidth + PIANO_KEY_WIDTH;
-                }
+            for (const note of this.selectedNotes) {
+                const originalWidth = originalWidths?.get(note) || note.width;
+                const originalPos = originalPositions?.get(note);
                 
-                // Calculate new width from snapped edge
-                const newWidth = newRightEdge - note.x;
-                note.width = Math.max(subdivisionWidth, newWidth);
-            } else if (direction === 'left') {
-                if (originalPos) {
-                    // Calculate new left edge
-                    let newX = originalPos.x + deltaWidth;
+                if (direction === 'right') {
+                    // Calculate new right edge
+                    let newRightEdge = (originalPos?.x || note.x) + originalWidth + deltaWidth;
                     
                     // Snap to grid if enabled
                     if (gridSnap) {
-                        newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) * 
-                               subdivisionWidth + PIANO_KEY_WIDTH;
+                        newRightEdge = Math.round((newRightEdge - PIANO_KEY_WIDTH) / subdivisionWidth) * 
+                                       subdivisionWidth + PIANO_KEY_WIDTH;
                     }
                     
-                    // Keep right edge fixed
-                    const rightEdge = originalPos.x + originalWidth;
-                    const newWidth = rightEdge - newX;
-                    
-                    if (newWidth >= subdivisionWidth && newX >= PIANO_KEY_WIDTH) {
-                        note.x = newX;
-                        note.width = newWidth;
+                    // Calculate new width from snapped edge
+                    const newWidth = newRightEdge - note.x;
+                    note.width = Math.max(subdivisionWidth, newWidth);
+                } else if (direction === 'left') {
+                    if (originalPos) {
+                        // Calculate new left edge
+                        let newX = originalPos.x + deltaWidth;
+                        
+                        // Snap to grid if enabled
+                        if (gridSnap) {
+                            newX = Math.round((newX - PIANO_KEY_WIDTH) / subdivisionWidth) * 
+                                   subdivisionWidth + PIANO_KEY_WIDTH;
+                        }
+                        
+                        // Keep right edge fixed
+                        const rightEdge = originalPos.x + originalWidth;
+                        const newWidth = rightEdge - newX;
+                        
+                        if (newWidth >= subdivisionWidth && newX >= PIANO_KEY_WIDTH) {
+                            note.x = newX;
+                            note.width = newWidth;
+                        }
                     }
                 }
             }
-        }
+            
+            this.needsNoteGrouping = true;
+        });
+    }
+
+    /**
+     * Transpose notes by a number of 46 EDO steps
+     * @param {Array} notes - Notes to transpose
+     * @param {number} steps - Steps to shift (negative = down)
+     * @returns {number} Number of notes clamped at the keyboard edge
+     */
+    transposeNotes(notes, steps) {
+        let clamped = 0;
         
-        this.needsNoteGrouping = true;
+        this.record('Transpose', () => {
+            for (const note of notes) {
+                const targetKey = note.key + steps;
+                const newKey = Math.max(0, Math.min(TOTAL_KEYS - 1, targetKey));
+                if (newKey !== targetKey) {
+                    clamped++;
+                }
+                
+                note.key = newKey;
+                note.y = (TOTAL_KEYS - 1 - newKey) * NOTE_HEIGHT;
+            }
+            
+            this.adjacentNoteCache.clear();
+            this.needsNoteGrouping = true;
+        });
+        
+        return clamped;
+    }
+
+    /**
+     * Quantize note starts and/or ends to a grid
+     * @param {Array} notes - Notes to quantize
+     * @param {Object} options - Quantize options
+     * @param {number} options.subdivisions - Grid divisions per beat
+     * @param {number} options.strength - 0-100, how far to move towards the grid
+     * @param {number} options.swing - 0-100, delay of off-beat grid points (100 = 2:1 shuffle)
+     * @param {boolean} options.start - Quantize note starts (keeps length if ends aren't quantized)
+     * @param {boolean} options.end - Quantize note ends
+     */
+    quantizeNotes(notes, { subdivisions, strength = 100, swing = 0, start = true, end = false }) {
+        const subdivisionWidth = GRID_WIDTH / subdivisions;
+        const amount = strength / 100;
+        const swingOffset = (swing / 100) * subdivisionWidth / 3;
+        const minWidth = GRID_WIDTH / 64; // Smallest fine-resolution step
+        
+        const meterMap = this.pianoRoll?.meterMap || new MeterMap();
+        
+        // The grid restarts at every barline like the editor's snap, so odd meters stay aligned
+        const snap = (x) => {
+            const beat = Math.max(0, (x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+            const measure = meterMap.getMeasureAtBeat(beat);
+            const measureStart = meterMap.getMeasureStartBeat(measure);
+            const measureEnd = meterMap.getMeasureStartBeat(measure + 1);
+            const gridIndex = Math.round((beat - measureStart) * subdivisions);
+            const gridBeat = measureStart + gridIndex / subdivisions;
+            
+            // The next barline is a grid point too, even when the grid doesn't divide the measure
+            if (gridBeat >= measureEnd || measureEnd - beat < Math.abs(gridBeat - beat)) {
+                return PIANO_KEY_WIDTH + measureEnd * GRID_WIDTH;
+            }
+            const snapped = PIANO_KEY_WIDTH + gridBeat * GRID_WIDTH;
+            return gridIndex % 2 === 1 ? snapped + swingOffset : snapped;
+        };
+        
+        this.record('Quantize', () => {
+            for (const note of notes) {
+                const noteEnd = note.x + note.width;
+                let newX = note.x;
+                let newEnd = noteEnd;
+                
+                if (start) {
+                    newX = Math.max(PIANO_KEY_WIDTH, note.x + (snap(note.x) - note.x) * amount);
+                    newEnd = newX + note.width;
+                }
+                
+                if (end) {
+                    let targetEnd = snap(noteEnd);
+                    // Never collapse a note - keep at least one grid step
+                    if (targetEnd <= newX) {
+                        targetEnd = snap(newX) + subdivisionWidth;
+                    }
+                    newEnd = noteEnd + (targetEnd - noteEnd) * amount;
+                }
+                
+                note.x = newX;
+                note.width = Math.max(minWidth, newEnd - newX);
+            }
+            
+            this.needsNoteGrouping = true;
+        });
     }
 
     /**
@@ -274,7 +387,7 @@ export class NoteManager {
      */
     cutSelectedNotes() {
         this.copySelectedNotes();
-        this.deleteSelectedNotes();
+        this.record('Cut', () => this.deleteSelectedNotes());
     }
 
     /**
@@ -285,21 +398,23 @@ export class NoteManager {
     pasteNotes(x, y) {
         if (this.clipboard.length === 0) return;
         
-        this.selectedNotes.clear();
-        
-        // Paste notes at the specified position
-        this.clipboard.forEach(clipNote => {
-            const newNote = this.createNote({
-                x: x + clipNote.relativeX,
-                y: y + clipNote.relativeY,
-                width: clipNote.width,
-                height: clipNote.height,
-                key: clipNote.key,
-                velocity: clipNote.velocity,
-                pan: clipNote.pan,
-                instrument: clipNote.instrument
+        this.record('Paste', () => {
+            this.selectedNotes.clear();
+            
+            // Paste notes at the specified position
+            this.clipboard.forEach(clipNote => {
+                const newNote = this.createNote({
+                    x: x + clipNote.relativeX,
+                    y: y + clipNote.relativeY,
+                    width: clipNote.width,
+                    height: clipNote.height,
+                    key: clipNote.key,
+                    velocity: clipNote.velocity,
+                    pan: clipNote.pan,
+                    instrument: clipNote.instrument
+                });
+                this.selectedNotes.add(newNote);
             });
-            this.selectedNotes.add(newNote);
         });
     }
 
@@ -307,10 +422,12 @@ export class NoteManager {
      * Delete all selected notes
      */
     deleteSelectedNotes() {
-        for (const note of this.selectedNotes) {
-            this.deleteNote(note);
-        }
-        this.selectedNotes.clear();
+        this.record('Delete Notes', () => {
+            for (const note of this.selectedNotes) {
+                this.deleteNote(note);
+            }
+            this.selectedNotes.clear();
+        });
     }
 
     /**
@@ -1,6 +1,9 @@
 import {
-    ORG_FILE_SIGNATURE,
+    ORG_FILE_SIGNATURES,
     ORG_VERSION,
+    ORG_LEGACY_DRUM_COUNT,
+    ORG_DRUM_WAVES,
+    ORG_DRUM_SAMPLE_WAVES,
     ORG_MAX_KEY,
     NOTES_PER_OCTAVE,
     NOTES_PER_SEMITONE,
@@ -8,11 +11,15 @@ import {
     GRID_WIDTH,
     BEATS_PER_MEASURE,
     NOTE_HEIGHT,
-    NUM_OCTAVES
+    NUM_OCTAVES,
+    DRUM_SAMPLE_PATTERN
 } from './constants.js';
+import { DEFAULT_TUNING } from './Tuning.js';
 
 /**
  * Parser for Organya (.org) music files
+ * Reads Org-01, Org-02 and Org-03 - they share one layout, but Org-01 has no pipi
+ * and Org-03 adds drum waves
  */
 export class OrgParser {
     /**
@@ -33,15 +40,19 @@ export class OrgParser {
         const header = this.readHeader(view, offset);
         offset += 18;
 
-        if (header.signature !== ORG_FILE_SIGNATURE) {
+        if (!header.version) {
             throw new Error('Invalid ORG file signature');
         }
 
-
         // Read instruments
         const instruments = this.readInstruments(view, offset);
         offset += 16 * 6; // 16 tracks * 6 bytes each
 
+        // Org Maker 1 had no pipi, so whatever is in that byte is ignored
+        if (header.version === 1) {
+            instruments.forEach(inst => { inst.pipi = 0; });
+        }
+
         // Read all track data
         const tracks = this.readAllTracks(view, offset, instruments);
 
@@ -66,8 +77,11 @@ export class OrgParser {
         const signatureBytes = new Uint8Array(view.buffer, offset, 6);
         const signature = decoder.decode(signatureBytes);
 
+        const version = Object.keys(ORG_FILE_SIGNATURES).find(v => ORG_FILE_SIGNATURES[v] === signature);
+
         return {
             signature: signature,
+            version: version ? parseInt(version) : null,
             wait: view.getUint16(offset + 6, true), // 'wait' is the tempo field in ORG
             stepsPerBar: view.getUint8(offset + 8),
             beatsPerStep: view.getUint8(offset + 9),
@@ -184,22 +198,26 @@ export class OrgParser {
      * Convert ORG data to piano roll notes
      * @param {Object} orgData - Parsed ORG data
      * @param {number} targetBpm - Target BPM for display
+     * @param {Tuning} tuning - Tuning that ORG keys are mapped into
      * @returns {Object} Converted data
      */
-    static convertToNotes(orgData, targetBpm = 120) {
+    static convertToNotes(orgData, targetBpm = 120, tuning = DEFAULT_TUNING) {
         const notes = [];
         const { header, instruments, tracks } = orgData;
 
         // ORG 'wait' value represents milliseconds per tick
         // Lower wait = faster tempo
         const msPerTick = header.wait;
-        const ticksPerBeat = header.stepsPerBar * header.beatsPerStep / 4; // Assuming 4/4 time
+        const ticksPerBeat = this.getTicksPerBeat(header);
         const orgBpm = 60000 / (msPerTick * ticksPerBeat);
 
         // Calculate pixel scaling
         const pixelsPerBeat = GRID_WIDTH;
         const pixelsPerTick = pixelsPerBeat / ticksPerBeat;
 
+        // Track info keeps the automation events that don't belong to any note
+        const trackInfo = instruments.map(instrument => ({ ...instrument, looseEvents: [] }));
+
         // Convert each track
         tracks.forEach((track, trackIndex) => {
             if (track.notes.length === 0) return;
@@ -208,8 +226,9 @@ export class OrgParser {
             const instrumentName = this.getInstrumentName(instrument.instrument, trackIndex);
 
             // Process notes with volume automation
-            const processedNotes = this.processVolumeAutomation(track.notes, instrument, instrumentName, pixelsPerTick);
-            notes.push(...processedNotes);
+            const processed = this.processVolumeAutomation(track.notes, instrument, instrumentName, pixelsPerTick, trackIndex, tuning);
+            notes.push(...processed.notes);
+            trackInfo[trackIndex].looseEvents = processed.looseEvents;
         });
 
         // Calculate loop points in measures
@@ -222,17 +241,29 @@ export class OrgParser {
             loopStart,
             loopEnd,
             loopEnabled: header.loopEnd > header.loopStart,
-            trackInfo: instruments, // Include instrument/track information
+            trackInfo, // Include instrument/track information
+            version: header.version,
             msPerTick: msPerTick // Store the original tick duration
         };
     }
 
+    /**
+     * Ticks per beat for an ORG header
+     */
+    static getTicksPerBeat(header) {
+        return header.stepsPerBar * header.beatsPerStep / 4; // Assuming 4/4 time
+    }
+
     /**
      * Process notes with volume automation
+     * Raw ORG volume and pan bytes stay on notes and automation points so export can write them back
+     * @returns {Object} {notes, looseEvents} - looseEvents are key=255 events outside every note
      */
-    static processVolumeAutomation(events, instrument, instrumentName, pixelsPerTick) {
+    static processVolumeAutomation(events, instrument, instrumentName, pixelsPerTick, trackIndex, tuning = DEFAULT_TUNING) {
         const notes = [];
+        const looseEvents = [];
         const activeNotes = new Map(); // Track active notes by key
+        const keyTuning = DRUM_SAMPLE_PATTERN.test(instrumentName) ? DEFAULT_TUNING : tuning; // Drums ignore the tuning
 
 
         events.forEach(event => {
@@ -246,30 +277,26 @@ export class OrgParser {
             if (event.key !== 255) {
                 // New note starts
                 const x = PIANO_KEY_WIDTH + (event.position * pixelsPerTick);
-                const key46 = this.convertKeyTo46edo(event.key);
+                const key46 = this.convertKeyTo46edo(event.key, keyTuning);
                 const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - key46) * NOTE_HEIGHT;
                 // For very short notes, use the actual length without minimum
                 // This preserves the staccato/gating effect
                 const width = event.length * pixelsPerTick;
 
-                // Initial volume and pan
-                const velocity = event.volume !== 255 ? Math.round(event.volume / 2) : 100;
-                let pan = 0;
-                if (event.pan !== 255 && event.pan <= 12) {
-                    pan = (event.pan - 6) * 100 / 6;
-                }
-
                 const noteData = {
                     x,
                     y,
                     width,
                     height: NOTE_HEIGHT,
                     key: key46,
-                    velocity,
-                    pan,
+                    velocity: this.orgVolumeToVelocity(event.volume),
+                    pan: this.orgPanToPan(event.pan),
+                    orgVolume: event.volume, // Raw bytes, 255 meaning "unchanged"
+                    orgPan: event.pan,
                     instrument: instrumentName,
                     pipi: instrument.pipi,
                     freqAdjust: instrument.pitch - 1000, // Frequency adjustment from default
+                    orgTrack: trackIndex, // Source track, so ORG export can keep the layout
                     volumeAutomation: [], // Array of {position, volume} points
                     panAutomation: []     // Array of {position, pan} points
                 };
@@ -286,9 +313,11 @@ export class OrgParser {
 
             } else {
                 // Volume/pan change event (key=255)
-                // Find which note this applies to
+                // Find which note this applies to - events a note's automation can't hold are kept loose
+                const changesNote = (event.volume !== 255 || event.pan !== 255) && (event.pan === 255 || event.pan <= 12);
+                let applied = false;
                 for (const [key, activeNote] of activeNotes) {
-                    if (event.position >= activeNote.startPos &&
+                    if (changesNote && event.position >= activeNote.startPos &&
                         event.position < activeNote.endPos) {
 
                         // Add volume automation point
@@ -299,63 +328,86 @@ export class OrgParser {
                             activeNote.note.volumeAutomation.push({
                                 position: x,
                                 tick: relativePos,
-                                volume: Math.round(event.volume / 2),
+                                volume: this.orgVolumeToVelocity(event.volume),
+                                orgVolume: event.volume,
                                 absolutePosition: event.position // Store absolute position for timing
                             });
                         }
 
                         // Add pan automation point
-                        if (event.pan !== 255 && event.pan <= 12) {
+                        if (event.pan !== 255) {
                             const relativePos = event.position - activeNote.startPos;
                             const x = relativePos * pixelsPerTick;
-                            const pan = (event.pan - 6) * 100 / 6;
                             activeNote.note.panAutomation.push({
                                 position: x,
                                 tick: relativePos,
-                                pan: pan
+                                pan: this.orgPanToPan(event.pan),
+                                orgPan: event.pan
                             });
                         }
 
+                        applied = true;
                         break; // Only apply to one active note
                     }
                 }
+
+                if (!applied) {
+                    looseEvents.push({ ...event });
+                }
             }
         });
 
         // Clean up active notes that have ended
         activeNotes.clear();
 
-        return notes;
+        return { notes, looseEvents };
     }
 
     /**
-     * Convert ORG key (0-95) to 46edo key
+     * Piano roll velocity for an ORG volume byte (255 = unchanged)
      */
-    static convertKeyTo46edo(orgKey) {
-        if (orgKey > ORG_MAX_KEY) return 0;
+    static orgVolumeToVelocity(volume) {
+        return volume !== 255 ? Math.round(volume / 2) : 100;
+    }
 
-        // Import the mapping from constants
-        const TWELVE_TO_46_EDO_MAP = {
-            0: 0,   // C
-            1: 5,   // C#
-            2: 8,   // D
-            3: 13,  // D#
-            4: 16,  // E
-            5: 19,  // F
-            6: 24,  // F#
-            7: 27,  // G
-            8: 32,  // G#
-            9: 35,  // A
-            10: 40, // A#
-            11: 43  // B
-        };
+    /**
+     * Piano roll pan (-100 to 100) for an ORG pan byte (255 = unchanged)
+     */
+    static orgPanToPan(pan) {
+        return pan !== 255 && pan <= 12 ? (pan - 6) * 100 / 6 : 0;
+    }
+
+    /**
+     * ORG volume byte for a velocity - a loaded byte is kept while the velocity still matches it
+     */
+    static velocityToOrgVolume(velocity, orgVolume = null) {
+        if (orgVolume !== null && orgVolume !== undefined && this.orgVolumeToVelocity(orgVolume) === velocity) {
+            return orgVolume;
+        }
+        return Math.max(0, Math.min(254, Math.round(velocity * 2)));
+    }
+
+    /**
+     * ORG pan byte for a pan - a loaded byte is kept while the pan still matches it
+     */
+    static panToOrgPan(pan, orgPan = null) {
+        if (orgPan !== null && orgPan !== undefined && this.orgPanToPan(orgPan) === pan) {
+            return orgPan;
+        }
+        return Math.max(0, Math.min(12, Math.round(pan * 6 / 100 + 6)));
+    }
+
+    /**
+     * Convert ORG key (0-95) to a key in the song's tuning
+     */
+    static convertKeyTo46edo(orgKey, tuning = DEFAULT_TUNING) {
+        if (orgKey > ORG_MAX_KEY) return 0;
 
         // ORG uses standard 12-TET keys
         const octave = Math.floor(orgKey / 12);
         const noteInOctave = orgKey % 12;
 
-        // Use the 12-tone to 46 EDO mapping
-        return octave * NOTES_PER_OCTAVE + TWELVE_TO_46_EDO_MAP[noteInOctave];
+        return tuning.foldKey(tuning.keyFromTwelveTone(octave, noteInOctave));
     }
 
     /**
@@ -368,8 +420,11 @@ export class OrgParser {
             if (instrumentNum <= 99) {
                 return `ORG_M${instrumentNum.toString().padStart(2, '0')}`;
             }
+        } else if (ORG_DRUM_WAVES[instrumentNum]) {
+            // Drum tracks play the sample closest to their drum wave
+            return ORG_DRUM_WAVES[instrumentNum];
         } else {
-            // Drum tracks
+            // Unknown drum wave - fall back to the track slot
             const drumIndex = trackIndex - 8;
             if (drumIndex < 6) {
                 return `ORG_D${drumIndex.toString().padStart(2, '0')}`;
@@ -383,58 +438,44 @@ export class OrgParser {
     /**
      * Create ORG file from notes
      * @param {Array} notes - Note array
-     * @param {Object} settings - Export settings
-     * @returns {ArrayBuffer} ORG file data
+     * @param {Object} settings - {version, wait, stepsPerBar, beatsPerStep, loopStart, loopEnd (ticks), trackInfo, tuning}
+     * @returns {Object} {buffer: ArrayBuffer, skippedNotes: number}
      */
     static createOrgFile(notes, settings = {}) {
-        // Group notes by instrument/track
-        const trackMap = new Map();
+        const version = settings.version || ORG_VERSION;
+        const stepsPerBar = settings.stepsPerBar || 4;
+        const beatsPerStep = settings.beatsPerStep || 4;
+        const pixelsPerTick = GRID_WIDTH / this.getTicksPerBeat({ stepsPerBar, beatsPerStep });
 
-        notes.forEach(note => {
-            if (!trackMap.has(note.instrument)) {
-                trackMap.set(note.instrument, []);
-            }
-            trackMap.get(note.instrument).push(note);
-        });
+        const { tracks, skippedNotes } = this.assignTracks(notes, pixelsPerTick, settings.trackInfo);
 
-        // Create tracks (max 16)
-        const tracks = [];
-        let trackIndex = 0;
-
-        for (const [instrument, trackNotes] of trackMap) {
-            if (trackIndex >= 16) break;
-
-            // Sort notes by position
-            trackNotes.sort((a, b) => a.x - b.x);
-
-            // Convert notes to ORG format
-            const orgNotes = trackNotes.map(note => ({
-                position: Math.round((note.x - PIANO_KEY_WIDTH) / (GRID_WIDTH / 4)),
-                key: this.convert46edoToOrgKey(note.key),
-                length: Math.round(note.width / (GRID_WIDTH / 4)),
-                volume: Math.min(254, note.velocity * 2),
-                pan: Math.round(note.pan * 6 / 100 + 6)
-            }));
-
-            tracks.push({
-                instrument,
-                notes: orgNotes,
-                instrumentNum: this.getInstrumentNumber(instrument),
-                isDrum: instrument.startsWith('ORG_D')
-            });
-
-            trackIndex++;
-        }
+        // Convert each track to ORG events (notes plus key=255 automation events)
+        tracks.forEach((track, trackIndex) => {
+            track.events = this.buildTrackEvents(track.notes, pixelsPerTick, settings.tuning,
+                settings.trackInfo?.[trackIndex]?.looseEvents);
+
+            const firstNote = track.notes[0];
+            const original = settings.trackInfo?.[trackIndex];
+            if (!firstNote) {
+                // Empty tracks keep whatever voice the loaded file had
+                track.pitch = original ? original.pitch : 1000;
+                track.instrumentNum = original && this.isWaveInVersion(original.instrument, trackIndex, version) ? original.instrument : 0;
+                track.pipi = original && version > 1 ? original.pipi : 0;
+                return;
+            }
 
-        // Pad with empty tracks
-        while (tracks.length < 16) {
-            tracks.push({ notes: [], instrumentNum: 0, isDrum: false });
-        }
+            track.pitch = 1000 + (firstNote.freqAdjust || 0);
+            track.pipi = firstNote.pipi && version > 1 ? 1 : 0;
+            // Several drum waves share a sample, so keep the loaded wave number when it still applies
+            track.instrumentNum = original && this.getInstrumentName(original.instrument, trackIndex) === track.instrument &&
+                this.isWaveInVersion(original.instrument, trackIndex, version)
+                ? original.instrument
+                : this.getInstrumentNumber(track.instrument);
+        });
 
-        // Calculate file size
+        // Calculate file size (8 bytes per event: position, key, length, volume, pan)
         const headerSize = 18 + 16 * 6; // Header + instruments
-        const trackDataSize = tracks.reduce((sum, track) =>
-            sum + 4 + track.notes.length * 8, 0);
+        const trackDataSize = tracks.reduce((sum, track) => sum + track.events.length * 8, 0);
         const fileSize = headerSize + trackDataSize;
 
         // Create buffer and write data
@@ -443,7 +484,7 @@ export class OrgParser {
         let offset = 0;
 
         // Write header
-        offset = this.writeHeader(view, offset, settings);
+        offset = this.writeHeader(view, offset, { ...settings, version, stepsPerBar, beatsPerStep });
 
         // Write instruments
         offset = this.writeInstruments(view, offset, tracks);
@@ -453,7 +494,115 @@ export class OrgParser {
             offset = this.writeTrack(view, offset, track);
         });
 
-        return buffer;
+        return { buffer, skippedNotes };
+    }
+
+    /**
+     * Distribute notes over the 16 ORG tracks (0-7 melodic, 8-15 drums)
+     * Notes keep their source track while its voice is unchanged; other notes go to a
+     * track with the same voice where they don't overlap, or to the next free track
+     * @returns {Object} {tracks, skippedNotes}
+     */
+    static assignTracks(notes, pixelsPerTick, trackInfo = null) {
+        const tracks = Array.from({ length: 16 }, () => ({ instrument: null, notes: [], ticks: new Set() }));
+        const toTick = (x) => Math.round((x - PIANO_KEY_WIDTH) / pixelsPerTick);
+        const sorted = notes.slice().sort((a, b) => a.x - b.x);
+        const pending = [];
+        let skippedNotes = 0;
+
+        const addNote = (track, note) => {
+            track.instrument = note.instrument;
+            track.notes.push(note);
+            track.ticks.add(toTick(note.x));
+        };
+
+        // Notes loaded from an ORG go back to their original track
+        for (const note of sorted) {
+            const isDrum = DRUM_SAMPLE_PATTERN.test(note.instrument);
+            const trackIndex = note.orgTrack;
+            const track = tracks[trackIndex];
+            const validSlot = Number.isInteger(trackIndex) && track && (trackIndex >= 8) === isDrum;
+
+            if (validSlot && (track.instrument === null || track.instrument === note.instrument) &&
+                !track.ticks.has(toTick(note.x))) {
+                addNote(track, note);
+            } else {
+                pending.push(note);
+            }
+        }
+
+        // Tracks are monophonic, so only reuse one where the note doesn't overlap
+        const fits = (track, note) => track.notes.every(other =>
+            note.x >= other.x + other.width || note.x + note.width <= other.x);
+
+        for (const note of pending) {
+            const first = DRUM_SAMPLE_PATTERN.test(note.instrument) ? 8 : 0;
+            const candidates = tracks.slice(first, first + 8);
+            const track = candidates.find(t => t.instrument === note.instrument && fits(t, note)) ||
+                candidates.find(t => t.instrument === null);
+
+            if (track) {
+                addNote(track, note);
+            } else {
+                skippedNotes++;
+            }
+        }
+
+        return { tracks, skippedNotes };
+    }
+
+    /**
+     * Convert a track's notes and their automation into sorted ORG events
+     * @param {Array} looseEvents - key=255 events loaded outside any note, written back where their tick is free
+     */
+    static buildTrackEvents(notes, pixelsPerTick, tuning = DEFAULT_TUNING, looseEvents = []) {
+        const events = new Map(); // Keyed by tick - ORG allows one event per tick
+
+        for (const note of notes) {
+            const position = Math.round((note.x - PIANO_KEY_WIDTH) / pixelsPerTick);
+            const keyTuning = DRUM_SAMPLE_PATTERN.test(note.instrument) ? DEFAULT_TUNING : tuning;
+            events.set(position, {
+                position,
+                key: this.convert46edoToOrgKey(note.key, keyTuning),
+                length: Math.max(1, Math.min(255, Math.round(note.width / pixelsPerTick))),
+                volume: this.velocityToOrgVolume(note.velocity, note.orgVolume),
+                pan: this.panToOrgPan(note.pan, note.orgPan)
+            });
+        }
+
+        // Automation becomes key=255 events; volume or pan of 255 means "unchanged"
+        // Point ticks are only ORG ticks for songs loaded from an ORG, so place points by their position
+        const getAutomationEvent = (note, point) => {
+            const tick = point.position !== undefined ? Math.round(point.position / pixelsPerTick) : point.tick;
+            const position = Math.round((note.x - PIANO_KEY_WIDTH) / pixelsPerTick) + tick;
+            if (!events.has(position)) {
+                events.set(position, { position, key: 255, length: 1, volume: 255, pan: 255 });
+            }
+            return events.get(position);
+        };
+
+        for (const note of notes) {
+            for (const point of note.volumeAutomation || []) {
+                const event = getAutomationEvent(note, point);
+                if (event.key === 255) {
+                    event.volume = this.velocityToOrgVolume(point.volume, point.orgVolume);
+                }
+            }
+            for (const point of note.panAutomation || []) {
+                const event = getAutomationEvent(note, point);
+                if (event.key === 255) {
+                    event.pan = this.panToOrgPan(point.pan, point.orgPan);
+                }
+            }
+        }
+
+        for (const event of looseEvents) {
+            if (!events.has(event.position)) {
+                events.set(event.position, { ...event });
+            }
+        }
+
+        return Array.from(events.values()).sort((a, b) => a.position - b.position);
     }
 
     /**
@@ -461,15 +610,15 @@ export class OrgParser {
      */
     static writeHeader(view, offset, settings) {
         const encoder = new TextEncoder();
-        const signature = encoder.encode(ORG_FILE_SIGNATURE);
+        const signature = encoder.encode(ORG_FILE_SIGNATURES[settings.version || ORG_VERSION]);
 
         // Write signature
         for (let i = 0; i < 6; i++) {
             view.setUint8(offset + i, signature[i]);
         }
 
-        // Write tempo and time signature
-        view.setUint16(offset + 6, settings.tempo || 120, true);
+        // Write tick duration (ms) and time signature
+        view.setUint16(offset + 6, settings.wait || 128, true);
         view.setUint8(offset + 8, settings.stepsPerBar || 4);
         view.setUint8(offset + 9, settings.beatsPerStep || 4);
 
@@ -485,10 +634,10 @@ export class OrgParser {
      */
     static writeInstruments(view, offset, tracks) {
         tracks.forEach((track, i) => {
-            view.setUint16(offset + i * 6, 1000, true); // Default pitch
+            view.setUint16(offset + i * 6, track.pitch, true);
             view.setUint8(offset + i * 6 + 2, track.instrumentNum);
-            view.setUint8(offset + i * 6 + 3, 0); // pipi flag
-            view.setUint16(offset + i * 6 + 4, track.notes.length, true);
+            view.setUint8(offset + i * 6 + 3, track.pipi);
+            view.setUint16(offset + i * 6 + 4, track.events.length, true);
         });
 
         return offset + 16 * 6;
@@ -498,14 +647,11 @@ export class OrgParser {
      * Write track data
      */
     static writeTrack(view, offset, track) {
-        const noteCount = track.notes.length;
-
-        // Write note count
-        view.setUint32(offset, noteCount, true);
-        offset += 4;
+        // Event count lives in the instrument table
+        const noteCount = track.events.length;
 
         // Write note data in separate arrays
-        track.notes.forEach((note, i) => {
+        track.events.forEach((note, i) => {
             view.setUint32(offset + i * 4, note.position, true);
             view.setUint8(offset + noteCount * 4 + i, note.key);
             view.setUint8(offset + noteCount * 5 + i, note.length);
@@ -517,48 +663,29 @@ export class OrgParser {
     }
 
     /**
-     * Convert 46edo key to ORG key
+     * Convert a key in the song's tuning to the nearest ORG key
      */
-    static convert46edoToOrgKey(key46) {
-        // Reverse mapping from 46 EDO to 12-tone
-        const FORTY_SIX_TO_TWELVE_MAP = {
-            0: 0,   // C
-            5: 1,   // C#
-            8: 2,   // D
-            13: 3,  // D#
-            16: 4,  // E
-            19: 5,  // F
-            24: 6,  // F#
-            27: 7,  // G
-            32: 8,  // G#
-            35: 9,  // A
-            40: 10, // A#
-            43: 11  // B
-        };
-
-        const octave = Math.floor(key46 / NOTES_PER_OCTAVE);
-        const positionInOctave = key46 % NOTES_PER_OCTAVE;
-
-        // Find the closest 12-tone note
-        let closestNote = 0;
-        let minDistance = Math.abs(positionInOctave - 0);
-
-        for (const [edo46, note12] of Object.entries(FORTY_SIX_TO_TWELVE_MAP)) {
-            const distance = Math.abs(positionInOctave - parseInt(edo46));
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestNote = note12;
-            }
-        }
-
-        const orgKey = octave * 12 + closestNote;
+    static convert46edoToOrgKey(key46, tuning = DEFAULT_TUNING) {
+        const { octave, semitone } = tuning.getTwelveTone(key46);
+        const orgKey = octave * 12 + semitone;
         return Math.min(ORG_MAX_KEY, Math.max(0, orgKey));
     }
 
+    /**
+     * Whether a file of this version can hold a track's wave number - drum waves past
+     * the Org-02 set need Org-03
+     */
+    static isWaveInVersion(instrumentNum, trackIndex, version) {
+        return trackIndex < 8 || version >= 3 || instrumentNum < ORG_LEGACY_DRUM_COUNT;
+    }
+
     /**
      * Get instrument number from name
      */
     static getInstrumentNumber(instrumentName) {
+        if (instrumentName in ORG_DRUM_SAMPLE_WAVES) {
+            return ORG_DRUM_SAMPLE_WAVES[instrumentName];
+        }
         const match = instrumentName.match(/ORG_[MD](\d+)/);
         return match ? parseInt(match[1]) : 0;
     }
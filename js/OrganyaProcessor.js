@@ -0,0 +1,106 @@
+/**
+ * Organya mixer - AudioWorklet processor that plays one instrument the way the
+ * Organya driver does: 8-bit sound data stepped through nearest-neighbour at a
+ * fixed rate, with volume and pan changing only at note and tick events.
+ * Loaded with audioWorklet.addModule, so it runs in the audio thread with no imports;
+ * AudioEngine works out frequencies, wave sizes and gains from the driver's tables.
+ *
+ * Messages (by port, or as processorOptions.messages for offline renders):
+ *   {type: 'sound', data}              - Instrument's sound, one wave cycle or a drum
+ *   {type: 'note', id, start, stop, position, frequency, cycle, stride, length, events}
+ *   {type: 'pitch', id, frequency, cycle, stride, length}
+ *   {type: 'release', id}              - Finish the current wave cycle, then stop
+ *   {type: 'stop', id, time}
+ */
+class OrganyaProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.sound = new Float32Array(1);
+        this.voices = new Map(); // By voice id
+
+        this.port.onmessage = (e) => this.receive(e.data);
+        (options.processorOptions?.messages || []).forEach(message => this.receive(message));
+    }
+
+    receive(message) {
+        const voice = this.voices.get(message.id);
+
+        switch (message.type) {
+            case 'sound':
+                // Stored as the driver stores it, in 8 bits
+                this.sound = Float32Array.from(message.data, value => Math.max(-128, Math.min(127, Math.round(value * 128))) / 128);
+                break;
+            case 'note':
+                this.voices.set(message.id, {
+                    data: this.sound,
+                    start: Math.round(message.start * sampleRate),
+                    stop: message.stop !== null ? Math.round(message.stop * sampleRate) : Infinity,
+                    step: message.frequency / sampleRate, // Wave samples per output sample
+                    cycle: message.cycle,                 // Wave size, or null for a one-shot drum
+                    stride: message.stride,               // Sound samples skipped per wave sample
+                    length: message.length,               // Wave samples until the sound ends
+                    position: message.position || 0,      // Wave samples already played, when joining a note late
+                    volume: 0,
+                    left: 1,
+                    right: 1,
+                    events: message.events.map(event => ({ ...event, frame: Math.round(event.time * sampleRate) })),
+                    nextEvent: 0
+                });
+                break;
+            case 'pitch':
+                if (voice) {
+                    voice.step = message.frequency / sampleRate;
+                    voice.cycle = message.cycle;
+                    voice.stride = message.stride;
+                    voice.length = message.length;
+                }
+                break;
+            case 'release':
+                if (voice && voice.cycle) {
+                    voice.length = Math.min(voice.length, (Math.floor(voice.position / voice.cycle) + 1) * voice.cycle);
+                }
+                break;
+            case 'stop':
+                if (voice) {
+                    voice.stop = Math.min(voice.stop, Math.round(message.time * sampleRate));
+                }
+                break;
+        }
+    }
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+
+        for (const [id, voice] of this.voices) {
+            for (let i = 0; i < left.length; i++) {
+                const frame = currentFrame + i;
+                if (frame >= voice.stop || voice.position >= voice.length) {
+                    this.voices.delete(id);
+                    break;
+                }
+                if (frame < voice.start) {
+                    continue;
+                }
+
+                // Volume and pan jump at events, as the driver sets them once per tick
+                while (voice.nextEvent < voice.events.length && voice.events[voice.nextEvent].frame <= frame) {
+                    Object.assign(voice, voice.events[voice.nextEvent].changes);
+                    voice.nextEvent++;
+                }
+
+                const index = Math.floor(voice.position);
+                const sample = voice.cycle
+                    ? voice.data[(index % voice.cycle) * voice.stride]
+                    : voice.data[index];
+                left[i] += sample * voice.volume * voice.left;
+                if (right) {
+                    right[i] += sample * voice.volume * voice.right;
+                }
+                voice.position += voice.step;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('organya', OrganyaProcessor);
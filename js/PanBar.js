@@ -1,4 +1,4 @@
-import { PIANO_KEY_WIDTH, GRID_WIDTH, BEATS_PER_MEASURE, PAN_BAR_HEIGHT } from './constants.js';
+import { PIANO_KEY_WIDTH, GRID_WIDTH, PAN_BAR_HEIGHT } from './constants.js';
 
 /**
  * PanBar - Handles pan editing for notes
@@ -49,6 +49,7 @@ export class PanBar {
         this.pianoRoll.addEventListener('notesChanged', () => this.draw());
         this.pianoRoll.addEventListener('selectionChanged', () => this.draw());
         this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('meterChange', () => this.draw());
     }
     
     handleMouseDown(e) {
@@ -60,6 +61,7 @@ export class PanBar {
         const note = this.findNoteAtX(x);
         if (note) {
             this.draggingNote = note;
+            this.pianoRoll.history.begin('Change Pan');
             
             // Store initial pan values for all selected notes
             if (this.pianoRoll.noteManager.selectedNotes.has(note)) {
@@ -109,6 +111,9 @@ export class PanBar {
     }
     
     handleMouseUp() {
+        if (this.draggingNote) {
+            this.pianoRoll.history.commit();
+        }
         this.draggingNote = null;
         this.initialPanValues = null;
         this.dragStartY = null;
@@ -116,6 +121,9 @@ export class PanBar {
     }
     
     handleMouseLeave() {
+        if (this.draggingNote) {
+            this.pianoRoll.history.commit();
+        }
         this.draggingNote = null;
         this.hoveredNote = null;
         this.canvas.style.cursor = 'default';
@@ -124,7 +132,7 @@ export class PanBar {
     
     findNoteAtX(x) {
         const notes = this.pianoRoll.noteManager.notes;
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         
         for (const note of notes) {
             // Scale note position for comparison
@@ -142,7 +150,9 @@ export class PanBar {
         // Convert y position to pan value (-100 to 100)
         const centerY = this.canvas.height / 2;
         const pan = Math.max(-100, Math.min(100, ((y - centerY) / centerY) * 100));
-        note.pan = Math.round(pan);
+        this.pianoRoll.history.record('Change Pan', () => {
+            note.pan = Math.round(pan);
+        });
         this.pianoRoll.dirty = true;
         this.draw();
     }
@@ -157,8 +167,8 @@ export class PanBar {
         // Draw playhead if playing or paused
         if (this.pianoRoll.isPlaying || this.pianoRoll.isPaused) {
             const currentMeasure = this.pianoRoll.currentMeasure;
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
             
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
             this.ctx.fillRect(measureX, 0, measureWidth, this.canvas.height);
@@ -175,8 +185,9 @@ export class PanBar {
         // Draw grid lines
         this.ctx.strokeStyle = '#333';
         this.ctx.lineWidth = 0.5;
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        for (let x = PIANO_KEY_WIDTH; x <= this.canvas.width + this.scrollX; x += measureWidth) {
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); ; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x > this.canvas.width + this.scrollX) break;
             this.ctx.beginPath();
             this.ctx.moveTo(x, 0);
             this.ctx.lineTo(x, this.canvas.height);
@@ -185,7 +196,7 @@ export class PanBar {
         
         // Draw note pan handles
         const notes = this.pianoRoll.noteManager.notes;
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         
         for (const note of notes) {
             // Skip if track is hidden
@@ -7,9 +7,18 @@ import {
     TOTAL_MEASURES,
     BEATS_PER_MEASURE,
     GRID_SUBDIVISIONS,
+    AUTOMATION_TICKS_PER_BEAT,
     DEFAULT_BPM,
     DEFAULT_VELOCITY,
-    INSTRUMENT_COLOR_PALETTE
+    INSTRUMENT_COLOR_PALETTE,
+    MIN_ZOOM_X,
+    MAX_ZOOM_X,
+    MIN_ZOOM_Y,
+    MAX_ZOOM_Y,
+    ORG_VERSION,
+    DRUM_SAMPLE_PATTERN,
+    ENGINE_MODE_STANDARD,
+    GM_DRUM_MAP
 } from './constants.js';
 
 import { AudioEngine } from './AudioEngine.js';
@@ -18,7 +27,17 @@ import { InputHandler } from './InputHandler.js';
 import { Renderer } from './Renderer.js';
 import { OrgParser } from './OrgParser.js';
 import { MidiParser } from './MidiParser.js';
+import { MidiWriter } from './MidiWriter.js';
 import PlaybackEngine from './PlaybackEngine.js';
+import { AudioExporter } from './AudioExporter.js';
+import { HistoryManager } from './HistoryManager.js';
+import { Tuning, DEFAULT_TUNING } from './Tuning.js';
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+import { SoundBank } from './SoundBank.js';
+import { Mixer } from './Mixer.js';
+import { Effects } from './Effects.js';
+import { Envelopes } from './Envelopes.js';
 
 /**
  * Main PianoRoll class - coordinates all components
@@ -43,6 +62,23 @@ export class PianoRoll {
         // For backward compatibility
         this.audioEngine = this.playbackEngine.getAudioEngine();
         
+        // Song tuning - shared with the audio engine
+        this.tuning = DEFAULT_TUNING;
+        
+        // Sounds loaded from the user's files - shared with the audio engine
+        this.soundBank = new SoundBank();
+        
+        // Channel strip and effect settings per instrument - shared with the audio engine
+        this.mixer = this.audioEngine.mixer;
+        this.effects = this.audioEngine.effects;
+        this.envelopes = this.audioEngine.envelopes;
+        
+        // Click track and count-in - a player setting, not saved with the song
+        this.metronome = this.playbackEngine.metronome;
+        
+        // Undo/redo history
+        this.history = new HistoryManager(this);
+        
         this.inputHandler = new InputHandler(this);
         this.renderer = new Renderer(canvas, this);
         
@@ -51,12 +87,18 @@ export class PianoRoll {
         this.noteHeight = NOTE_HEIGHT;
         this.baseGridWidth = GRID_WIDTH;
         this.gridWidth = GRID_WIDTH;
+        this.zoomX = 1; // Horizontal zoom (gridWidth / baseGridWidth)
+        this.zoomY = 1; // Vertical zoom (noteHeight / NOTE_HEIGHT)
         this.numOctaves = NUM_OCTAVES;
         this.notesPerOctave = NOTES_PER_OCTAVE;
         this.numKeys = this.numOctaves * this.notesPerOctave;
         this.totalMeasures = TOTAL_MEASURES;
         this.beatsPerMeasure = BEATS_PER_MEASURE;
-        this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
+        
+        // Time signature changes - shared with the playback engine like the tempo map
+        this.meterMap = new MeterMap();
+        this.playbackEngine.setMeterMap(this.meterMap);
+        this.totalWidth = this.getMeasureX(this.totalMeasures);
         this.totalHeight = this.numKeys * this.noteHeight;
         
         // State
@@ -65,24 +107,36 @@ export class PianoRoll {
         this.isPlaying = false;
         this.isPaused = false;
         this.currentMeasure = 0;
+        this.playheadBeat = 0; // Exact playback position - set from the ruler, followed while playing
         this.gridSnap = true;
         this.snapMode = 'normal'; // 'normal' or 'high-res'
+        this.zoomBeforeFine = null; // Horizontal zoom to return to when fine snap is turned off
         this.currentVelocity = DEFAULT_VELOCITY;
         this.currentSample = 'ORG_M00';
         this.hoveredRow = -1;
         
-        // Tempo settings
+        // Tempo settings - currentBPM is the tempo map's base tempo
         this.currentBPM = DEFAULT_BPM;
         this.beatDuration = 60000 / this.currentBPM; // ms per beat
         this.measureDuration = this.beatDuration * this.beatsPerMeasure;
         
+        // Tempo changes - shared with the playback engine so edits apply while playing
+        this.tempoMap = new TempoMap(this.currentBPM);
+        this.playbackEngine.setTempoMap(this.tempoMap);
+        
         // Loop state
         this.loopEnabled = false;
         this.loopStart = 0;
         this.loopEnd = 4;
         
+        // Play Selection / Play Range - the span and notes heard until playback stops
+        this.playRange = null;
+        this.playFilter = null;
+        this.loopSelectionPlayback = false;
+        
         // Store org file track info when loaded
         this.orgTrackInfo = null;
+        this.orgHeader = null; // Original ORG timing and loop, reused on ORG export
         
         // Performance
         this.dirty = false; // Don't render until something changes
@@ -101,6 +155,9 @@ export class PianoRoll {
             set: (val) => { this.playbackEngine.trackVisibility = val; }
         });
         
+        // Note edits reach a running playback through a fresh timeline
+        this.addEventListener('notesChanged', () => this.playbackEngine.invalidateTimeline());
+        
         this.init();
     }
 
@@ -129,7 +186,7 @@ export class PianoRoll {
         drumSamples.forEach(sample => {
             const option = document.createElement('option');
             option.value = sample;
-            option.textContent = sample.replace('ORG_', '');
+            option.textContent = this.audioEngine.getSampleLabel(sample);
             drumGroup.appendChild(option);
         });
         select.appendChild(drumGroup);
@@ -140,12 +197,15 @@ export class PianoRoll {
         melodicSamples.forEach(sample => {
             const option = document.createElement('option');
             option.value = sample;
-            option.textContent = sample.replace('ORG_', '');
+            option.textContent = this.audioEngine.getSampleLabel(sample);
             melodicGroup.appendChild(option);
         });
         select.appendChild(melodicGroup);
         
-        // Load the default sample
+        // Load the default sample - or the first wave if the current one left the sound bank
+        if (!drumSamples.includes(this.currentSample) && !melodicSamples.includes(this.currentSample)) {
+            this.currentSample = melodicSamples[0];
+        }
         await this.audioEngine.loadSample(this.currentSample);
         select.value = this.currentSample;
         
@@ -172,22 +232,30 @@ export class PianoRoll {
     }
 
     updatePlayback() {
-        // Playback state is now managed by PlaybackEngine through callbacks
-        // This method is kept for compatibility but does nothing
+        // Measure changes arrive through callbacks - the playhead moves every frame it crosses a pixel
+        const beat = this.playbackEngine.getCurrentBeat();
+        if (Math.abs(beat - this.playheadBeat) * this.gridWidth >= 1) {
+            this.playheadBeat = beat;
+            this.dirty = true;
+            this.emit('playheadMove', beat);
+        }
     }
 
 
     async play(fromMeasure = null) {
-        if (!this.isPlaying) {
+        // Paused playback keeps isPlaying set, so a paused song resumes here too
+        if (!this.isPlaying || this.isPaused) {
             // Ensure audio context is running (browser autoplay policy)
             await this.audioEngine.ensureAudioContextRunning();
             
             this.isPlaying = true;
             
+            if (fromMeasure !== null) {
+                this.playheadBeat = this.meterMap.getMeasureStartBeat(fromMeasure);
+            }
+            this.currentMeasure = this.meterMap.getMeasureAtBeat(this.playheadBeat);
+            
             if (!this.isPaused || fromMeasure !== null) {
-                // Starting fresh or from specific measure
-                this.currentMeasure = fromMeasure !== null ? fromMeasure : 0;
-                
                 // Update scroll position if in follow mode
                 if (this.followMode) {
                     this.scrollToMeasure();
@@ -200,15 +268,17 @@ export class PianoRoll {
             this.playbackEngine.loadNotes(this.noteManager.notes, this.orgMsPerTick);
             this.playbackEngine.setTempo(this.currentBPM);
             this.playbackEngine.setLoop(this.loopEnabled, this.loopStart, this.loopEnd);
-            this.playbackEngine.play(this.currentMeasure);
+            this.playbackEngine.setPlayRange(this.playRange);
+            this.playbackEngine.setNoteFilter(this.playFilter);
+            this.playbackEngine.seek(this.playheadBeat);
+            this.playbackEngine.play();
             this.emit('playbackStateChange', { isPlaying: this.isPlaying, isPaused: this.isPaused });
         }
     }
     
     async playFromCurrentPosition() {
         // Calculate the measure visible at the beginning (left edge) of the screen
-        const measureWidth = this.gridWidth * BEATS_PER_MEASURE;
-        const currentViewMeasure = Math.floor((this.scrollX) / measureWidth);
+        const currentViewMeasure = this.getMeasureAtX(this.scrollX + this.pianoKeyWidth);
         const measureToPlay = Math.max(0, currentViewMeasure);
         
         // Stop if playing
@@ -220,12 +290,40 @@ export class PianoRoll {
         await this.play(measureToPlay);
     }
 
+    /**
+     * Play from the start of the selection to the end of its last note, looping if
+     * selection looping is on
+     * @param {boolean} selectedOnly - Play Selection (just the selected notes) rather than Play Range (every note)
+     * @returns {Promise<boolean>} False when nothing is selected
+     */
+    async playSelection(selectedOnly = true) {
+        const selection = new Set(this.noteManager.selectedNotes);
+        if (selection.size === 0) return false;
+        
+        if (this.isPlaying) {
+            this.stop();
+        }
+        
+        let startBeat = Infinity;
+        let endBeat = 0;
+        for (const note of selection) {
+            startBeat = Math.min(startBeat, (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+            endBeat = Math.max(endBeat, (note.x + note.width - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        }
+        this.playRange = { startBeat, endBeat, loop: this.loopSelectionPlayback };
+        this.playFilter = selectedOnly ? (note) => selection.has(note) : null;
+        this.playheadBeat = startBeat;
+        await this.play();
+        return true;
+    }
+
     pause() {
         if (this.isPlaying) {
             this.isPaused = true;
             // Keep isPlaying as true when paused so UI can show correct state
             
             this.playbackEngine.pause();
+            this.playheadBeat = this.playbackEngine.getCurrentBeat();
             this.stopAllPlayingNotes();
             this.emit('playbackStateChange', { isPlaying: this.isPlaying, isPaused: this.isPaused });
         }
@@ -235,6 +333,9 @@ export class PianoRoll {
         this.isPlaying = false;
         this.isPaused = false;
         this.currentMeasure = 0;
+        this.playheadBeat = 0;
+        this.playRange = null;
+        this.playFilter = null;
         
         this.playbackEngine.stop();
         
@@ -245,6 +346,19 @@ export class PianoRoll {
         this.emit('playbackStateChange', { isPlaying: this.isPlaying, isPaused: this.isPaused });
     }
 
+    /**
+     * Move the playhead to any beat - playback carries on from there, or starts there next
+     * @param {number} beat - Beat position
+     */
+    seek(beat) {
+        this.playheadBeat = Math.max(0, beat);
+        this.currentMeasure = this.meterMap.getMeasureAtBeat(this.playheadBeat);
+        this.playbackEngine.seek(this.playheadBeat);
+        this.dirty = true;
+        this.emit('playheadMove', this.playheadBeat);
+        this.emit('playbackUpdate', { currentMeasure: this.currentMeasure });
+    }
+
     stopAllPlayingNotes() {
         // Clear visual indicators
         this.playingNotes.clear();
@@ -252,25 +366,188 @@ export class PianoRoll {
     }
 
     setTempo(bpm) {
-        this.currentBPM = bpm;
-        this.beatDuration = 60000 / bpm;
+        this.history.record('Change Tempo', () => {
+            this.tempoMap.setBaseTempo(bpm);
+            this.updateTempo();
+        });
+    }
+
+    /**
+     * Replace the whole tempo map
+     * @param {Array} points - Tempo changes as {beat, bpm, ramp}, the first at beat 0
+     */
+    setTempoMap(points) {
+        this.history.record('Change Tempo', () => {
+            this.tempoMap.setPoints(points);
+            this.updateTempo();
+        });
+    }
+
+    /**
+     * Sync tempo-derived state after the tempo map was edited
+     */
+    updateTempo() {
+        this.currentBPM = this.tempoMap.getBaseTempo();
+        this.beatDuration = 60000 / this.currentBPM;
         this.measureDuration = this.beatDuration * this.beatsPerMeasure;
-        this.playbackEngine.setTempo(bpm);
+        this.playbackEngine.setTempo(this.currentBPM);
+        this.emit('tempoChange', this.tempoMap);
     }
 
     setLoop(enabled, start = null, end = null) {
-        this.loopEnabled = enabled;
-        if (start !== null) this.loopStart = start;
-        if (end !== null) this.loopEnd = end;
-        this.playbackEngine.setLoop(enabled, start, end);
+        this.history.record('Change Loop', () => {
+            this.loopEnabled = enabled;
+            if (start !== null) this.loopStart = start;
+            if (end !== null) this.loopEnd = end;
+            this.playbackEngine.setLoop(enabled, start, end);
+        });
         this.renderer.markFullRedraw();
     }
 
+    /**
+     * Replace the song's time signatures
+     * @param {Array} meters - Meter changes as {measure, numerator, denominator}, the first at measure 0
+     */
+    setMeterMap(meters) {
+        this.history.record('Change Time Signature', () => {
+            this.meterMap.setMeters(meters);
+            this.updateMeter();
+        });
+    }
+
+    /**
+     * Sync measure-derived state after the meter map was edited
+     */
+    updateMeter() {
+        this.totalWidth = this.getMeasureX(this.totalMeasures);
+        this.playbackEngine.calculateSongLength();
+        this.renderer.markFullRedraw();
+        this.dirty = true;
+        this.emit('meterChange', this.meterMap);
+    }
+
+    /**
+     * Screen x (before scrolling) of the start of a measure
+     */
+    getMeasureX(measure) {
+        return this.pianoKeyWidth + this.meterMap.getMeasureStartBeat(measure) * this.gridWidth;
+    }
+
+    /**
+     * Measure under a screen x (before scrolling)
+     */
+    getMeasureAtX(x) {
+        return this.meterMap.getMeasureAtBeat(Math.max(0, x - this.pianoKeyWidth) / this.gridWidth);
+    }
+
+    /**
+     * Grid step in beats inside a measure - the meter's beat, or a fraction of it in high-res mode
+     * @param {number} measure - Measure index
+     * @param {number} divisions - Steps per meter beat (defaults to the snap mode's)
+     */
+    getSnapBeats(measure, divisions = this.getSnapDivisions() / BEATS_PER_MEASURE) {
+        return this.meterMap.getBeatLength(measure) / divisions;
+    }
+
+    /**
+     * Snap a base x position to the grid. The grid restarts at every barline so
+     * odd meters like 7/8 stay aligned
+     * @param {number} x - Base x position (GRID_WIDTH per beat, including the piano keys)
+     * @param {number} divisions - Steps per meter beat (defaults to the snap mode's)
+     * @param {Function} round - Math.round or Math.floor
+     */
+    snapBaseX(x, divisions = undefined, round = Math.round) {
+        const beat = Math.max(0, (x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        const measure = this.meterMap.getMeasureAtBeat(beat);
+        const measureStart = this.meterMap.getMeasureStartBeat(measure);
+        const step = this.getSnapBeats(measure, divisions);
+        return PIANO_KEY_WIDTH + (measureStart + round((beat - measureStart) / step + 1e-9) * step) * GRID_WIDTH;
+    }
+
+    /**
+     * Change the song's tuning - notes keep their keys and are re-pitched
+     * @param {Tuning} tuning - New tuning
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+        this.audioEngine.tuning = tuning;
+        this.renderer.pianoKeysCacheInvalid = true;
+        this.renderer.markFullRedraw();
+        this.dirty = true;
+        this.emit('tuningChange', tuning);
+    }
+
+    /**
+     * Set the song's mixer settings
+     * @param {Mixer} mixer - Channel settings per instrument
+     */
+    setMixer(mixer) {
+        this.mixer = mixer;
+        this.audioEngine.setMixer(mixer);
+        this.emit('mixerChange', mixer);
+    }
+
+    /**
+     * Set the song's effects
+     * @param {Effects} effects - Effect chains per instrument and for the master bus
+     */
+    setEffects(effects) {
+        this.effects = effects;
+        this.audioEngine.setEffects(effects);
+        this.emit('effectsChange', effects);
+    }
+
+    /**
+     * Set the song's envelopes
+     * @param {Envelopes} envelopes - Attack/decay/sustain/release per instrument
+     */
+    setEnvelopes(envelopes) {
+        this.envelopes = envelopes;
+        this.audioEngine.setEnvelopes(envelopes);
+        this.emit('envelopesChange', envelopes);
+    }
+
+    /**
+     * Play the song through standard voices or the emulated Organya mixer
+     * @param {string} mode - ENGINE_MODE_STANDARD or ENGINE_MODE_AUTHENTIC
+     */
+    setEngineMode(mode) {
+        this.audioEngine.setEngineMode(mode);
+        this.emit('engineModeChange', this.audioEngine.engineMode);
+    }
+
+    /**
+     * Set the song's sound bank and refresh the instrument list
+     * @param {SoundBank} soundBank - The bank
+     */
+    setSoundBank(soundBank) {
+        this.soundBank = soundBank;
+        this.audioEngine.setSoundBank(soundBank);
+        this.initializeSamples();
+    }
+
+    /**
+     * Start an opened ORG or MIDI file without the previous song's sound bank, mixer, effects and envelopes
+     */
+    resetSongSettings() {
+        this.setSoundBank(new SoundBank());
+        this.setMixer(new Mixer());
+        this.setEffects(new Effects());
+        this.setEnvelopes(new Envelopes());
+    }
+
+    /**
+     * Sync the loop button and range inputs with the current loop state
+     */
+    updateLoopControls() {
+        document.getElementById('loopBtn').classList.toggle('active', this.loopEnabled);
+        document.getElementById('loopStartInput').value = this.loopStart + 1;
+        document.getElementById('loopEndInput').value = this.loopEnd + 1;
+    }
+
     snapXToGrid(x) {
         if (!this.gridSnap) return x - this.pianoKeyWidth;
-        const snapDivisions = this.getSnapDivisions();
-        const subdivisionWidth = this.gridWidth * this.beatsPerMeasure / snapDivisions;
-        return Math.floor((x - this.pianoKeyWidth) / subdivisionWidth) * subdivisionWidth;
+        return this.snapBaseX(x, undefined, Math.floor) - this.pianoKeyWidth;
     }
 
     getInstrumentColor(instrumentName) {
@@ -316,8 +593,7 @@ export class PianoRoll {
         if (!this.isPlaying) return;
         
         // Keep the current measure at the left edge of the view
-        const measureWidth = this.beatsPerMeasure * this.gridWidth;
-        const measureStartX = this.pianoKeyWidth + this.currentMeasure * measureWidth;
+        const measureStartX = this.getMeasureX(this.currentMeasure);
         
         // Target scroll position: current measure should be at left edge (after piano keys)
         const targetScrollX = Math.max(0, measureStartX - this.pianoKeyWidth);
@@ -337,10 +613,11 @@ export class PianoRoll {
             }
             
             const orgData = OrgParser.parse(arrayBuffer);
-            const converted = OrgParser.convertToNotes(orgData, this.currentBPM);
+            const converted = OrgParser.convertToNotes(orgData, this.currentBPM, this.tuning);
             
-            // Clear existing notes
+            // Clear existing notes and the last song's settings
             this.noteManager.clearAll();
+            this.resetSongSettings();
             
             // Clear instrument colors to ensure consistent assignment
             this.instrumentColors.clear();
@@ -358,10 +635,11 @@ export class PianoRoll {
             // Some Cave Story songs might use 8x4=32 but don't actually need fine mode
             // Better heuristic: only use fine mode for 32+ divisions AND if the file is from Kero Blaster
             const isHighRes = divisionsPerMeasure >= 32;
+            this.zoomBeforeFine = null;
             
             if (isHighRes) {
                 this.snapMode = 'high-res';
-                this.gridWidth = this.baseGridWidth * 2;
+                this.setZoom(2, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -370,7 +648,7 @@ export class PianoRoll {
                 }
             } else {
                 this.snapMode = 'normal';
-                this.gridWidth = this.baseGridWidth;
+                this.setZoom(1, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -379,20 +657,25 @@ export class PianoRoll {
                 }
             }
             
-            // Recalculate total width
-            this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
-            
             
             // Store org-specific timing info
             this.orgMsPerTick = converted.msPerTick;
+            this.orgHeader = {
+                ...orgData.header,
+                tempo: converted.tempo,
+                loopEnabled: converted.loopEnabled,
+                loopStartMeasure: converted.loopStart,
+                loopEndMeasure: converted.loopEnd
+            };
             
             // Add converted notes
             converted.notes.forEach(noteData => {
                 this.noteManager.createNote(noteData);
             });
             
-            // Set tempo and loop
-            this.setTempo(converted.tempo);
+            // Set tempo and loop - ORG songs have a single tempo and are laid out in 4/4
+            this.setTempoMap([{ beat: 0, bpm: converted.tempo }]);
+            this.setMeterMap([{ measure: 0, numerator: BEATS_PER_MEASURE, denominator: 4 }]);
             this.setLoop(converted.loopEnabled, converted.loopStart, converted.loopEnd);
             
             // Store track info for display
@@ -416,13 +699,21 @@ export class PianoRoll {
                 updatePlayButton();
             }
             
+            // A loaded song starts with a fresh undo history
+            this.history.clear();
+            
             return true;
         } catch (error) {
             throw error;
         }
     }
     
-    async loadMidiFile(arrayBuffer, useFineResolution = false, trackVoices = null) {
+    /**
+     * Replace the song with a MIDI file
+     * @param {Object} importOptions - Per-track options, see MidiParser.convertToNotes
+     * @param {Object} drumMap - GM percussion note to {instrument, key}, see GM_DRUM_MAP
+     */
+    async loadMidiFile(arrayBuffer, useFineResolution = false, importOptions = {}, drumMap = GM_DRUM_MAP) {
         try {
             // Stop playback if playing
             if (this.isPlaying) {
@@ -430,18 +721,22 @@ export class PianoRoll {
             }
             
             const midiData = MidiParser.parse(arrayBuffer);
-            const converted = MidiParser.convertToNotes(midiData, arrayBuffer, -1, null, useFineResolution, trackVoices);
+            const converted = MidiParser.convertToNotes(midiData, arrayBuffer, -1, null, useFineResolution, importOptions, this.tuning, drumMap);
             
-            // Clear existing notes
+            // Clear existing notes and the last song's settings
             this.noteManager.clearAll();
+            this.resetSongSettings();
+            this.orgHeader = null;
+            this.orgMsPerTick = null; // Automation ticks follow the tempo again
             
             // Clear instrument colors to ensure consistent assignment
             this.instrumentColors.clear();
             
             // Set snap mode based on fine resolution option
+            this.zoomBeforeFine = null;
             if (useFineResolution) {
                 this.snapMode = 'high-res';
-                this.gridWidth = this.baseGridWidth * 2;
+                this.setZoom(2, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -450,7 +745,7 @@ export class PianoRoll {
                 }
             } else {
                 this.snapMode = 'normal';
-                this.gridWidth = this.baseGridWidth;
+                this.setZoom(1, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -459,17 +754,15 @@ export class PianoRoll {
                 }
             }
             
-            // Recalculate total width
-            this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
-            
             
             // Add converted notes
             converted.notes.forEach(noteData => {
                 this.noteManager.createNote(noteData);
             });
             
-            // Set tempo and loop
-            this.setTempo(converted.tempo);
+            // Set tempo map, time signatures and loop
+            this.setTempoMap(converted.tempoMap.getPoints());
+            this.setMeterMap(converted.meterMap.getMeters());
             this.setLoop(converted.loopEnabled, converted.loopStart, converted.loopEnd);
             
             // Update UI
@@ -491,6 +784,9 @@ export class PianoRoll {
                 updatePlayButton();
             }
             
+            // A loaded song starts with a fresh undo history
+            this.history.clear();
+            
             return true;
         } catch (error) {
             throw error;
@@ -521,13 +817,14 @@ export class PianoRoll {
                 const color = this.getInstrumentColor(note.instrument);
                 // Check if we have a visibility state, default to true
                 const visible = this.trackVisibility.get(note.instrument) !== false;
+                const channel = this.mixer.getChannel(note.instrument);
                 tracks.set(note.instrument, {
                     name: note.instrument,
                     notes: [],
                     color: color,
                     visible: visible,
-                    solo: false,
-                    muted: false
+                    solo: channel.solo,
+                    muted: channel.mute
                 });
             }
             tracks.get(note.instrument).notes.push(note);
@@ -555,47 +852,61 @@ export class PianoRoll {
         const content = document.getElementById('trackInfoContent');
         if (!content) return;
         
-        content.innerHTML = '';
+        const speakerIcon = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>';
+        const mutedIcon = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>';
+        const eyeIcon = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 3C4.5 3 1.7 5.3 1 8c.7 2.7 3.5 5 7 5s6.3-2.3 7-5c-.7-2.7-3.5-5-7-5zm0 8a3 3 0 1 1 0-6 3 3 0 0 1 0 6zm0-4.5a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3z"/></svg>';
         
-        if (trackData.length === 0) {
-            content.innerHTML = '<p style="text-align: center; color: #999;">No tracks found</p>';
-        } else {
-            trackData.forEach((track, index) => {
+        // Rebuilt after every change - solo on one track changes what the others do
+        const render = () => {
+            content.innerHTML = '';
+            
+            if (trackData.length === 0) {
+                content.innerHTML = '<p style="text-align: center; color: #999;">No tracks found</p>';
+                return;
+            }
+            
+            trackData.forEach(track => {
+                const channel = this.mixer.getChannel(track.name);
+                const envelope = this.envelopes.getEnvelope(track.name);
+                const visible = this.trackVisibility.get(track.name) !== false;
+                const isDrum = DRUM_SAMPLE_PATTERN.test(track.name);
                 const trackEl = document.createElement('div');
                 trackEl.className = 'track-item';
                 trackEl.innerHTML = `
                     <div class="track-color" style="background-color: ${track.color.note}; border-color: ${track.color.border}"></div>
                     <div class="track-details">
                         <div class="track-name">${track.name}</div>
-                        <div class="track-stats">${track.notes.length} notes</div>
+                        <div class="track-stats">${track.notes.length} notes${visible ? '' : ' - hidden'}</div>
                     </div>
                     <div class="track-controls">
-                        <button class="track-btn track-mute ${!track.visible ? 'muted' : ''}" data-track="${track.name}" title="${track.visible ? 'Mute track' : 'Unmute track'}">
-                            ${track.visible ? 
-                                '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>' : 
-                                '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>'
-                            }
+                        ${isDrum ? '' : `<button class="track-btn track-envelope ${envelope.enabled ? 'active' : ''}" title="Envelope (ADSR)">ADSR</button>`}
+                        <button class="track-btn track-visibility ${visible ? '' : 'muted'}" title="${visible ? 'Hide track' : 'Show track'}">${eyeIcon}</button>
+                        <button class="track-btn track-solo ${channel.solo ? 'active' : ''}" title="${channel.solo ? 'Unsolo track' : 'Solo track'}">S</button>
+                        <button class="track-btn track-mute ${channel.mute ? 'muted' : ''}" title="${channel.mute ? 'Unmute track' : 'Mute track'}">
+                            ${channel.mute ? mutedIcon : speakerIcon}
                         </button>
                     </div>
                 `;
-                content.appendChild(trackEl);
-            });
-            
-            // Add event listeners
-            content.querySelectorAll('.track-mute').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const button = e.target.closest('.track-mute');
-                    const trackName = button.getAttribute('data-track');
-                    this.toggleTrackMute(trackName);
-                    button.classList.toggle('muted');
-                    const isMuted = button.classList.contains('muted');
-                    button.title = isMuted ? 'Unmute track' : 'Mute track';
-                    button.innerHTML = isMuted ? 
-                        '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.85 3L12 5.15v1.7L10.15 5l-.85.85L11.15 8 9.3 10.15l.85.85L12 9.15v1.7L13.85 10l.85-.85L12.85 8l1.85-1.85-.85-.85z"/></svg>' :
-                        '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M3 5v6h3l4 4V1L6 5H3zm10.5 3c0-1.77-1-3.29-2.5-4.03v8.06c1.5-.74 2.5-2.26 2.5-4.03z"/></svg>';
+                
+                trackEl.querySelector('.track-envelope')?.addEventListener('click', () => {
+                    this.emit('editEnvelope', track.name);
                 });
+                trackEl.querySelector('.track-visibility').addEventListener('click', () => {
+                    this.toggleTrackVisibility(track.name);
+                    render();
+                });
+                trackEl.querySelector('.track-solo').addEventListener('click', () => {
+                    this.toggleTrackSolo(track.name);
+                    render();
+                });
+                trackEl.querySelector('.track-mute').addEventListener('click', () => {
+                    this.toggleTrackMute(track.name);
+                    render();
+                });
+                content.appendChild(trackEl);
             });
-        }
+        };
+        render();
         
         // Show modal using ModalManager
         if (window.modalManager) {
@@ -604,10 +915,18 @@ export class PianoRoll {
     }
     
     toggleTrackMute(trackName) {
-        // Toggle mute state
-        const currentMuted = this.trackVisibility.get(trackName) === false;
-        const newVisibility = currentMuted ? true : false;
-        this.playbackEngine.setTrackMute(trackName, !newVisibility);
+        this.playbackEngine.setTrackMute(trackName, !this.mixer.getChannel(trackName).mute);
+        this.emit('mixerChange', this.mixer);
+    }
+    
+    toggleTrackSolo(trackName) {
+        this.playbackEngine.setTrackSolo(trackName, !this.mixer.getChannel(trackName).solo);
+        this.emit('mixerChange', this.mixer);
+    }
+    
+    toggleTrackVisibility(trackName) {
+        const visible = this.trackVisibility.get(trackName) !== false;
+        this.playbackEngine.setTrackVisibility(trackName, !visible);
         
         // Update rendering
         this.renderer.markFullRedraw();
@@ -617,27 +936,119 @@ export class PianoRoll {
         this.emit('notesChanged');
     }
     
+    /**
+     * Render the song offline to a WAV file
+     * @param {Object} options - {loopCount, fadeOut} used when the loop is enabled
+     * @returns {Promise<Blob>} WAV data
+     */
+    async renderAudio(options = {}) {
+        const exporter = new AudioExporter(this.audioEngine);
+        const audioBuffer = await exporter.render(this.noteManager.notes, {
+            bpm: this.currentBPM,
+            tempoMap: this.tempoMap,
+            meterMap: this.meterMap,
+            orgMsPerTick: this.orgMsPerTick,
+            loopEnabled: this.loopEnabled,
+            loopStart: this.loopStart,
+            loopEnd: this.loopEnd,
+            trackVisibility: this.trackVisibility,
+            ...options
+        });
+        return new Blob([AudioExporter.encodeWav(audioBuffer)], { type: 'audio/wav' });
+    }
+    
+    /**
+     * Build an Organya (.org) file from the current song
+     * Timing, loop points and track layout of a loaded ORG are kept unless they were edited
+     * @param {number} version - ORG format version (1-3), by default the loaded file's
+     * @returns {Object} {blob: Blob, skippedNotes: number}
+     */
+    exportToOrg(version = this.orgHeader?.version || ORG_VERSION) {
+        const original = this.orgHeader;
+        const stepsPerBar = original ? original.stepsPerBar : 4;
+        const beatsPerStep = original ? original.beatsPerStep : (this.snapMode === 'high-res' ? 16 : 4);
+        const ticksPerBeat = OrgParser.getTicksPerBeat({ stepsPerBar, beatsPerStep });
+        const measureTicks = (measure) => Math.round(this.meterMap.getMeasureStartBeat(measure) * ticksPerBeat);
+        
+        // 'wait' is milliseconds per tick - keep the original unless the tempo changed
+        const wait = original && this.currentBPM === original.tempo
+            ? original.wait
+            : Math.round(60000 / (this.currentBPM * ticksPerBeat));
+        
+        // ORG songs always loop; without a loop, play the whole song
+        let loopStart;
+        let loopEnd;
+        if (original && this.loopEnabled === original.loopEnabled &&
+            this.loopStart === original.loopStartMeasure && this.loopEnd === original.loopEndMeasure) {
+            loopStart = original.loopStart;
+            loopEnd = original.loopEnd;
+        } else if (this.loopEnabled) {
+            loopStart = measureTicks(this.loopStart);
+            loopEnd = measureTicks(this.loopEnd);
+        } else {
+            const lastNoteEnd = Math.max(0, ...this.noteManager.notes.map(note => note.x + note.width - PIANO_KEY_WIDTH));
+            const lastMeasure = this.meterMap.getMeasureAtBeat(lastNoteEnd / GRID_WIDTH - 1e-9);
+            loopStart = 0;
+            loopEnd = measureTicks(Math.max(1, lastMeasure + 1));
+        }
+        
+        const { buffer, skippedNotes } = OrgParser.createOrgFile(this.noteManager.notes, {
+            version,
+            wait,
+            stepsPerBar,
+            beatsPerStep,
+            loopStart,
+            loopEnd,
+            trackInfo: this.orgTrackInfo,
+            tuning: this.tuning
+        });
+        
+        return { blob: new Blob([buffer], { type: 'application/octet-stream' }), skippedNotes };
+    }
+    
+    /**
+     * Build a Standard MIDI File from the current song
+     * @param {string} mode - 'pitchbend' (channel rotation) or 'mpe'
+     * @returns {Blob} MIDI data
+     */
+    exportToMidi(mode = 'pitchbend') {
+        const buffer = MidiWriter.createMidiFile(this.noteManager.notes, {
+            bpm: this.currentBPM,
+            tempoMap: this.tempoMap,
+            meterMap: this.meterMap,
+            mode,
+            tuning: this.tuning
+        });
+        return new Blob([buffer], { type: 'audio/midi' });
+    }
+    
     exportToJSON() {
         
         const songData = {
             fileType: 'o46-song',
             version: '2.0',
             tempo: this.currentBPM,
-            timeSignature: `${BEATS_PER_MEASURE}/4`,
+            tempoMap: this.tempoMap.toJSON(this.meterMap),
+            timeSignature: MeterMap.format(this.meterMap.meters[0]),
+            timeSignatures: this.meterMap.toJSON(),
             orgMsPerTick: this.orgMsPerTick || null, // Preserve ORG timing info
             snapMode: this.snapMode, // Save the snap mode
+            tuning: this.tuning.toJSON(),
+            soundBank: this.soundBank.toJSON(), // Custom sounds travel with the song
+            mixer: this.mixer.toJSON(),
+            effects: this.effects.toJSON(),
+            envelopes: this.envelopes.toJSON(),
+            engineMode: this.audioEngine.engineMode,
             loop: {
                 enabled: this.loopEnabled,
                 startMeasure: this.loopStart,
                 endMeasure: this.loopEnd
             },
             notes: this.noteManager.notes.map(note => {
-                // Convert x position to measure and beat
+                // Convert x position to measure and beat (in grid subdivisions) within that measure
                 // Always use base grid width for consistent save format
                 const baseBeatWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
-                const totalBeats = (note.x - PIANO_KEY_WIDTH) / baseBeatWidth;
-                const measure = Math.floor(totalBeats / (BEATS_PER_MEASURE * GRID_SUBDIVISIONS));
-                const beatInMeasure = totalBeats % (BEATS_PER_MEASURE * GRID_SUBDIVISIONS);
+                const { measure, beat: beatInMeasure } = this.meterMap.toMeasurePosition((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
                 
                 // Convert width to duration in beats
                 const duration = note.width / baseBeatWidth;
@@ -704,14 +1115,27 @@ export class PianoRoll {
                 throw new Error('Invalid file type. Expected o46-song file.');
             }
             
+            // Songs saved before tunings existed are 46-EDO
+            const tuning = Tuning.fromJSON(songData.tuning);
+            
             // Clear existing notes and org info
             this.noteManager.clearAll();
             this.orgTrackInfo = null;
+            this.orgHeader = null;
+            this.setTuning(tuning);
+            this.setSoundBank(SoundBank.fromJSON(songData.soundBank));
+            this.setMixer(Mixer.fromJSON(songData.mixer));
+            this.setEffects(Effects.fromJSON(songData.effects));
+            this.setEnvelopes(Envelopes.fromJSON(songData.envelopes));
+            this.setEngineMode(songData.engineMode || ENGINE_MODE_STANDARD);
             
-            // Set tempo
-            if (songData.tempo) {
-                this.setTempo(songData.tempo);
-            }
+            // Time signatures first - tempo changes and notes are stored by measure
+            // Songs saved before meter changes existed have a single time signature
+            const meterMap = MeterMap.fromJSON(songData.timeSignatures, songData.timeSignature);
+            this.setMeterMap(meterMap.getMeters());
+            
+            // Set tempo - songs without a tempo map play at a constant tempo
+            this.setTempoMap(TempoMap.fromJSON(songData.tempoMap, songData.tempo || this.currentBPM, meterMap).getPoints());
             
             // Restore ORG timing info if available
             if (songData.orgMsPerTick) {
@@ -720,6 +1144,7 @@ export class PianoRoll {
             
             // Restore snap mode if available, otherwise default to normal mode
             // This ensures we interpret the saved data correctly
+            this.zoomBeforeFine = null;
             if (songData.snapMode) {
                 this.snapMode = songData.snapMode;
             } else {
@@ -727,9 +1152,9 @@ export class PianoRoll {
                 this.snapMode = 'normal';
             }
             
-            // Update grid width based on snap mode
+            // Update zoom based on snap mode
             if (this.snapMode === 'high-res') {
-                this.gridWidth = this.baseGridWidth * 2;
+                this.setZoom(2, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -737,7 +1162,7 @@ export class PianoRoll {
                     snapModeBtn.querySelector('span').textContent = 'Snap: Fine';
                 }
             } else {
-                this.gridWidth = this.baseGridWidth;
+                this.setZoom(1, this.zoomY, 0);
                 // Update UI
                 const snapModeBtn = document.getElementById('snapModeBtn');
                 if (snapModeBtn) {
@@ -746,9 +1171,6 @@ export class PianoRoll {
                 }
             }
             
-            // Recalculate total width with the correct grid width
-            this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
-            
             // Set loop settings
             if (songData.loop) {
                 // Handle both old and new format
@@ -768,7 +1190,6 @@ export class PianoRoll {
             if (songData.notes && Array.isArray(songData.notes)) {
                 // Always use base values for loading to match the save format
                 const baseBeatWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
-                const baseMeasureWidth = GRID_WIDTH * BEATS_PER_MEASURE;
                 
                 // Calculate pixels per tick based on ORG timing or default
                 let pixelsPerTick;
@@ -778,14 +1199,13 @@ export class PianoRoll {
                     const ticksPerBeat = (beatDuration * 1000) / this.orgMsPerTick;
                     pixelsPerTick = GRID_WIDTH / ticksPerBeat;
                 } else {
-                    // Default assumption
-                    pixelsPerTick = baseBeatWidth / 48;
+                    pixelsPerTick = GRID_WIDTH / AUTOMATION_TICKS_PER_BEAT;
                 }
                 
                 songData.notes.forEach(noteData => {
                     // Handle new format (measure/beat/duration)
                     if (noteData.measure !== undefined) {
-                        const x = PIANO_KEY_WIDTH + (noteData.measure * baseMeasureWidth) + (noteData.beat * baseBeatWidth);
+                        const x = PIANO_KEY_WIDTH + meterMap.fromMeasurePosition(noteData.measure, noteData.beat) * GRID_WIDTH;
                         const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - noteData.pitch) * NOTE_HEIGHT;
                         const width = noteData.duration * baseBeatWidth;
                         
@@ -855,6 +1275,9 @@ export class PianoRoll {
                 updatePlayButton();
             }
             
+            // A loaded song starts with a fresh undo history
+            this.history.clear();
+            
             return true;
         } catch (error) {
             throw new Error('Invalid song file format');
@@ -906,6 +1329,9 @@ export class PianoRoll {
     onPlaybackStop() {
         this.isPlaying = false;
         this.isPaused = false;
+        this.playheadBeat = 0;
+        this.playRange = null;
+        this.playFilter = null;
         this.playingNotes.clear();
         this.dirty = true;
         this.emit('playbackStateChange', { isPlaying: this.isPlaying, isPaused: this.isPaused });
@@ -953,28 +1379,77 @@ export class PianoRoll {
     toggleSnapMode() {
         this.snapMode = this.snapMode === 'normal' ? 'high-res' : 'normal';
         
-        // Update grid width based on mode
+        // Fine mode doubles the horizontal zoom so the finer grid stays usable; turning it off
+        // restores the zoom from before, as doubling may have been clamped at MAX_ZOOM_X
+        let zoomX;
         if (this.snapMode === 'high-res') {
-            this.gridWidth = this.baseGridWidth * 2; // Double the grid width
+            this.zoomBeforeFine = this.zoomX;
+            zoomX = this.zoomX * 2;
         } else {
-            this.gridWidth = this.baseGridWidth;
+            zoomX = this.zoomBeforeFine ?? this.zoomX / 2;
+            this.zoomBeforeFine = null;
         }
+        this.setZoom(zoomX, this.zoomY, 0);
+    }
+    
+    /**
+     * Set horizontal and vertical zoom, keeping the point under the anchor in place
+     * @param {number} zoomX - Horizontal zoom (1 = GRID_WIDTH per beat)
+     * @param {number} zoomY - Vertical zoom (1 = NOTE_HEIGHT per key)
+     * @param {number} anchorX - Anchor in canvas pixels (defaults to view center)
+     * @param {number} anchorY - Anchor in canvas pixels (defaults to view center)
+     */
+    setZoom(zoomX, zoomY = this.zoomY, anchorX = this.canvas.width / 2, anchorY = this.canvas.height / 2) {
+        const oldScaleX = this.getScaleFactor();
+        const oldScaleY = this.getVerticalScale();
         
-        // Recalculate total width
-        this.totalWidth = this.pianoKeyWidth + (this.totalMeasures * this.beatsPerMeasure * this.gridWidth);
+        // Content position under the anchor, in base (unzoomed) coordinates
+        const baseX = this.pianoKeyWidth + (this.scrollX + anchorX - this.pianoKeyWidth) / oldScaleX;
+        const baseY = (this.scrollY + anchorY) / oldScaleY;
         
-        // Adjust scroll position to maintain view
-        if (this.snapMode === 'high-res') {
-            this.scrollX *= 2;
-        } else {
-            this.scrollX /= 2;
-        }
+        this.zoomX = Math.max(MIN_ZOOM_X, Math.min(MAX_ZOOM_X, zoomX));
+        this.zoomY = Math.max(MIN_ZOOM_Y, Math.min(MAX_ZOOM_Y, zoomY));
+        this.gridWidth = this.baseGridWidth * this.zoomX;
+        this.noteHeight = NOTE_HEIGHT * this.zoomY;
+        this.totalWidth = this.getMeasureX(this.totalMeasures);
+        this.totalHeight = this.numKeys * this.noteHeight;
         
-        this.dirty = true;
+        // Scroll so the anchored content stays under the anchor
+        this.setScroll(
+            this.pianoKeyWidth + (baseX - this.pianoKeyWidth) * this.zoomX - anchorX,
+            baseY * this.zoomY - anchorY
+        );
+        
+        this.renderer.pianoKeysCacheInvalid = true;
         this.renderer.markFullRedraw();
+        this.dirty = true;
+        this.emit('zoomChange', { zoomX: this.zoomX, zoomY: this.zoomY });
+    }
+    
+    /**
+     * Set scroll position clamped to the content size
+     */
+    setScroll(scrollX, scrollY) {
+        this.scrollX = Math.max(0, Math.min(this.totalWidth - this.canvas.width, scrollX));
+        this.scrollY = Math.max(0, Math.min(this.totalHeight - this.canvas.height, scrollY));
+        this.dirty = true;
         this.emit('scroll', { scrollX: this.scrollX, scrollY: this.scrollY });
     }
     
+    /**
+     * Horizontal scale from base note coordinates to screen
+     */
+    getScaleFactor() {
+        return this.gridWidth / this.baseGridWidth;
+    }
+    
+    /**
+     * Vertical scale from base note coordinates to screen
+     */
+    getVerticalScale() {
+        return this.noteHeight / NOTE_HEIGHT;
+    }
+    
     /**
      * Get the current snap divisions based on snap mode
      */
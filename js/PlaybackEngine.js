@@ -4,14 +4,24 @@
  */
 
 import { AudioEngine } from './AudioEngine.js';
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+import { Mixer } from './Mixer.js';
+import { Effects } from './Effects.js';
+import { Envelopes } from './Envelopes.js';
+import { Timeline } from './Timeline.js';
+import { Metronome } from './Metronome.js';
 import {
     GRID_WIDTH,
-    BEATS_PER_MEASURE,
     GRID_SUBDIVISIONS,
     NOTE_HEIGHT,
     NOTES_PER_OCTAVE,
     NUM_OCTAVES,
-    PIANO_KEY_WIDTH
+    PIANO_KEY_WIDTH,
+    AUTOMATION_TICKS_PER_BEAT,
+    SCHEDULE_LOOKAHEAD,
+    SCHEDULE_INTERVAL,
+    ENGINE_MODE_STANDARD
 } from './constants.js';
 
 export class PlaybackEngine {
@@ -25,30 +35,40 @@ export class PlaybackEngine {
 
         // Audio engine
         this.audioEngine = new AudioEngine();
+        this.metronome = new Metronome(this.audioEngine);
 
         // Playback state
         this.isPlaying = false;
+        this.isPaused = false; // Set by pause, so the next play resumes without a count-in
         this.currentMeasure = 0;
+        this.position = 0; // Beat playback starts from - moved by seek, kept by pause
         this.currentBPM = 120;
+        this.tempoMap = new TempoMap(this.currentBPM);
+        this.meterMap = new MeterMap();
         this.loopEnabled = false;
         this.loopStart = 0;
         this.loopEnd = 5;
+        this.playRange = null; // {startBeat, endBeat, loop} - playback kept to part of the song
+        this.noteFilter = null; // Only notes it accepts are played
 
         // Song data
         this.songData = null;
         this.notes = [];
         this.orgMsPerTick = null;
-        
-        // Base measure width for timing calculations (never changes)
-        this.baseMeasureWidth = GRID_WIDTH * BEATS_PER_MEASURE;
+        this.timeline = null; // Notes sorted by start, rebuilt when they change
 
         // Scheduling
         this.scheduledNotes = [];
         this.playbackStartTime = 0;
         this.playbackStartMeasure = 0;
         this.lastScheduledEndTime = 0;
-        this.lastScheduledMeasure = 0;
+        this.lastScheduledBeat = 0;
         this.scheduleTimeout = null;
+        this.endTime = null; // Audio time a play range finishes, once scheduled that far
+
+        // Audio time at which each scheduled measure (or part of one) starts, for measure tracking
+        this.measureTimeline = [];
+        this.currentMeasureStart = null; // The latest of them to have started
 
         // Track visibility (all visible by default)
         this.trackVisibility = new Map();
@@ -62,6 +82,7 @@ export class PlaybackEngine {
      */
     async init() {
         await this.audioEngine.loadWavetable();
+        await this.audioEngine.loadWorklets();
         // AudioEngine doesn't need sample initialization - it loads samples on demand
     }
 
@@ -76,9 +97,12 @@ export class PlaybackEngine {
 
         this.songData = songData;
         this.notes = [];
+        this.timeline = null;
 
-        // Set tempo and loop settings
-        this.currentBPM = songData.tempo || 120;
+        // Set time signatures, tempo and loop settings
+        this.meterMap = MeterMap.fromJSON(songData.timeSignatures, songData.timeSignature);
+        this.tempoMap = TempoMap.fromJSON(songData.tempoMap, songData.tempo || 120, this.meterMap);
+        this.currentBPM = this.tempoMap.getBaseTempo();
         this.loopEnabled = songData.loop?.enabled || false;
         this.loopStart = songData.loop?.startMeasure || 0;
         this.loopEnd = songData.loop?.endMeasure || 5;
@@ -87,7 +111,7 @@ export class PlaybackEngine {
         const beatWidth = GRID_WIDTH / GRID_SUBDIVISIONS;
 
         songData.notes.forEach(noteData => {
-            const x = PIANO_KEY_WIDTH + (noteData.measure * BEATS_PER_MEASURE * GRID_SUBDIVISIONS + noteData.beat) * beatWidth;
+            const x = PIANO_KEY_WIDTH + this.meterMap.fromMeasurePosition(noteData.measure, noteData.beat) * GRID_WIDTH;
             const width = noteData.duration * beatWidth;
             const y = (NUM_OCTAVES * NOTES_PER_OCTAVE - 1 - noteData.pitch) * NOTE_HEIGHT;
 
@@ -106,8 +130,12 @@ export class PlaybackEngine {
             });
         });
 
-        // Update audio engine BPM
+        // Update audio engine BPM, mixer, effects, envelopes and playback mode
         this.audioEngine.setBPM(this.currentBPM);
+        this.audioEngine.setMixer(Mixer.fromJSON(songData.mixer));
+        this.audioEngine.setEffects(Effects.fromJSON(songData.effects));
+        this.audioEngine.setEnvelopes(Envelopes.fromJSON(songData.envelopes));
+        this.audioEngine.setEngineMode(songData.engineMode || ENGINE_MODE_STANDARD);
 
         // Reset track visibility
         this.trackVisibility.clear();
@@ -124,6 +152,7 @@ export class PlaybackEngine {
     loadNotes(notes, orgMsPerTick = null) {
         this.notes = notes;
         this.orgMsPerTick = orgMsPerTick;
+        this.timeline = null;
         // Don't clear track visibility when loading notes directly
 
         // Calculate the actual song length
@@ -131,6 +160,25 @@ export class PlaybackEngine {
     }
     
 
+    /**
+     * Rebuild the timeline before the next notes are scheduled - the editor calls
+     * this after changing notes in the array it shares with the engine
+     */
+    invalidateTimeline() {
+        this.timeline = null;
+    }
+
+    /**
+     * Timeline of the current notes
+     * @returns {Timeline} Notes sorted by start beat
+     */
+    getTimeline() {
+        if (!this.timeline || this.timeline.size !== this.notes.length) {
+            this.timeline = new Timeline(this.notes);
+        }
+        return this.timeline;
+    }
+
     /**
      * Calculate the actual length of the song based on notes
      */
@@ -148,15 +196,16 @@ export class PlaybackEngine {
             }
         }
 
-        // Convert X position to measure number using base measure width
-        this.calculatedSongLength = Math.max(10, Math.ceil((maxEndX - PIANO_KEY_WIDTH) / this.baseMeasureWidth) + 1);
+        // Measure after the one the last note ends in
+        const lastMeasure = this.meterMap.getMeasureAtBeat((maxEndX - PIANO_KEY_WIDTH) / GRID_WIDTH - 1e-9);
+        this.calculatedSongLength = Math.max(10, lastMeasure + 2);
     }
 
     /**
-     * Start playback
+     * Start playback once every sound the song uses is decoded
      * @param {number} fromMeasure - Optional starting measure
      */
-    play(fromMeasure = null) {
+    async play(fromMeasure = null) {
         if (this.isPlaying) return;
 
         // Allow playback even with no notes
@@ -169,41 +218,128 @@ export class PlaybackEngine {
             this.calculateSongLength();
         }
 
+        // The count-in only plays when starting from stopped, not on a resume or after a scrub
+        const countIn = !this.isPaused;
+        this.isPaused = false;
         this.isPlaying = true;
-        this.currentMeasure = fromMeasure !== null ? fromMeasure : this.currentMeasure;
+        if (fromMeasure !== null) {
+            this.position = this.meterMap.getMeasureStartBeat(fromMeasure);
+        }
+        this.currentMeasure = this.meterMap.getMeasureAtBeat(this.position);
+
+        // The first note of each voice would otherwise wait for its buffer and land late
+        await this.audioEngine.preloadSamples(this.getTimeline().instruments);
+        if (!this.isPlaying) return; // Stopped while loading
+
+        this.startScheduling(countIn);
+        this.updateLoop();
+    }
+
+    /**
+     * Schedule from the current position - notes sounding there join part-way through
+     * @param {boolean} countIn - Play the metronome's count-in first
+     */
+    startScheduling(countIn = false) {
+        let currentTime = this.audioEngine.audioContext.currentTime;
+
+        // A play range starts over when the position is outside it
+        const range = this.playRange;
+        if (range && (this.position < range.startBeat || this.position >= range.endBeat)) {
+            this.position = range.startBeat;
+            this.currentMeasure = this.meterMap.getMeasureAtBeat(this.position);
+        }
+
+        // The song starts once the count-in bars have gone by
+        if (countIn) {
+            currentTime = this.scheduleCountIn(currentTime);
+        }
 
         // Reset scheduling state
         this.scheduledNotes = [];
-        this.lastScheduledEndTime = 0;
-        this.lastScheduledMeasure = this.currentMeasure;
+        this.lastScheduledEndTime = currentTime;
+        this.lastScheduledBeat = this.position;
+        this.measureTimeline = [];
+        this.currentMeasureStart = null;
+        this.endTime = null;
         
         // Initialize playback start time here to ensure it's set even with empty measures
-        this.playbackStartTime = this.audioEngine.audioContext.currentTime;
+        this.playbackStartTime = currentTime;
         this.playbackStartMeasure = this.currentMeasure;
 
+        this.scheduleSoundingNotes(this.position, currentTime);
         this.scheduleNotes();
-        this.updateLoop();
+    }
+
+    /**
+     * Click the metronome's count-in bars, in the meter and tempo playback starts in
+     * @param {number} time - Audio time the count-in starts
+     * @returns {number} Audio time it ends
+     */
+    scheduleCountIn(time) {
+        const bars = this.metronome.getSettings().countIn;
+        const measure = this.meterMap.getMeasureAtBeat(this.position);
+        const beats = this.meterMap.getMeterAt(measure).numerator;
+        const beatDuration = 60 / this.tempoMap.getTempoAt(this.position) * this.meterMap.getBeatLength(measure);
+
+        for (let beat = 0; beat < bars * beats; beat++) {
+            this.metronome.scheduleClick(time + beat * beatDuration, beat % beats === 0);
+        }
+        return time + bars * beats * beatDuration;
+    }
+
+    /**
+     * Click the metronome on each counted beat in a span, accenting downbeats
+     * @param {number} startBeat - Span start
+     * @param {number} endBeat - Span end (exclusive) - spans never cross a barline
+     * @param {number} time - Audio time the span starts
+     */
+    scheduleClicks(startBeat, endBeat, time) {
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        const measure = this.meterMap.getMeasureAtBeat(startBeat);
+        const measureStartBeat = this.meterMap.getMeasureStartBeat(measure);
+        const beatLength = this.meterMap.getBeatLength(measure);
+
+        for (let index = Math.ceil((startBeat - measureStartBeat) / beatLength - 1e-9); ; index++) {
+            const beat = measureStartBeat + index * beatLength;
+            if (beat >= endBeat - 1e-9) break;
+            const clickTime = time + this.tempoMap.getDuration(startBeat, beat);
+            if (clickTime >= currentTime) {
+                this.metronome.scheduleClick(clickTime, index === 0);
+            }
+        }
+    }
+
+    /**
+     * Move playback to any beat - playing carries on from there, otherwise the next play starts there
+     * @param {number} beat - Beat position
+     */
+    seek(beat) {
+        this.position = Math.max(0, beat);
+        this.currentMeasure = this.meterMap.getMeasureAtBeat(this.position);
+
+        // Not scheduling yet (or any more) - play() starts from the new position
+        if (!this.isPlaying || !this.scheduleTimeout) return;
+
+        clearTimeout(this.scheduleTimeout);
+        this.scheduleTimeout = null;
+        this.stopScheduledNotes();
+        this.startScheduling();
     }
 
     /**
      * Stop playback
      */
     stop() {
+        this.isPaused = false;
         if (!this.isPlaying) return;
 
         this.isPlaying = false;
         this.currentMeasure = 0;
+        this.position = 0;
 
-        // Stop any currently playing notes immediately
-        const currentTime = this.audioEngine.audioContext.currentTime;
-        this.scheduledNotes.forEach(scheduled => {
-            // Only try to stop notes that haven't ended yet
-            if (scheduled.stopTime > currentTime && scheduled.note) {
-                // Try to stop via the key number
-                this.audioEngine.stopNote(scheduled.note.key);
-            }
-        });
-        this.scheduledNotes = [];
+        this.stopScheduledNotes();
+        this.measureTimeline = [];
+        this.currentMeasureStart = null;
 
         // Clear scheduling
         if (this.scheduleTimeout) {
@@ -222,13 +358,35 @@ export class PlaybackEngine {
     pause() {
         if (!this.isPlaying) return;
 
+        // Resume from the exact beat, not the start of the measure
+        this.position = this.getCurrentBeat();
         this.isPlaying = false;
+        this.isPaused = true;
 
         // Stop scheduling but keep position
         if (this.scheduleTimeout) {
             clearTimeout(this.scheduleTimeout);
             this.scheduleTimeout = null;
         }
+        this.stopScheduledNotes();
+        this.measureTimeline = [];
+        this.currentMeasureStart = null;
+    }
+
+    /**
+     * Silence notes already handed to the audio engine, including ones that haven't started
+     */
+    stopScheduledNotes() {
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        this.scheduledNotes.forEach(scheduled => {
+            scheduled.cancelled = true;
+            // Only stop notes that haven't ended yet
+            if (scheduled.stopTime > currentTime && scheduled.voice) {
+                this.audioEngine.stopVoice(scheduled.voice);
+            }
+        });
+        this.scheduledNotes = [];
+        this.metronome.cancel();
     }
 
     /**
@@ -237,9 +395,28 @@ export class PlaybackEngine {
      */
     setTempo(bpm) {
         this.currentBPM = bpm;
+        this.tempoMap.setBaseTempo(bpm);
         this.audioEngine.setBPM(bpm);
     }
 
+    /**
+     * Set the tempo map - the editor shares its map so tempo edits apply while playing
+     * @param {TempoMap} tempoMap - Tempo changes by beat
+     */
+    setTempoMap(tempoMap) {
+        this.tempoMap = tempoMap;
+        this.setTempo(tempoMap.getBaseTempo());
+    }
+
+    /**
+     * Set the time signatures - the editor shares its map so meter edits apply while playing
+     * @param {MeterMap} meterMap - Meter changes by measure
+     */
+    setMeterMap(meterMap) {
+        this.meterMap = meterMap;
+        this.calculateSongLength();
+    }
+
     /**
      * Set loop
      * @param {boolean} enabled - Whether loop is enabled
@@ -253,12 +430,49 @@ export class PlaybackEngine {
     }
 
     /**
-     * Set track mute state
+     * Keep playback to part of the song - it starts there and stops (or loops) at the
+     * range's end. The song's own loop doesn't apply while a range is set.
+     * @param {Object} range - {startBeat, endBeat, loop}, or null for the whole song
+     */
+    setPlayRange(range) {
+        this.playRange = range;
+    }
+
+    /**
+     * Play only some of the notes
+     * @param {Function} filter - Called with each note, returns whether it plays (null plays them all)
+     */
+    setNoteFilter(filter) {
+        this.noteFilter = filter;
+    }
+
+    /**
+     * Set track mute state - the track's mixer channel is silenced, its notes still play into it
      * @param {string} trackName - Instrument/track name
      * @param {boolean} muted - Whether track is muted
      */
     setTrackMute(trackName, muted) {
-        this.trackVisibility.set(trackName, !muted);
+        this.audioEngine.mixer.setChannel(trackName, { mute: muted });
+        this.audioEngine.updateMixer();
+    }
+
+    /**
+     * Set track solo state - while any track is soloed only soloed tracks are heard
+     * @param {string} trackName - Instrument/track name
+     * @param {boolean} solo - Whether track is soloed
+     */
+    setTrackSolo(trackName, solo) {
+        this.audioEngine.mixer.setChannel(trackName, { solo });
+        this.audioEngine.updateMixer();
+    }
+
+    /**
+     * Show or hide a track - hidden tracks are left out of playback too
+     * @param {string} trackName - Instrument/track name
+     * @param {boolean} visible - Whether track is shown
+     */
+    setTrackVisibility(trackName, visible) {
+        this.trackVisibility.set(trackName, visible);
     }
 
     /**
@@ -282,75 +496,62 @@ export class PlaybackEngine {
     }
 
     /**
-     * Schedule notes for playback
+     * Schedule notes for playback - a measure at a time, or the part of one up to a
+     * play range's end, wrapping around the range or the loop
      */
     scheduleNotes() {
         const currentTime = this.audioEngine.audioContext.currentTime;
-        const lookAheadTime = 0.1; // 100ms lookahead
-        const scheduleUntilTime = currentTime + lookAheadTime;
-
-
-        // Initialize scheduling if needed (only if not already initialized in play())
-        if (this.lastScheduledEndTime === 0) {
-            // These should already be set in play(), but set them here as a fallback
-            if (!this.playbackStartTime) {
-                this.playbackStartTime = currentTime;
-                this.playbackStartMeasure = this.currentMeasure;
-            }
-            this.lastScheduledEndTime = currentTime;
-            this.lastScheduledMeasure = this.currentMeasure;
-        }
+        const scheduleUntilTime = currentTime + SCHEDULE_LOOKAHEAD;
+        const timeline = this.getTimeline();
+        const range = this.playRange;
 
         let scheduleTime = this.lastScheduledEndTime;
-        let scheduleMeasure = this.lastScheduledMeasure;
-
-        const measureDuration = (60 / this.currentBPM) * BEATS_PER_MEASURE;
+        let scheduleBeat = this.lastScheduledBeat;
 
         // Schedule notes until we've covered the lookahead time
-        let hasScheduledAnything = false;
-        while (scheduleTime < scheduleUntilTime) {
-            // Handle looping
-            let displayMeasure = scheduleMeasure;
-            if (this.loopEnabled && displayMeasure >= this.loopEnd) {
-                const loopLength = this.loopEnd - this.loopStart;
-                displayMeasure = this.loopStart + ((displayMeasure - this.loopStart) % loopLength);
-            }
-
-            // Don't stop during scheduling - let the song play out
-            // The stop condition is now handled by checking if we have scheduled far enough ahead
-
-            // Get notes for this measure using base measure width for consistent timing
-            const measureStartX = PIANO_KEY_WIDTH + displayMeasure * this.baseMeasureWidth;
-            const notesInMeasure = this.getNotesInMeasure(displayMeasure);
-
-            for (const note of notesInMeasure) {
-                // Skip if track is hidden
-                if (this.trackVisibility.get(note.instrument) === false) {
-                    continue;
+        while (scheduleTime < scheduleUntilTime && this.endTime === null) {
+            // Handle the end of a play range, or looping
+            if (range && scheduleBeat >= range.endBeat - 1e-9) {
+                if (!range.loop) {
+                    // Playback ends once the range has been heard
+                    this.endTime = scheduleTime;
+                    break;
                 }
+                scheduleBeat = range.startBeat;
+                this.scheduleSoundingNotes(scheduleBeat, scheduleTime);
+            } else if (!range && this.loopEnabled) {
+                const measure = this.meterMap.getMeasureAtBeat(scheduleBeat);
+                if (measure >= this.loopEnd) {
+                    const loopLength = this.loopEnd - this.loopStart;
+                    const loopMeasure = this.loopStart + ((measure - this.loopStart) % loopLength);
+                    scheduleBeat += this.meterMap.getMeasureStartBeat(loopMeasure) - this.meterMap.getMeasureStartBeat(measure);
+                }
+            }
 
-                // Check if note actually starts within this measure's boundaries
-                if (note.x >= measureStartX && note.x < measureStartX + this.baseMeasureWidth) {
-                    const noteOffsetX = note.x - measureStartX;
-                    const noteOffsetTime = (noteOffsetX / this.baseMeasureWidth) * measureDuration;
-                    const noteStartTime = scheduleTime + noteOffsetTime;
-                    const noteDuration = (note.width / this.baseMeasureWidth) * measureDuration;
+            // Measure length comes from the meter map and its duration from the tempo map
+            const measure = this.meterMap.getMeasureAtBeat(scheduleBeat);
+            let spanEndBeat = this.meterMap.getMeasureStartBeat(measure + 1);
+            if (range) {
+                spanEndBeat = Math.min(spanEndBeat, range.endBeat);
+            }
+            this.measureTimeline.push({ time: scheduleTime, measure, beat: scheduleBeat });
 
-                    if (noteStartTime >= currentTime) {
-                        this.scheduleNoteAtTime(note, noteStartTime, noteDuration);
-                    }
-                }
+            // Notes starting in this span, straight from the sorted timeline
+            for (const event of timeline.getEvents(scheduleBeat, spanEndBeat)) {
+                this.scheduleEvent(event, scheduleBeat, scheduleTime);
+            }
+            if (this.metronome.getSettings().enabled) {
+                this.scheduleClicks(scheduleBeat, spanEndBeat, scheduleTime);
             }
 
-            // Move to next measure
-            scheduleTime += measureDuration;
-            scheduleMeasure++;
-            hasScheduledAnything = true;
+            // Move to the next span
+            scheduleTime += this.tempoMap.getDuration(scheduleBeat, spanEndBeat);
+            scheduleBeat = spanEndBeat;
         }
 
         // Remember where we ended
         this.lastScheduledEndTime = scheduleTime;
-        this.lastScheduledMeasure = scheduleMeasure;
+        this.lastScheduledBeat = scheduleBeat;
 
         // Clean up old scheduled notes
         const cleanupTime = this.audioEngine.audioContext.currentTime;
@@ -358,39 +559,87 @@ export class PlaybackEngine {
 
         // Schedule next batch
         if (this.isPlaying) {
-            this.scheduleTimeout = setTimeout(() => this.scheduleNotes(), 50);
+            this.scheduleTimeout = setTimeout(() => this.scheduleNotes(), SCHEDULE_INTERVAL);
+        }
+    }
+
+    /**
+     * Schedule the notes that started before a beat and still sound at it, as heard
+     * when playback reaches the beat at an audio time
+     */
+    scheduleSoundingNotes(beat, time) {
+        for (const event of this.getTimeline().getSoundingEvents(beat)) {
+            if (event.startBeat < beat) {
+                this.scheduleEvent(event, beat, time);
+            }
         }
     }
 
     /**
-     * Schedule a single note
+     * Schedule a timeline event - its start is found from a beat that plays at a known
+     * audio time. Hidden tracks, filtered-out notes and notes already over are skipped.
      */
-    async scheduleNoteAtTime(note, startTime, duration) {
+    scheduleEvent(event, beat, time) {
+        const note = event.note;
+        if (this.trackVisibility.get(note.instrument) === false) return;
+        if (this.noteFilter && !this.noteFilter(note)) return;
+
+        // Notes are cut at the end of a play range
+        const endBeat = this.playRange ? Math.min(event.endBeat, this.playRange.endBeat) : event.endBeat;
+        const noteStartSongTime = this.tempoMap.beatToTime(event.startBeat);
+        const noteStartTime = time + noteStartSongTime - this.tempoMap.beatToTime(beat);
+        const noteDuration = this.tempoMap.beatToTime(endBeat) - noteStartSongTime;
+
+        // Notes that began before the span, or that the clock has passed, join part-way through
+        const joinTime = Math.max(time, this.audioEngine.audioContext.currentTime);
+        if (noteStartTime + noteDuration > joinTime) {
+            this.scheduleNoteAtTime(note, noteStartTime, noteDuration, joinTime);
+        }
+    }
+
+    /**
+     * Schedule a single note - its buffer is already decoded, so playNote starts it
+     * without waiting and the voice is kept for stopping early. A note starting before
+     * the join time starts then instead, as far through as it would be.
+     * @param {number} joinTime - Earliest audio time the note is heard (defaults to now)
+     */
+    scheduleNoteAtTime(note, startTime, duration, joinTime = this.audioEngine.audioContext.currentTime) {
+        const offset = Math.max(0, joinTime - startTime);
+
         // Calculate tick duration for automation timing
-        // Use the actual ms per tick from the org file if available
-        const beatDuration = 60 / this.currentBPM;
-        const tickDuration = this.orgMsPerTick ? this.orgMsPerTick / 1000 : beatDuration / 48000; // Convert to seconds
+        // Use the actual ms per tick from the org file if available, otherwise the tempo where the note starts
+        const beatDuration = 60 / this.tempoMap.getTempoAt((note.x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+        const tickDuration = this.orgMsPerTick ? this.orgMsPerTick / 1000 : beatDuration / AUTOMATION_TICKS_PER_BEAT; // Convert to seconds
 
-        const noteId = await this.audioEngine.playNote(
+        const scheduled = {
+            voice: null,
+            cancelled: false,
+            note: note,
+            startTime: startTime,
+            stopTime: startTime + duration
+        };
+        this.scheduledNotes.push(scheduled);
+
+        this.audioEngine.playNote(
             note.key,           // keyNumber
             note.velocity,       // velocity
             note.instrument,     // sampleName
             false,              // isGlissando
             note.pan,           // pan
-            startTime,          // when
+            startTime + offset, // when
             duration,           // duration
             note.pipi,          // pipi
             note.volumeAutomation,  // volumeAutomation
             note.panAutomation,     // panAutomation
             note.freqAdjust || 0,   // freqAdjust
-            tickDuration        // tickDuration
-        );
-
-        this.scheduledNotes.push({
-            id: noteId,
-            note: note,
-            startTime: startTime,
-            stopTime: startTime + duration
+            tickDuration,       // tickDuration
+            offset              // offset
+        ).then(voice => {
+            scheduled.voice = voice;
+            // Stopped before the voice existed
+            if (scheduled.cancelled && voice) {
+                this.audioEngine.stopVoice(voice);
+            }
         });
 
         // Callback for visualization
@@ -413,36 +662,24 @@ export class PlaybackEngine {
         }
     }
 
-    /**
-     * Get notes in a specific measure
-     */
-    getNotesInMeasure(measure) {
-        const measureStartX = PIANO_KEY_WIDTH + measure * this.baseMeasureWidth;
-        const measureEndX = measureStartX + this.baseMeasureWidth;
-
-        return this.notes.filter(note => {
-            const noteEndX = note.x + note.width;
-            return note.x < measureEndX && noteEndX > measureStartX;
-        });
-    }
-
     /**
      * Update loop - tracks current measure
      */
     updateLoop() {
         if (!this.isPlaying) return;
 
+        // Find the latest scheduled measure that has started - the schedule already
+        // accounts for tempo changes and loop wrapping
         const currentTime = this.audioEngine.audioContext.currentTime;
-        const elapsedTime = currentTime - this.playbackStartTime;
-        const measureDuration = (60 / this.currentBPM) * BEATS_PER_MEASURE;
-        const elapsedMeasures = Math.floor(elapsedTime / measureDuration);
-
-        let newMeasure = this.playbackStartMeasure + elapsedMeasures;
+        if (this.endTime !== null && currentTime >= this.endTime) {
+            this.stop();
+            return;
+        }
 
-        // Handle looping
-        if (this.loopEnabled && newMeasure >= this.loopEnd) {
-            const loopLength = this.loopEnd - this.loopStart;
-            newMeasure = this.loopStart + ((newMeasure - this.loopStart) % loopLength);
+        let newMeasure = this.currentMeasure;
+        while (this.measureTimeline.length > 0 && this.measureTimeline[0].time <= currentTime) {
+            this.currentMeasureStart = this.measureTimeline.shift();
+            newMeasure = this.currentMeasureStart.measure;
         }
 
         if (newMeasure !== this.currentMeasure) {
@@ -452,7 +689,7 @@ export class PlaybackEngine {
             }
 
             // Stop if we've reached the end of the song (unless looping)
-            if (!this.loopEnabled && this.currentMeasure >= this.calculatedSongLength) {
+            if (!this.loopEnabled && !this.playRange?.loop && this.currentMeasure >= this.calculatedSongLength) {
                 this.stop();
                 return;
             }
@@ -471,6 +708,26 @@ export class PlaybackEngine {
         return this.audioEngine.audioContext.currentTime - this.playbackStartTime;
     }
 
+    /**
+     * Beat being heard now - found from the span playing and the time since it started
+     * @returns {number} Beat position (the position playback will start from when not playing)
+     */
+    getCurrentBeat() {
+        if (!this.isPlaying) return this.position;
+
+        const currentTime = this.audioEngine.audioContext.currentTime;
+        let start = this.currentMeasureStart;
+        for (const entry of this.measureTimeline) {
+            if (entry.time > currentTime) break;
+            start = entry;
+        }
+        if (!start) return this.position;
+
+        const beat = this.tempoMap.timeToBeat(this.tempoMap.beatToTime(start.beat) + currentTime - start.time);
+        const endBeat = this.meterMap.getMeasureStartBeat(start.measure + 1);
+        return Math.min(beat, this.playRange ? Math.min(endBeat, this.playRange.endBeat) : endBeat);
+    }
+
     /**
      * Get current volume (0-100)
      */
@@ -1,12 +1,11 @@
 import {
     COLORS,
     PIANO_KEY_WIDTH,
-    NOTE_HEIGHT,
     GRID_WIDTH,
-    NOTES_PER_OCTAVE,
     BEATS_PER_MEASURE,
     VISIBLE_AREA_PADDING
 } from './constants.js';
+import { MeterMap } from './MeterMap.js';
 
 /**
  * Handles all canvas rendering operations
@@ -25,22 +24,6 @@ export class Renderer {
         // Note name patterns
         this.noteNames = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
 
-        // 12-tone to 46 EDO mapping
-        this.twelveToFortyEightMap = {
-            0: 0,   // C
-            1: 5,   // C#
-            2: 8,   // D
-            3: 13,  // D#
-            4: 16,  // E
-            5: 19,  // F
-            6: 24,  // F#
-            7: 27,  // G
-            8: 32,  // G#
-            9: 35,  // A
-            10: 40, // A#
-            11: 43  // B
-        };
-
         // Cached canvases for static elements
         this.gridCache = null;
         this.pianoKeysCache = null;
@@ -159,16 +142,24 @@ export class Renderer {
         // Batch vertical lines for better performance
         this.ctx.save();
 
+        // Measures in view - their length and beat follow the meter map
+        const meterMap = this.pianoRoll.meterMap;
+        const measures = [];
+        for (let measure = this.pianoRoll.getMeasureAtX(startX); ; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x >= endX || measure > this.pianoRoll.totalMeasures) break;
+            measures.push({ measure, x, endX: this.pianoRoll.getMeasureX(measure + 1) });
+        }
+
         // Draw beat lines
         this.ctx.strokeStyle = COLORS.grid;
         this.ctx.lineWidth = 1;
         this.ctx.beginPath();
 
-        for (let x = PIANO_KEY_WIDTH; x < endX; x += this.pianoRoll.gridWidth) {
-            if (x < startX) continue;
-
-            const beatIndex = (x - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth;
-            if (beatIndex % BEATS_PER_MEASURE !== 0) {
+        for (const { measure, x: measureX, endX: measureEndX } of measures) {
+            const beatWidth = meterMap.getBeatLength(measure) * this.pianoRoll.gridWidth;
+            for (let x = measureX + beatWidth; x < measureEndX - 0.5 && x < endX; x += beatWidth) {
+                if (x < startX) continue;
                 this.ctx.moveTo(x, startY);
                 this.ctx.lineTo(x, endY);
             }
@@ -180,11 +171,7 @@ export class Renderer {
         this.ctx.lineWidth = 2;
         this.ctx.beginPath();
 
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        const firstMeasure = Math.floor((startX - PIANO_KEY_WIDTH) / measureWidth);
-        const startMeasureX = PIANO_KEY_WIDTH + firstMeasure * measureWidth;
-
-        for (let x = startMeasureX; x < endX; x += measureWidth) {
+        for (const { x } of measures) {
             if (x >= startX) {
                 this.ctx.moveTo(x, startY);
                 this.ctx.lineTo(x, endY);
@@ -203,17 +190,27 @@ export class Renderer {
         this.ctx.font = '11px Arial';
         this.ctx.textAlign = 'center';
 
-        const startMeasure = Math.floor(this.pianoRoll.scrollX / (this.pianoRoll.gridWidth * BEATS_PER_MEASURE));
-        const endMeasure = Math.ceil((this.pianoRoll.scrollX + this.canvas.width) /
-            (this.pianoRoll.gridWidth * BEATS_PER_MEASURE));
+        const startMeasure = this.pianoRoll.getMeasureAtX(this.pianoRoll.scrollX + PIANO_KEY_WIDTH);
+        const endMeasure = this.pianoRoll.getMeasureAtX(this.pianoRoll.scrollX + this.canvas.width) + 1;
 
         // Draw measure numbers at the top of the visible area
         const yPosition = this.pianoRoll.scrollY + 12;
 
         for (let measure = startMeasure; measure <= endMeasure; measure++) {
-            const x = PIANO_KEY_WIDTH + measure * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-            this.ctx.fillText((measure + 1).toString(), x + this.pianoRoll.gridWidth * 2, yPosition);
+            const x = this.pianoRoll.getMeasureX(measure);
+            const nextX = this.pianoRoll.getMeasureX(measure + 1);
+            this.ctx.fillText((measure + 1).toString(), (x + nextX) / 2, yPosition);
         }
+
+        // Label time signature changes (and the opening meter when it isn't 4/4)
+        this.ctx.fillStyle = COLORS.loopMarker;
+        this.ctx.textAlign = 'left';
+        for (const meter of this.pianoRoll.meterMap.meters) {
+            if (meter.measure < startMeasure || meter.measure > endMeasure) continue;
+            if (meter.measure === 0 && meter.numerator === BEATS_PER_MEASURE && meter.denominator === 4) continue;
+            this.ctx.fillText(MeterMap.format(meter), this.pianoRoll.getMeasureX(meter.measure) + 4, yPosition);
+        }
+        this.ctx.textAlign = 'center';
     }
 
     /**
@@ -222,8 +219,8 @@ export class Renderer {
     drawLoopMarkers() {
         if (!this.pianoRoll.loopEnabled) return;
 
-        const loopStartX = PIANO_KEY_WIDTH + this.pianoRoll.loopStart * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        const loopEndX = PIANO_KEY_WIDTH + this.pianoRoll.loopEnd * this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
+        const loopStartX = this.pianoRoll.getMeasureX(this.pianoRoll.loopStart);
+        const loopEndX = this.pianoRoll.getMeasureX(this.pianoRoll.loopEnd);
 
         // Draw loop background
         this.ctx.fillStyle = COLORS.loopBackground;
@@ -284,7 +281,8 @@ export class Renderer {
         const viewBottom = this.pianoRoll.scrollY + this.canvas.height + VISIBLE_AREA_PADDING;
 
         // Notes are stored with base grid positions, so we need to convert view bounds back to base coordinates
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
+        const scaleY = this.pianoRoll.getVerticalScale();
 
         // Convert screen coordinates to base grid coordinates
         const baseViewLeft = PIANO_KEY_WIDTH + (viewLeft - PIANO_KEY_WIDTH) / scaleFactor;
@@ -300,7 +298,7 @@ export class Renderer {
 
         for (const note of visibleNotes) {
             // Additional culling - skip notes outside vertical view
-            if (note.y + note.height < viewTop || note.y > viewBottom) {
+            if ((note.y + note.height) * scaleY < viewTop || note.y * scaleY > viewBottom) {
                 continue;
             }
 
@@ -332,7 +330,7 @@ export class Renderer {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
                     const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
                     const scaledWidth = note.width * scaleFactor;
-                    this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+                    this.ctx.fillRect(scaledX, note.y * scaleY, scaledWidth, note.height * scaleY);
                 }
             }
 
@@ -343,7 +341,7 @@ export class Renderer {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
                     const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
                     const scaledWidth = note.width * scaleFactor;
-                    this.ctx.strokeRect(scaledX, note.y, scaledWidth, note.height);
+                    this.ctx.strokeRect(scaledX, note.y * scaleY, scaledWidth, note.height * scaleY);
                 }
             }
 
@@ -354,101 +352,48 @@ export class Renderer {
                     this.ctx.save();
                     this.ctx.fillStyle = '#ffff00';
                     this.ctx.font = 'bold 10px Arial';
-                    this.ctx.fillText('P', scaledX + 2, note.y + 10);
+                    this.ctx.fillText('P', scaledX + 2, note.y * scaleY + 10);
                     this.ctx.restore();
                 }
             }
 
-            // Draw microtonal indicators for 46 EDO
+            // Draw microtonal indicators
             this.ctx.fillStyle = '#cccccc';
             for (const note of notes) {
                 if (!this.pianoRoll.noteManager.selectedNotes.has(note)) {
-                    const keyInOctave = note.key % NOTES_PER_OCTAVE;
-
-                    // Check if this is NOT an exact 12-tone match
-                    let isExactMatch = false;
-                    const exactPositions = [0, 5, 8, 13, 16, 19, 24, 27, 32, 35, 40, 43]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-                    for (const edoStep of exactPositions) {
-                        if (keyInOctave === edoStep) {
-                            isExactMatch = true;
-                            break;
-                        }
-                    }
-
-                    if (!isExactMatch) {
-                        // Find the closest 12-tone notes (before and after)
-                        let closestLower = -1;
-                        let closestUpper = 46;
-                        let lowerNote = -1;
-                        let upperNote = -1;
-
-                        // Create sorted array of EDO positions
-                        const edoPositions = [0, 5, 8, 13, 16, 19, 24, 27, 32, 35, 40, 43]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-
-                        for (let i = 0; i < edoPositions.length; i++) {
-                            const edoStep = edoPositions[i];
-                            if (edoStep < keyInOctave && edoStep > closestLower) {
-                                closestLower = edoStep;
-                                lowerNote = i;
-                            }
-                            if (edoStep > keyInOctave && edoStep < closestUpper) {
-                                closestUpper = edoStep;
-                                upperNote = i;
-                            }
-                        }
-
-                        // Handle wrap-around at octave boundary
-                        if (closestUpper === 46 && keyInOctave > 43) {
-                            closestUpper = 46; // Next C
-                            upperNote = 0;
-                        }
-
-                        // Determine which 12-tone note we're closest to
-                        const distToLower = keyInOctave - closestLower;
-                        const distToUpper = closestUpper - keyInOctave;
-
-                        let numArrows = 0;
-                        let isUp = false;
-
-                        // Each step in 46 EDO is about 26.09 cents
-                        // Show arrows based on distance from nearest 12-tone note
-                        // Max 3 arrows to avoid clutter
-                        if (distToLower <= distToUpper) {
-                            numArrows = Math.min(distToLower, 3);
-                            isUp = true; // Sharp from lower note
-                        } else {
-                            numArrows = Math.min(distToUpper, 3);
-                            isUp = false; // Flat from upper note
-                        }
-
-                        // Draw arrows
-                        if (numArrows > 0) {
-                            const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
-                            const scaledWidth = note.width * scaleFactor;
-                            const arrowSpacing = 4;
-                            const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
-                            const arrowY = note.y + note.height; // Position at bottom of note
-
-                            for (let i = 0; i < numArrows; i++) {
-                                const arrowX = startX + i * arrowSpacing;
-
-                                if (!isUp) {
-                                    // Down arrow for flat microtones
-                                    this.ctx.beginPath();
-                                    this.ctx.moveTo(arrowX, arrowY + 3);
-                                    this.ctx.lineTo(arrowX - 2, arrowY);
-                                    this.ctx.lineTo(arrowX + 2, arrowY);
-                                    this.ctx.closePath();
-                                    this.ctx.fill();
-                                } else {
-                                    // Up arrow for sharp microtones
-                                    this.ctx.beginPath();
-                                    this.ctx.moveTo(arrowX, arrowY);
-                                    this.ctx.lineTo(arrowX - 2, arrowY + 3);
-                                    this.ctx.lineTo(arrowX + 2, arrowY + 3);
-                                    this.ctx.closePath();
-                                    this.ctx.fill();
-                                }
+                    // Arrows show how many keys the note is from the nearest 12-tone note
+                    // (max 3 to avoid clutter)
+                    const offset = this.pianoRoll.tuning.getMicrotonalOffset(note.key);
+                    const numArrows = Math.min(Math.abs(offset), 3);
+                    const isUp = offset > 0; // Sharp from lower note
+
+                    // Draw arrows
+                    if (numArrows > 0) {
+                        const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
+                        const scaledWidth = note.width * scaleFactor;
+                        const arrowSpacing = 4;
+                        const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
+                        const arrowY = (note.y + note.height) * scaleY; // Position at bottom of note
+
+                        for (let i = 0; i < numArrows; i++) {
+                            const arrowX = startX + i * arrowSpacing;
+
+                            if (!isUp) {
+                                // Down arrow for flat microtones
+                                this.ctx.beginPath();
+                                this.ctx.moveTo(arrowX, arrowY + 3);
+                                this.ctx.lineTo(arrowX - 2, arrowY);
+                                this.ctx.lineTo(arrowX + 2, arrowY);
+                                this.ctx.closePath();
+                                this.ctx.fill();
+                            } else {
+                                // Up arrow for sharp microtones
+                                this.ctx.beginPath();
+                                this.ctx.moveTo(arrowX, arrowY);
+                                this.ctx.lineTo(arrowX - 2, arrowY + 3);
+                                this.ctx.lineTo(arrowX + 2, arrowY + 3);
+                                this.ctx.closePath();
+                                this.ctx.fill();
                             }
                         }
                     }
@@ -468,7 +413,7 @@ export class Renderer {
             const scaledWidth = note.width * scaleFactor;
 
             if (scaledX + scaledWidth >= viewLeft && scaledX <= viewRight &&
-                note.y + note.height >= viewTop && note.y <= viewBottom) {
+                (note.y + note.height) * scaleY >= viewTop && note.y * scaleY <= viewBottom) {
                 this.drawNote(note);
             }
         }
@@ -482,9 +427,12 @@ export class Renderer {
         const isPlaying = this.pianoRoll.playingNotes && this.pianoRoll.playingNotes.has(note);
 
         // Scale note position and width based on current grid width
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         const scaledX = PIANO_KEY_WIDTH + (note.x - PIANO_KEY_WIDTH) * scaleFactor;
         const scaledWidth = note.width * scaleFactor;
+        const scaleY = this.pianoRoll.getVerticalScale();
+        const scaledY = note.y * scaleY;
+        const scaledHeight = note.height * scaleY;
 
         // Get instrument color
         const instrumentColor = this.pianoRoll.getInstrumentColor(note.instrument);
@@ -499,7 +447,7 @@ export class Renderer {
             this.ctx.fillStyle = instrumentColor.note;
         }
 
-        this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+        this.ctx.fillRect(scaledX, scaledY, scaledWidth, scaledHeight);
 
         // Draw note border
         if (isSelected) {
@@ -509,14 +457,14 @@ export class Renderer {
             this.ctx.strokeStyle = instrumentColor.border;
             this.ctx.lineWidth = 1;
         }
-        this.ctx.strokeRect(scaledX, note.y, scaledWidth, note.height);
+        this.ctx.strokeRect(scaledX, scaledY, scaledWidth, scaledHeight);
 
         // Draw velocity indicator (darker = lower velocity)
         // Skip velocity overlay for selected notes to keep orange color clear
         if (!isSelected) {
             const velocityAlpha = 1 - (note.velocity / 127) * 0.6;
             this.ctx.fillStyle = `rgba(0, 0, 0, ${velocityAlpha})`;
-            this.ctx.fillRect(scaledX, note.y, scaledWidth, note.height);
+            this.ctx.fillRect(scaledX, scaledY, scaledWidth, scaledHeight);
         }
 
         // Draw pipi indicator for notes with pipi=true
@@ -525,82 +473,26 @@ export class Renderer {
             // Draw a small "P" indicator in the top-left corner
             this.ctx.fillStyle = isSelected ? '#ffffff' : '#ffff00';
             this.ctx.font = 'bold 10px Arial';
-            this.ctx.fillText('P', scaledX + 2, note.y + 10);
+            this.ctx.fillText('P', scaledX + 2, scaledY + 10);
             this.ctx.restore();
         }
 
-        // Draw microtonal indicator arrows for 46 EDO
-        const keyInOctave = note.key % NOTES_PER_OCTAVE;
-
-        // Check if this is NOT an exact 12-tone match
-        let isExactMatch = false;
-        const exactPositions = [0, 5, 8, 13, 16, 19, 24, 27, 32, 35, 40, 43]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-        for (const edoStep of exactPositions) {
-            if (keyInOctave === edoStep) {
-                isExactMatch = true;
-                break;
-            }
-        }
-
-        // Debug logging for arrow issues
-        if (keyInOctave === 0 || keyInOctave === 3 || keyInOctave === 6 || keyInOctave === 28) {
-            console.log(`Note at key ${note.key}, octave position ${keyInOctave}, exact match: ${isExactMatch}`);
-        }
+        // Draw microtonal indicator arrows - how many keys from the nearest 12-tone note
+        const offset = this.pianoRoll.tuning.getMicrotonalOffset(note.key);
 
-        if (!isExactMatch) {
+        if (offset !== 0) {
             this.ctx.save();
             this.ctx.fillStyle = isSelected ? '#ffffff' : '#cccccc';
 
-            // Find the closest 12-tone notes (before and after)
-            let closestLower = -1;
-            let closestUpper = 46;
-            let lowerNote = -1;
-            let upperNote = -1;
-
-            // Create sorted array of EDO positions
-            const edoPositions = [0, 5, 8, 13, 16, 19, 24, 27, 32, 35, 40, 43]; // C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-
-            for (let i = 0; i < edoPositions.length; i++) {
-                const edoStep = edoPositions[i];
-                if (edoStep < keyInOctave && edoStep > closestLower) {
-                    closestLower = edoStep;
-                    lowerNote = i;
-                }
-                if (edoStep > keyInOctave && edoStep < closestUpper) {
-                    closestUpper = edoStep;
-                    upperNote = i;
-                }
-            }
-
-            // Handle wrap-around at octave boundary
-            if (closestUpper === 46 && keyInOctave > 43) {
-                closestUpper = 46; // Next C
-                upperNote = 0;
-            }
-
-            // Determine which 12-tone note we're closest to
-            const distToLower = keyInOctave - closestLower;
-            const distToUpper = closestUpper - keyInOctave;
-
-            let numArrows = 0;
-            let isUp = false;
-
-            // Each step in 46 EDO is about 26.09 cents
-            // Show arrows based on distance from nearest 12-tone note
             // Max 3 arrows to avoid clutter
-            if (distToLower <= distToUpper) {
-                numArrows = Math.min(distToLower, 3);
-                isUp = true; // Sharp from lower note
-            } else {
-                numArrows = Math.min(distToUpper, 3);
-                isUp = false; // Flat from upper note
-            }
+            const numArrows = Math.min(Math.abs(offset), 3);
+            const isUp = offset > 0; // Sharp from lower note
 
             // Draw arrows
             if (numArrows > 0) {
                 const arrowSpacing = 4;
                 const startX = scaledX + scaledWidth - 8 - (numArrows - 1) * arrowSpacing;
-                const arrowY = note.y + note.height; // Position at bottom of note
+                const arrowY = scaledY + scaledHeight; // Position at bottom of note
 
                 for (let i = 0; i < numArrows; i++) {
                     const arrowX = startX + i * arrowSpacing;
@@ -635,7 +527,7 @@ export class Renderer {
             this.ctx.textAlign = note.pan < 0 ? 'left' : 'right';
             const panText = note.pan < 0 ? 'L' : 'R';
             const textX = note.pan < 0 ? scaledX + 2 : scaledX + scaledWidth - 2;
-            this.ctx.fillText(panText, textX, note.y + note.height - 2);
+            this.ctx.fillText(panText, textX, scaledY + scaledHeight - 2);
             this.ctx.restore();
         }
     }
@@ -687,25 +579,14 @@ export class Renderer {
         cacheCtx.fillRect(0, 0, PIANO_KEY_WIDTH, this.pianoRoll.totalHeight);
 
         // Draw keys
+        const keyHeight = this.pianoRoll.noteHeight;
         for (let i = 0; i < this.pianoRoll.numKeys; i++) {
-            const y = i * NOTE_HEIGHT;
+            const y = i * keyHeight;
             const keyNumber = this.pianoRoll.numKeys - 1 - i;
-            const keyInOctave = keyNumber % NOTES_PER_OCTAVE;
-            const octave = Math.floor(keyNumber / NOTES_PER_OCTAVE);
-
-            // Find which 12-tone note this 46-EDO step is closest to
-            let closestNote = -1;
-            let minDistance = 46;
-            let isExactMatch = false;
-
-            for (const [note, edoStep] of Object.entries(this.twelveToFortyEightMap)) {
-                const distance = Math.abs(keyInOctave - edoStep);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closestNote = parseInt(note);
-                    isExactMatch = (distance === 0);
-                }
-            }
+
+            // Find which 12-tone note this key is closest to
+            const { octave, semitone: closestNote, distance } = this.pianoRoll.tuning.getTwelveTone(keyNumber);
+            const isExactMatch = distance === 0;
 
             // Determine if this is a "black key" equivalent
             const isBlackKey = [1, 3, 6, 8, 10].includes(closestNote);
@@ -726,11 +607,11 @@ export class Renderer {
                 cacheCtx.fillStyle = COLORS.whiteKey;
             }
 
-            cacheCtx.fillRect(0, y, PIANO_KEY_WIDTH - 1, NOTE_HEIGHT);
+            cacheCtx.fillRect(0, y, PIANO_KEY_WIDTH - 1, keyHeight);
 
             // Draw key border
             cacheCtx.strokeStyle = COLORS.keyBorder;
-            cacheCtx.strokeRect(0, y, PIANO_KEY_WIDTH - 1, NOTE_HEIGHT);
+            cacheCtx.strokeRect(0, y, PIANO_KEY_WIDTH - 1, keyHeight);
 
 
 
@@ -742,7 +623,7 @@ export class Renderer {
 
                 const label = `C${octave}`;
 
-                cacheCtx.fillText(label, PIANO_KEY_WIDTH - 5, y + NOTE_HEIGHT - 2);
+                cacheCtx.fillText(label, PIANO_KEY_WIDTH - 5, y + keyHeight - 2);
             }
         }
 
@@ -761,10 +642,12 @@ export class Renderer {
         const box = this.pianoRoll.inputHandler?.selectionBox;
         if (!box) return;
 
+        // Box y is kept in unzoomed note coordinates
+        const scaleY = this.pianoRoll.getVerticalScale();
         const x = Math.min(box.x1, box.x2);
-        const y = Math.min(box.y1, box.y2);
+        const y = Math.min(box.y1, box.y2) * scaleY;
         const width = Math.abs(box.x2 - box.x1);
-        const height = Math.abs(box.y2 - box.y1);
+        const height = Math.abs(box.y2 - box.y1) * scaleY;
 
         // Different colors for delete selection
         const isDelete = this.pianoRoll.inputHandler?.isDeleteSelecting;
@@ -781,12 +664,13 @@ export class Renderer {
      * Draw playhead (measure highlight)
      */
     drawPlayhead() {
-        if (!this.pianoRoll.isPlaying && !this.pianoRoll.isPaused) return;
+        // A playhead moved with the ruler shows before playback starts
+        if (!this.pianoRoll.isPlaying && !this.pianoRoll.isPaused && this.pianoRoll.playheadBeat === 0) return;
 
         const currentMeasure = this.pianoRoll.currentMeasure;
         if (currentMeasure >= 0 && currentMeasure < this.pianoRoll.totalMeasures) {
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
 
             // Draw measure highlight
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
@@ -797,6 +681,15 @@ export class Renderer {
             this.ctx.lineWidth = 2;
             this.ctx.strokeRect(measureX, this.pianoRoll.scrollY, measureWidth, this.canvas.height);
         }
+
+        // Exact position inside the measure
+        const x = Math.round(this.pianoRoll.pianoKeyWidth + this.pianoRoll.playheadBeat * this.pianoRoll.gridWidth) + 0.5;
+        this.ctx.strokeStyle = COLORS.playhead;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, this.pianoRoll.scrollY);
+        this.ctx.lineTo(x, this.pianoRoll.scrollY + this.canvas.height);
+        this.ctx.stroke();
     }
 
     /**
@@ -0,0 +1,252 @@
+import { PIANO_KEY_WIDTH, GRID_WIDTH, AUTOMATION_TICKS_PER_BEAT, SCRUB_AUDITION_SECONDS } from './constants.js';
+import { Timeline } from './Timeline.js';
+
+const BEAT_TICK_HEIGHT = 5;
+const PLAYHEAD_MARKER_SIZE = 5;
+
+/**
+ * Ruler - Measure and beat lane above the grid that places the playhead
+ * Click or drag to move the playhead to any tick (to the grid with snap on). Dragging
+ * scrubs: notes are heard as the cursor reaches them, and playback resumes from the
+ * new position when the button is released.
+ */
+export class Ruler {
+    constructor(canvas, pianoRoll) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.pianoRoll = pianoRoll;
+        this.scrollX = pianoRoll.scrollX || 0;
+
+        // Scrub state
+        this.scrubbing = false;
+        this.scrubTimeline = null; // Notes as they were when the drag began
+        this.scrubNotes = new Set(); // Notes under the cursor, heard once each
+        this.resumeAfterScrub = false;
+
+        this.canvas.title = 'Click or drag to move the playhead';
+
+        this.resize();
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth;
+        this.canvas.height = container.clientHeight;
+        this.draw();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+
+        // Touch events
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this), { passive: false });
+
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            this.resize();
+        });
+
+        // Listen for piano roll changes
+        this.pianoRoll.addEventListener('scroll', (data) => {
+            this.scrollX = data.scrollX;
+            this.draw();
+        });
+        this.pianoRoll.addEventListener('zoomChange', () => this.draw());
+        this.pianoRoll.addEventListener('meterChange', () => this.draw());
+        this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('playbackStateChange', () => this.draw());
+        this.pianoRoll.addEventListener('playheadMove', () => this.draw());
+    }
+
+    beatToX(beat) {
+        return PIANO_KEY_WIDTH + beat * this.pianoRoll.gridWidth;
+    }
+
+    /**
+     * Beat under a screen x position - snapped to the note grid when snap is on,
+     * otherwise to the nearest automation tick
+     */
+    xToBeat(screenX) {
+        const beat = Math.max(0, (screenX + this.scrollX - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth);
+        if (this.pianoRoll.gridSnap) {
+            return (this.pianoRoll.snapBaseX(PIANO_KEY_WIDTH + beat * GRID_WIDTH) - PIANO_KEY_WIDTH) / GRID_WIDTH;
+        }
+        return Math.round(beat * AUTOMATION_TICKS_PER_BEAT) / AUTOMATION_TICKS_PER_BEAT;
+    }
+
+    async handleMouseDown(e) {
+        if (e.button !== 0) return;
+        const screenX = e.clientX - this.canvas.getBoundingClientRect().left;
+        if (screenX < PIANO_KEY_WIDTH) return;
+
+        // Playback waits while scrubbing, then carries on from the new position
+        this.resumeAfterScrub = this.pianoRoll.isPlaying && !this.pianoRoll.isPaused;
+        if (this.resumeAfterScrub) {
+            this.pianoRoll.pause();
+        }
+
+        this.scrubbing = true;
+        this.scrubTimeline = new Timeline(this.pianoRoll.noteManager.notes);
+        this.scrubNotes = new Set();
+        this.scrubTo(this.xToBeat(screenX));
+        await this.pianoRoll.audioEngine.ensureAudioContextRunning();
+    }
+
+    handleMouseMove(e) {
+        if (!this.scrubbing) return;
+        const beat = this.xToBeat(e.clientX - this.canvas.getBoundingClientRect().left);
+        if (beat !== this.pianoRoll.playheadBeat) {
+            this.scrubTo(beat);
+        }
+    }
+
+    handleMouseUp() {
+        if (!this.scrubbing) return;
+
+        this.scrubbing = false;
+        this.scrubTimeline = null;
+        this.scrubNotes.clear();
+        if (this.resumeAfterScrub) {
+            this.resumeAfterScrub = false;
+            this.pianoRoll.play();
+        }
+    }
+
+    /**
+     * Move the playhead and play the notes the cursor has just reached
+     */
+    scrubTo(beat) {
+        const audioEngine = this.pianoRoll.audioEngine;
+        const previous = this.scrubNotes;
+        this.scrubNotes = new Set(this.scrubTimeline.getSoundingEvents(beat).map(event => event.note));
+
+        for (const note of this.scrubNotes) {
+            if (previous.has(note) || this.pianoRoll.trackVisibility.get(note.instrument) === false) {
+                continue;
+            }
+            audioEngine.playNote(note.key, note.velocity, note.instrument, false, note.pan,
+                0, SCRUB_AUDITION_SECONDS, note.pipi, null, null, note.freqAdjust || 0);
+        }
+
+        this.pianoRoll.seek(beat);
+    }
+
+    /**
+     * Handle touch start - a single touch scrubs like the mouse
+     */
+    handleTouchStart(e) {
+        e.preventDefault();
+        if (e.touches.length === 1) {
+            const touch = e.touches[0];
+            this.currentTouchId = touch.identifier;
+            this.handleMouseDown({ button: 0, clientX: touch.clientX });
+        }
+    }
+
+    /**
+     * Handle touch move
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+        const touch = Array.from(e.touches).find(t => t.identifier === this.currentTouchId);
+        if (touch) {
+            this.handleMouseMove({ clientX: touch.clientX });
+        }
+    }
+
+    /**
+     * Handle touch end
+     */
+    handleTouchEnd(e) {
+        e.preventDefault();
+        if (!Array.from(e.touches).some(t => t.identifier === this.currentTouchId)) {
+            this.handleMouseUp();
+            this.currentTouchId = undefined;
+        }
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const meterMap = this.pianoRoll.meterMap;
+        this.ctx.clearRect(0, 0, width, height);
+
+        // Adjust for scroll
+        this.ctx.save();
+        this.ctx.translate(-this.scrollX, 0);
+
+        const rightEdge = width + this.scrollX;
+
+        // Measure lines with their numbers, a short tick on every counted beat
+        this.ctx.strokeStyle = '#555';
+        this.ctx.fillStyle = '#888';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.beginPath();
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); ; measure++) {
+            const x = Math.round(this.pianoRoll.getMeasureX(measure)) + 0.5;
+            if (x > rightEdge) break;
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+            this.ctx.fillText((measure + 1).toString(), x + 4, 11);
+
+            const startBeat = meterMap.getMeasureStartBeat(measure);
+            const endBeat = meterMap.getMeasureStartBeat(measure + 1);
+            const beatLength = meterMap.getBeatLength(measure);
+            for (let beat = startBeat + beatLength; beat < endBeat - 1e-9; beat += beatLength) {
+                const beatX = Math.round(this.beatToX(beat)) + 0.5;
+                this.ctx.moveTo(beatX, height - BEAT_TICK_HEIGHT);
+                this.ctx.lineTo(beatX, height);
+            }
+        }
+        this.ctx.stroke();
+
+        // Playhead marker, pointing down into the grid
+        const playheadX = Math.round(this.beatToX(this.pianoRoll.playheadBeat)) + 0.5;
+        this.ctx.fillStyle = '#ff4444';
+        this.ctx.beginPath();
+        this.ctx.moveTo(playheadX - PLAYHEAD_MARKER_SIZE, height - PLAYHEAD_MARKER_SIZE * 1.5);
+        this.ctx.lineTo(playheadX + PLAYHEAD_MARKER_SIZE, height - PLAYHEAD_MARKER_SIZE * 1.5);
+        this.ctx.lineTo(playheadX, height);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ff4444';
+        this.ctx.beginPath();
+        this.ctx.moveTo(playheadX, 0);
+        this.ctx.lineTo(playheadX, height);
+        this.ctx.stroke();
+
+        this.ctx.restore();
+
+        // Draw label area background to match piano keys
+        this.ctx.save();
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, height);
+
+        // Draw border to match piano key area
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, height);
+        this.ctx.stroke();
+
+        // Playhead position as measure:beat, counting the meter's beats
+        const beat = this.pianoRoll.playheadBeat;
+        const measure = meterMap.getMeasureAtBeat(beat);
+        const beatInMeasure = (beat - meterMap.getMeasureStartBeat(measure)) / meterMap.getBeatLength(measure);
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${measure + 1}:${(beatInMeasure + 1).toFixed(2)}`, PIANO_KEY_WIDTH / 2, height / 2 + 3);
+        this.ctx.restore();
+    }
+}
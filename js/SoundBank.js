@@ -0,0 +1,179 @@
+import { WAVE_SAMPLES, MAX_MELODIC_SAMPLES } from './constants.js';
+
+const BASE64_CHUNK = 0x8000; // Bytes per String.fromCharCode call
+
+/**
+ * Song sound bank - sounds loaded from the user's files, saved inside the song
+ * Drums are one-shot audio files (USR_D00, USR_D01, ...), melodic voices are single
+ * 256-sample cycles like the ORG waves (USR_M00, ...). An alternate wavetable.bin
+ * replaces the built-in ORG_Mxx waves and ORG_Dxx drums.
+ */
+export class SoundBank {
+    /**
+     * @param {Object} data - {wavetable: {name, data: ArrayBuffer}, drums: [{id, name, data: ArrayBuffer}],
+     *                         waves: [{id, name, samples: Int8Array}]}
+     */
+    constructor({ wavetable = null, drums = [], waves = [] } = {}) {
+        this.wavetable = wavetable;
+        this.drums = drums.slice();
+        this.waves = waves.slice();
+    }
+
+    isEmpty() {
+        return !this.wavetable && this.drums.length === 0 && this.waves.length === 0;
+    }
+
+    clone() {
+        return new SoundBank(this);
+    }
+
+    /**
+     * Next free sample name for a prefix - names stay put when other sounds are removed
+     */
+    static nextId(entries, prefix) {
+        const used = entries.map(entry => parseInt(entry.id.substring(prefix.length)));
+        const next = used.length > 0 ? Math.max(...used) + 1 : 0;
+        return prefix + next.toString().padStart(2, '0');
+    }
+
+    /**
+     * Add a one-shot drum
+     * @param {string} name - Display name
+     * @param {ArrayBuffer} data - Audio file contents (anything decodeAudioData reads)
+     * @returns {string} Sample name
+     */
+    addDrum(name, data) {
+        const id = SoundBank.nextId(this.drums, 'USR_D');
+        this.drums.push({ id, name, data });
+        return id;
+    }
+
+    /**
+     * Add a melodic voice
+     * @param {string} name - Display name
+     * @param {Int8Array} samples - One 256-sample cycle
+     * @returns {string} Sample name
+     */
+    addWave(name, samples) {
+        if (this.waves.length >= MAX_MELODIC_SAMPLES) {
+            throw new Error(`A sound bank holds at most ${MAX_MELODIC_SAMPLES} waveforms`);
+        }
+        const id = SoundBank.nextId(this.waves, 'USR_M');
+        this.waves.push({ id, name, samples });
+        return id;
+    }
+
+    /**
+     * Remove a drum or waveform by sample name
+     */
+    remove(id) {
+        this.drums = this.drums.filter(drum => drum.id !== id);
+        this.waves = this.waves.filter(wave => wave.id !== id);
+    }
+
+    /**
+     * Use an alternate wavetable.bin, or the built-in one again with null
+     * @param {string} name - File name
+     * @param {ArrayBuffer} data - File contents
+     */
+    setWavetable(name, data) {
+        if (data && data.byteLength < WAVE_SAMPLES * MAX_MELODIC_SAMPLES) {
+            throw new Error(`A wavetable needs at least ${MAX_MELODIC_SAMPLES} waves of ${WAVE_SAMPLES} bytes`);
+        }
+        this.wavetable = data ? { name, data } : null;
+    }
+
+    getDrum(id) {
+        return this.drums.find(drum => drum.id === id) || null;
+    }
+
+    getWave(id) {
+        return this.waves.find(wave => wave.id === id) || null;
+    }
+
+    /**
+     * Display name of a bank sound
+     */
+    getName(id) {
+        return (this.getDrum(id) || this.getWave(id))?.name ?? null;
+    }
+
+    /**
+     * Build a melodic cycle from decoded audio - the whole buffer is taken as one
+     * cycle and resampled to 256 signed 8-bit samples
+     * @param {AudioBuffer} audioBuffer - Decoded single-cycle waveform
+     */
+    static waveFromAudioBuffer(audioBuffer) {
+        const input = audioBuffer.getChannelData(0);
+        const samples = new Int8Array(WAVE_SAMPLES);
+        for (let i = 0; i < WAVE_SAMPLES; i++) {
+            // Linear interpolation, wrapping around the end of the cycle
+            const position = i * input.length / WAVE_SAMPLES;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const value = input[index] * (1 - fraction) + input[(index + 1) % input.length] * fraction;
+            samples[i] = Math.max(-128, Math.min(127, Math.round(value * 128)));
+        }
+        return samples;
+    }
+
+    /**
+     * Read a raw cycle - exactly 256 signed 8-bit samples, the format of the ORG waves
+     * @param {ArrayBuffer} data - File contents
+     * @returns {Int8Array|null} The cycle, or null if the data is another size
+     */
+    static waveFromBytes(data) {
+        return data.byteLength === WAVE_SAMPLES ? new Int8Array(data.slice(0)) : null;
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    /**
+     * Song file format - audio data as base64, waveforms as sample arrays
+     * @returns {Object|null} Null when the bank is empty
+     */
+    toJSON() {
+        if (this.isEmpty()) {
+            return null;
+        }
+        return {
+            wavetable: this.wavetable
+                ? { name: this.wavetable.name, data: SoundBank.toBase64(this.wavetable.data) }
+                : null,
+            drums: this.drums.map(drum => ({ id: drum.id, name: drum.name, data: SoundBank.toBase64(drum.data) })),
+            waves: this.waves.map(wave => ({ id: wave.id, name: wave.name, samples: Array.from(wave.samples) }))
+        };
+    }
+
+    /**
+     * Restore a bank saved with toJSON (missing data means an empty bank)
+     */
+    static fromJSON(data) {
+        if (!data) {
+            return new SoundBank();
+        }
+        return new SoundBank({
+            wavetable: data.wavetable
+                ? { name: data.wavetable.name, data: SoundBank.fromBase64(data.wavetable.data) }
+                : null,
+            drums: (data.drums || []).map(drum => ({ id: drum.id, name: drum.name, data: SoundBank.fromBase64(drum.data) })),
+            waves: (data.waves || []).map(wave => ({ id: wave.id, name: wave.name, samples: Int8Array.from(wave.samples) }))
+        });
+    }
+}
@@ -0,0 +1,332 @@
+import { PIANO_KEY_WIDTH, GRID_WIDTH, MIN_BPM, MAX_BPM } from './constants.js';
+
+const HANDLE_RADIUS = 4;
+const HIT_DISTANCE = 6;
+const VERTICAL_PADDING = 8;
+
+/**
+ * TempoBar - Lane for editing the song's tempo map
+ * Click to add a tempo change, drag a point to move it, Shift+click toggles a ramp
+ * to the next point and double-click (or right-click) removes it.
+ */
+export class TempoBar {
+    constructor(canvas, pianoRoll) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.pianoRoll = pianoRoll;
+        this.draggingPoint = null;
+        this.hoveredPoint = null;
+        this.scrollX = pianoRoll.scrollX || 0;
+
+        this.canvas.title = 'Click to add a tempo change, drag to edit, Shift+click to toggle a ramp, double-click to remove';
+
+        this.resize();
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    get tempoMap() {
+        return this.pianoRoll.tempoMap;
+    }
+
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth;
+        this.canvas.height = container.clientHeight;
+        this.draw();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+
+        // Touch events
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this), { passive: false });
+
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            this.resize();
+        });
+
+        // Listen for piano roll changes
+        this.pianoRoll.addEventListener('scroll', (data) => {
+            this.scrollX = data.scrollX;
+            this.draw();
+        });
+        this.pianoRoll.addEventListener('tempoChange', () => this.draw());
+        this.pianoRoll.addEventListener('zoomChange', () => this.draw());
+        this.pianoRoll.addEventListener('meterChange', () => this.draw());
+        this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+    }
+
+    /**
+     * Mouse position in scrolled lane coordinates
+     */
+    getPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            screenX: e.clientX - rect.left,
+            x: e.clientX - rect.left + this.scrollX,
+            y: e.clientY - rect.top
+        };
+    }
+
+    beatToX(beat) {
+        return PIANO_KEY_WIDTH + beat * this.pianoRoll.gridWidth;
+    }
+
+    /**
+     * Beat under an x position, snapped to the note grid when snap is on
+     */
+    xToBeat(x) {
+        const beat = Math.max(0, (x - PIANO_KEY_WIDTH) / this.pianoRoll.gridWidth);
+        if (!this.pianoRoll.gridSnap) return beat;
+        return (this.pianoRoll.snapBaseX(PIANO_KEY_WIDTH + beat * GRID_WIDTH) - PIANO_KEY_WIDTH) / GRID_WIDTH;
+    }
+
+    bpmToY(bpm) {
+        const range = this.canvas.height - VERTICAL_PADDING * 2;
+        const ratio = (Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)) - MIN_BPM) / (MAX_BPM - MIN_BPM);
+        return VERTICAL_PADDING + (1 - ratio) * range;
+    }
+
+    yToBpm(y) {
+        const range = this.canvas.height - VERTICAL_PADDING * 2;
+        const ratio = 1 - (y - VERTICAL_PADDING) / range;
+        return Math.round(Math.max(MIN_BPM, Math.min(MAX_BPM, MIN_BPM + ratio * (MAX_BPM - MIN_BPM))));
+    }
+
+    findPointAt(x, y) {
+        return this.tempoMap.points.find(point =>
+            Math.abs(this.beatToX(point.beat) - x) <= HIT_DISTANCE &&
+            Math.abs(this.bpmToY(point.bpm) - y) <= HIT_DISTANCE
+        ) || null;
+    }
+
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        const { screenX, x, y } = this.getPosition(e);
+        if (screenX < PIANO_KEY_WIDTH) return;
+
+        const point = this.findPointAt(x, y);
+
+        // Shift+click toggles a ramp from this point to the next
+        if (point && e.shiftKey) {
+            this.pianoRoll.history.record('Change Tempo', () => {
+                point.ramp = !point.ramp;
+                this.tempoMap.updateTimes();
+                this.pianoRoll.updateTempo();
+            });
+            return;
+        }
+
+        this.pianoRoll.history.begin('Change Tempo');
+        this.draggingPoint = point || this.tempoMap.setPoint(this.xToBeat(x), this.yToBpm(y));
+        this.pianoRoll.updateTempo();
+    }
+
+    handleMouseMove(e) {
+        const { x, y } = this.getPosition(e);
+
+        if (this.draggingPoint) {
+            const point = this.draggingPoint;
+            point.bpm = this.yToBpm(y);
+            if (!this.tempoMap.movePoint(point, this.xToBeat(x))) {
+                this.tempoMap.updateTimes();
+            }
+            this.pianoRoll.updateTempo();
+        } else {
+            const point = this.findPointAt(x, y);
+            if (point !== this.hoveredPoint) {
+                this.hoveredPoint = point;
+                this.draw();
+            }
+        }
+    }
+
+    handleMouseUp() {
+        if (this.draggingPoint) {
+            this.draggingPoint = null;
+            this.pianoRoll.history.commit();
+            this.draw();
+        }
+    }
+
+    handleMouseLeave() {
+        this.handleMouseUp();
+        this.hoveredPoint = null;
+        this.draw();
+    }
+
+    handleDoubleClick(e) {
+        const { x, y } = this.getPosition(e);
+        this.removePointAt(x, y);
+    }
+
+    handleContextMenu(e) {
+        e.preventDefault();
+        const { x, y } = this.getPosition(e);
+        this.removePointAt(x, y);
+    }
+
+    removePointAt(x, y) {
+        const point = this.findPointAt(x, y);
+        if (!point || point === this.tempoMap.points[0]) return;
+
+        this.pianoRoll.history.record('Remove Tempo Change', () => {
+            this.tempoMap.removePoint(point);
+            this.pianoRoll.updateTempo();
+        });
+        this.hoveredPoint = null;
+    }
+
+    /**
+     * Handle touch start - a single touch edits like the mouse
+     */
+    handleTouchStart(e) {
+        e.preventDefault();
+        if (e.touches.length === 1) {
+            const touch = e.touches[0];
+            this.currentTouchId = touch.identifier;
+            this.handleMouseDown({ button: 0, clientX: touch.clientX, clientY: touch.clientY });
+        }
+    }
+
+    /**
+     * Handle touch move
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+        const touch = Array.from(e.touches).find(t => t.identifier === this.currentTouchId);
+        if (touch) {
+            this.handleMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+        }
+    }
+
+    /**
+     * Handle touch end
+     */
+    handleTouchEnd(e) {
+        e.preventDefault();
+        if (!Array.from(e.touches).some(t => t.identifier === this.currentTouchId)) {
+            this.handleMouseUp();
+            this.currentTouchId = undefined;
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Adjust for scroll
+        this.ctx.save();
+        this.ctx.translate(-this.scrollX, 0);
+
+        const rightEdge = this.canvas.width + this.scrollX;
+
+        // Draw playhead if playing or paused
+        if (this.pianoRoll.isPlaying || this.pianoRoll.isPaused) {
+            const currentMeasure = this.pianoRoll.currentMeasure;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
+
+            this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
+            this.ctx.fillRect(measureX, 0, measureWidth, this.canvas.height);
+        }
+
+        // Draw grid lines
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 0.5;
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); ; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x > rightEdge) break;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.canvas.height);
+            this.ctx.stroke();
+        }
+
+        // Draw the tempo curve - steps between points, straight lines across ramps
+        const points = this.tempoMap.points;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, this.bpmToY(points[0].bpm));
+        points.forEach((point, index) => {
+            const next = points[index + 1];
+            const endX = next ? this.beatToX(next.beat) : rightEdge;
+            const endBpm = next && point.ramp ? next.bpm : point.bpm;
+            this.ctx.lineTo(this.beatToX(point.beat), this.bpmToY(point.bpm));
+            this.ctx.lineTo(endX, this.bpmToY(endBpm));
+        });
+        this.ctx.strokeStyle = '#4a9eff';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+
+        // Shade the area under the curve
+        this.ctx.lineTo(rightEdge, this.canvas.height);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
+        this.ctx.closePath();
+        this.ctx.fillStyle = 'rgba(74, 158, 255, 0.08)';
+        this.ctx.fill();
+
+        // Draw point handles with their tempo
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        for (const point of points) {
+            const x = this.beatToX(point.beat);
+            const y = this.bpmToY(point.bpm);
+            if (x < this.scrollX + PIANO_KEY_WIDTH - 40 || x > rightEdge) continue;
+
+            const isActive = point === this.draggingPoint || point === this.hoveredPoint;
+            let color = point.ramp ? '#ffaa00' : '#4a9eff';
+            if (isActive) {
+                color = '#ffffff';
+            }
+
+            // Draw a dark background circle first to block the curve
+            this.ctx.fillStyle = '#1a1a1a';
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, HANDLE_RADIUS + 1, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, HANDLE_RADIUS, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            // Label above the handle, or below it near the top of the lane
+            const labelY = y - 7 < 10 ? y + 14 : y - 7;
+            this.ctx.fillStyle = isActive ? '#fff' : '#aaa';
+            this.ctx.fillText(`${Math.round(point.bpm * 100) / 100}`, x + 5, labelY);
+        }
+
+        this.ctx.restore();
+
+        // Draw label area background to match piano keys
+        this.ctx.save();
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, PIANO_KEY_WIDTH, this.canvas.height);
+
+        // Draw border to match piano key area
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(PIANO_KEY_WIDTH, 0);
+        this.ctx.lineTo(PIANO_KEY_WIDTH, this.canvas.height);
+        this.ctx.stroke();
+
+        // Draw labels
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${MAX_BPM}`, PIANO_KEY_WIDTH / 2, 15);
+        this.ctx.fillText(`${MIN_BPM}`, PIANO_KEY_WIDTH / 2, this.canvas.height - 5);
+        this.ctx.fillText('BPM', PIANO_KEY_WIDTH / 2, this.canvas.height / 2 + 3);
+        this.ctx.restore();
+    }
+}
@@ -0,0 +1,243 @@
+import { DEFAULT_BPM } from './constants.js';
+
+/**
+ * Song tempo map - tempo changes by beat
+ * Beats are quarter notes from the start of the song (GRID_WIDTH pixels each). The first
+ * point is always at beat 0 and holds the song's base tempo. A ramp point glides linearly
+ * (in BPM per beat) to the next point's tempo instead of jumping there.
+ */
+export class TempoMap {
+    /**
+     * @param {number} bpm - Base tempo
+     * @param {Array} points - Optional tempo changes as {beat, bpm, ramp}
+     */
+    constructor(bpm = DEFAULT_BPM, points = []) {
+        this.setPoints([{ beat: 0, bpm, ramp: false }, ...points]);
+    }
+
+    /**
+     * Replace all points. Later points win when two share a beat
+     * @param {Array} points - Tempo changes as {beat, bpm, ramp}
+     */
+    setPoints(points) {
+        const byBeat = new Map();
+        for (const point of points) {
+            byBeat.set(Math.max(0, point.beat), { beat: Math.max(0, point.beat), bpm: point.bpm, ramp: !!point.ramp });
+        }
+        this.points = Array.from(byBeat.values()).sort((a, b) => a.beat - b.beat);
+
+        if (this.points.length === 0 || this.points[0].beat > 0) {
+            this.points.unshift({ beat: 0, bpm: this.points[0]?.bpm || DEFAULT_BPM, ramp: false });
+        }
+        this.updateTimes();
+    }
+
+    /**
+     * Copies of all points, for snapshots
+     */
+    getPoints() {
+        return this.points.map(point => ({ ...point }));
+    }
+
+    getBaseTempo() {
+        return this.points[0].bpm;
+    }
+
+    setBaseTempo(bpm) {
+        this.points[0].bpm = bpm;
+        this.updateTimes();
+    }
+
+    /**
+     * Whether the tempo ever changes after beat 0
+     */
+    hasChanges() {
+        return this.points.length > 1;
+    }
+
+    /**
+     * Add a tempo change, or update the one already on that beat
+     * (an existing point keeps its ramp unless one is given)
+     * @returns {Object} The point
+     */
+    setPoint(beat, bpm, ramp) {
+        beat = Math.max(0, beat);
+        let point = this.points.find(p => Math.abs(p.beat - beat) < 1e-9);
+        if (point) {
+            point.bpm = bpm;
+            if (ramp !== undefined) point.ramp = ramp;
+        } else {
+            point = { beat, bpm, ramp: !!ramp };
+            this.points.push(point);
+            this.points.sort((a, b) => a.beat - b.beat);
+        }
+        this.updateTimes();
+        return point;
+    }
+
+    /**
+     * Move a point to another beat - the base point stays at beat 0
+     * @returns {boolean} False if the point can't move there
+     */
+    movePoint(point, beat) {
+        if (point === this.points[0] || beat <= 0) return false;
+        if (this.points.some(p => p !== point && Math.abs(p.beat - beat) < 1e-9)) return false;
+
+        point.beat = beat;
+        this.points.sort((a, b) => a.beat - b.beat);
+        this.updateTimes();
+        return true;
+    }
+
+    /**
+     * Remove a tempo change - the base point can't be removed
+     */
+    removePoint(point) {
+        const index = this.points.indexOf(point);
+        if (index > 0) {
+            this.points.splice(index, 1);
+            this.updateTimes();
+        }
+    }
+
+    /**
+     * Cache the time at which each point starts
+     */
+    updateTimes() {
+        this.startTimes = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            this.startTimes.push(this.startTimes[i - 1] + this.getSegmentTime(i - 1, this.points[i].beat));
+        }
+    }
+
+    /**
+     * Tempo change per beat within the segment starting at point index
+     */
+    getSlope(index) {
+        const point = this.points[index];
+        const next = this.points[index + 1];
+        if (!point.ramp || !next) return 0;
+        return (next.bpm - point.bpm) / (next.beat - point.beat);
+    }
+
+    /**
+     * Seconds from the point at index to a beat inside its segment
+     */
+    getSegmentTime(index, beat) {
+        const point = this.points[index];
+        const beats = beat - point.beat;
+        const slope = this.getSlope(index);
+        if (Math.abs(slope) < 1e-12) {
+            return beats * 60 / point.bpm;
+        }
+        // Integral of 60 / (bpm + slope * b) over the beats
+        return 60 / slope * Math.log((point.bpm + slope * beats) / point.bpm);
+    }
+
+    /**
+     * Index of the last point at or before a beat
+     */
+    findIndexAtBeat(beat) {
+        let low = 0;
+        let high = this.points.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.points[mid].beat <= beat) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Index of the last point that starts at or before a time
+     */
+    findIndexAtTime(time) {
+        let low = 0;
+        let high = this.startTimes.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.startTimes[mid] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Tempo in BPM at a beat
+     */
+    getTempoAt(beat) {
+        const index = this.findIndexAtBeat(beat);
+        const point = this.points[index];
+        return point.bpm + this.getSlope(index) * (beat - point.beat);
+    }
+
+    /**
+     * Seconds from the start of the song to a beat
+     */
+    beatToTime(beat) {
+        const index = this.findIndexAtBeat(beat);
+        return this.startTimes[index] + this.getSegmentTime(index, beat);
+    }
+
+    /**
+     * Beat reached a number of seconds into the song
+     */
+    timeToBeat(time) {
+        const index = this.findIndexAtTime(time);
+        const point = this.points[index];
+        const elapsed = time - this.startTimes[index];
+        const slope = this.getSlope(index);
+        if (Math.abs(slope) < 1e-12) {
+            return point.beat + elapsed * point.bpm / 60;
+        }
+        return point.beat + point.bpm * (Math.exp(slope * elapsed / 60) - 1) / slope;
+    }
+
+    /**
+     * Seconds between two beats
+     */
+    getDuration(startBeat, endBeat) {
+        return this.beatToTime(endBeat) - this.beatToTime(startBeat);
+    }
+
+    clone() {
+        const copy = new TempoMap();
+        copy.setPoints(this.getPoints());
+        return copy;
+    }
+
+    /**
+     * Song file format - positions as measure and beat (in grid subdivisions) like notes
+     * @param {MeterMap} meterMap - The song's time signatures
+     */
+    toJSON(meterMap) {
+        return this.points.map(point => ({
+            ...meterMap.toMeasurePosition(point.beat),
+            bpm: point.bpm,
+            ramp: point.ramp
+        }));
+    }
+
+    /**
+     * Restore a tempo map saved with toJSON
+     * @param {Array} data - Saved points, or nothing for a constant tempo
+     * @param {number} bpm - Song tempo, used when there's no saved map
+     * @param {MeterMap} meterMap - The song's time signatures
+     */
+    static fromJSON(data, bpm, meterMap) {
+        if (!Array.isArray(data)) {
+            return new TempoMap(bpm);
+        }
+        return new TempoMap(bpm, data.map(point => ({
+            beat: meterMap.fromMeasurePosition(point.measure, point.beat),
+            bpm: point.bpm,
+            ramp: point.ramp
+        })));
+    }
+}
@@ -0,0 +1,64 @@
+import { PIANO_KEY_WIDTH, GRID_WIDTH } from './constants.js';
+
+/**
+ * Playback timeline - note events sorted by start beat
+ * Built once per set of notes so the scheduler can find the notes in any beat
+ * range with a binary search instead of filtering the whole song.
+ */
+export class Timeline {
+    /**
+     * @param {Array} notes - Notes in editor format
+     */
+    constructor(notes = []) {
+        this.events = notes.map(note => ({
+            startBeat: (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH,
+            endBeat: (note.x + note.width - PIANO_KEY_WIDTH) / GRID_WIDTH,
+            note
+        })).sort((a, b) => a.startBeat - b.startBeat);
+
+        // Every sound the notes use, for decoding before playback
+        this.instruments = new Set(notes.map(note => note.instrument));
+        this.size = notes.length;
+    }
+
+    /**
+     * Index of the first event starting at or after a beat
+     * @param {number} beat - Beat position
+     */
+    indexAt(beat) {
+        let low = 0;
+        let high = this.events.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this.events[middle].startBeat < beat) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Events starting in a beat range
+     * @param {number} startBeat - First beat (inclusive)
+     * @param {number} endBeat - Last beat (exclusive)
+     * @returns {Array} Events as {startBeat, endBeat, note}, in start order
+     */
+    getEvents(startBeat, endBeat) {
+        return this.events.slice(this.indexAt(startBeat), this.indexAt(endBeat));
+    }
+
+    /**
+     * Events sounding at a beat - started at or before it and not yet ended
+     * @param {number} beat - Beat position
+     * @returns {Array} Events as {startBeat, endBeat, note}, in start order
+     */
+    getSoundingEvents(beat) {
+        let end = this.indexAt(beat);
+        while (end < this.events.length && this.events[end].startBeat === beat) {
+            end++;
+        }
+        return this.events.slice(0, end).filter(event => event.endBeat > beat);
+    }
+}
@@ -0,0 +1,408 @@
+import {
+    NOTES_PER_OCTAVE,
+    TOTAL_KEYS,
+    MIDDLE_C_KEY,
+    BASE_FREQUENCY
+} from './constants.js';
+
+// Each 12-tone note as a number of fifths above C, used to spell C..B in any tuning
+const CHAIN_OF_FIFTHS = [0, 7, 2, 9, 4, -1, 6, 1, 8, 3, 10, 5];
+const JUST_FIFTH_CENTS = 1200 * Math.log2(3 / 2);
+const MIDDLE_C_MIDI = 60;
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+/**
+ * Song tuning - maps piano roll keys to pitches
+ * Every key row is one step of the keyboard. MIDDLE_C_KEY is C4 in every tuning, so songs
+ * stay centred on the piano roll whatever the number of notes per octave. Scales come from
+ * N-EDO or a Scala .scl file, optionally laid out by a Scala .kbm keyboard mapping.
+ */
+export class Tuning {
+    /**
+     * @param {Object} scale - {name, description, edo} or {name, description, pitches}
+     *                         where pitches are Scala pitch strings for degrees 1..N
+     * @param {Object} keyboard - Optional keyboard mapping from parseKbm
+     */
+    constructor(scale, keyboard = null) {
+        this.name = scale.name;
+        this.description = scale.description || '';
+        this.edo = scale.edo || null;
+        this.pitches = this.edo ? null : scale.pitches.slice();
+        this.keyboard = keyboard;
+
+        this.degreeCents = this.edo
+            ? Array.from({ length: this.edo }, (_, i) => (i + 1) * 1200 / this.edo)
+            : this.pitches.map(pitch => Tuning.parsePitch(pitch));
+        this.size = this.degreeCents.length;
+        this.periodCents = this.degreeCents[this.size - 1];
+        if (!(this.periodCents > 0)) {
+            throw new Error('The last pitch of a scale must be above 1/1');
+        }
+
+        // Keys per repetition of the scale (or of the keyboard mapping)
+        this.keysPerPeriod = keyboard && keyboard.mapping.length > 0 ? keyboard.mapping.length : this.size;
+
+        // Cents above middle C for every key row, null where the mapping leaves a key unused
+        this.keyCents = [];
+        const middleCents = this.computeDegreeCentsForKey(MIDDLE_C_KEY) ?? 0;
+        for (let key = 0; key < TOTAL_KEYS; key++) {
+            const cents = this.computeDegreeCentsForKey(key);
+            this.keyCents.push(cents === null ? null : cents - middleCents);
+        }
+
+        this.twelveTonePositions = this.buildTwelveTonePositions();
+
+        // Absolute pitch - the .kbm reference note, or A440 on the scale's A
+        let referenceKey;
+        if (keyboard) {
+            referenceKey = MIDDLE_C_KEY + keyboard.referenceNote - MIDDLE_C_MIDI;
+            this.referenceFrequency = keyboard.referenceFrequency;
+        } else {
+            referenceKey = MIDDLE_C_KEY + this.twelveTonePositions[9];
+            this.referenceFrequency = BASE_FREQUENCY;
+        }
+        this.referenceCents = this.getKeyCents(referenceKey);
+        if (this.referenceCents === null) {
+            throw new Error('The reference note is not mapped to a scale degree');
+        }
+    }
+
+    /**
+     * Equal division of the octave
+     * @param {number} divisions - Notes per octave
+     * @param {Object} keyboard - Optional keyboard mapping
+     */
+    static fromEdo(divisions, keyboard = null) {
+        if (!Number.isInteger(divisions) || divisions < 1) {
+            throw new Error(`Invalid number of divisions: ${divisions}`);
+        }
+        return new Tuning({
+            name: `${divisions}-EDO`,
+            description: `${divisions} equal divisions of the octave`,
+            edo: divisions
+        }, keyboard);
+    }
+
+    /**
+     * Tuning from the text of a Scala .scl file
+     * @param {string} text - File contents
+     * @param {string} name - Display name (usually the file name)
+     * @param {Object} keyboard - Optional keyboard mapping
+     */
+    static fromScala(text, name, keyboard = null) {
+        const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+        if (lines.length < 2) {
+            throw new Error('Not a Scala scale file');
+        }
+
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Scale has no notes');
+        }
+
+        const pitches = lines.slice(2)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .slice(0, count)
+            .map(line => line.split(/\s+/)[0]);
+        if (pitches.length < count) {
+            throw new Error(`Scale lists ${pitches.length} of ${count} pitches`);
+        }
+
+        return new Tuning({ name, description, pitches }, keyboard);
+    }
+
+    /**
+     * Parse a Scala .kbm keyboard mapping
+     * First and last note are kept for saving but not enforced - key rows reach past MIDI 0-127
+     * @param {string} text - File contents
+     * @returns {Object} {firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping}
+     */
+    static parseKbm(text) {
+        const values = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0 && !line.startsWith('!'))
+            .map(line => line.split(/\s+/)[0]);
+        if (values.length < 7) {
+            throw new Error('Not a Scala keyboard mapping file');
+        }
+
+        const [mapSize, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(value => parseInt(value, 10));
+        const referenceFrequency = parseFloat(values[5]);
+        const octaveDegree = parseInt(values[6], 10);
+        if ([mapSize, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(value => !Number.isInteger(value)) ||
+            mapSize < 0 || !(referenceFrequency > 0)) {
+            throw new Error('Invalid keyboard mapping header');
+        }
+
+        // Missing entries at the end of the map are unmapped keys
+        const mapping = [];
+        for (let i = 0; i < mapSize; i++) {
+            const entry = values[7 + i];
+            if (entry === undefined || entry.toLowerCase() === 'x') {
+                mapping.push(null);
+                continue;
+            }
+            const degree = parseInt(entry, 10);
+            if (!Number.isInteger(degree)) {
+                throw new Error(`Invalid keyboard mapping entry "${entry}"`);
+            }
+            mapping.push(degree);
+        }
+
+        return { firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+    }
+
+    /**
+     * Convert a Scala pitch (cents if it has a period, otherwise a ratio) to cents
+     */
+    static parsePitch(text) {
+        if (text.includes('.')) {
+            const cents = parseFloat(text);
+            if (Number.isFinite(cents)) return cents;
+        } else {
+            const match = text.match(/^(\d+)(?:\/(\d+))?$/);
+            if (match) {
+                const ratio = parseInt(match[1], 10) / (match[2] ? parseInt(match[2], 10) : 1);
+                if (ratio > 0 && Number.isFinite(ratio)) return 1200 * Math.log2(ratio);
+            }
+        }
+        throw new Error(`Invalid pitch "${text}"`);
+    }
+
+    /**
+     * Restore a tuning saved with toJSON (missing data means the default 46-EDO)
+     */
+    static fromJSON(data) {
+        if (!data) {
+            return DEFAULT_TUNING;
+        }
+        const keyboard = data.keyboard || null;
+        return data.edo
+            ? Tuning.fromEdo(data.edo, keyboard)
+            : new Tuning({ name: data.name, description: data.description, pitches: data.pitches }, keyboard);
+    }
+
+    toJSON() {
+        const data = { name: this.name, description: this.description };
+        if (this.edo) {
+            data.edo = this.edo;
+        } else {
+            data.pitches = this.pitches;
+        }
+        if (this.keyboard) {
+            data.keyboard = this.keyboard;
+        }
+        return data;
+    }
+
+    /**
+     * Cents of a scale degree above degree 0 (degrees may fall outside the first period)
+     */
+    getDegreeCents(degree) {
+        const period = Math.floor(degree / this.size);
+        const step = degree - period * this.size;
+        return period * this.periodCents + (step === 0 ? 0 : this.degreeCents[step - 1]);
+    }
+
+    /**
+     * Cents of a key above degree 0 before middle C is taken out, or null if unmapped
+     */
+    computeDegreeCentsForKey(key) {
+        const keyboard = this.keyboard;
+        if (!keyboard) {
+            return this.getDegreeCents(key - MIDDLE_C_KEY);
+        }
+
+        // Keyboard mappings count keys in MIDI note numbers
+        const offset = key - MIDDLE_C_KEY + MIDDLE_C_MIDI - keyboard.middleNote;
+        if (keyboard.mapping.length === 0) {
+            return this.getDegreeCents(offset);
+        }
+
+        const degree = keyboard.mapping[mod(offset, keyboard.mapping.length)];
+        if (degree === null) {
+            return null;
+        }
+        const octaveDegree = keyboard.octaveDegree || this.size;
+        return this.getDegreeCents(Math.floor(offset / keyboard.mapping.length) * octaveDegree + degree);
+    }
+
+    /**
+     * Cents above middle C, or null for an unmapped key
+     */
+    getKeyCents(key) {
+        if (key >= 0 && key < TOTAL_KEYS) {
+            return this.keyCents[key];
+        }
+        const cents = this.computeDegreeCentsForKey(key);
+        return cents === null ? null : cents - (this.computeDegreeCentsForKey(MIDDLE_C_KEY) ?? 0);
+    }
+
+    isMapped(key) {
+        return this.getKeyCents(key) !== null;
+    }
+
+    /**
+     * Frequency in Hz, or null for an unmapped key
+     */
+    getFrequency(key) {
+        const cents = this.getKeyCents(key);
+        if (cents === null) return null;
+        return this.referenceFrequency * Math.pow(2, (cents - this.referenceCents) / 1200);
+    }
+
+    /**
+     * Position of a key within its period, counted from C
+     */
+    getPitchClass(key) {
+        return mod(key - MIDDLE_C_KEY, this.keysPerPeriod);
+    }
+
+    /**
+     * Octave number of a key (C4 starts octave 4)
+     */
+    getOctave(key) {
+        return 4 + Math.floor((key - MIDDLE_C_KEY) / this.keysPerPeriod);
+    }
+
+    /**
+     * Position in the first period whose pitch is nearest to the given cents
+     */
+    findNearestPosition(cents) {
+        let nearest = 0;
+        let minDistance = Infinity;
+        for (let position = 0; position < this.keysPerPeriod; position++) {
+            const positionCents = this.getKeyCents(MIDDLE_C_KEY + position);
+            if (positionCents !== null && Math.abs(positionCents - cents) < minDistance) {
+                minDistance = Math.abs(positionCents - cents);
+                nearest = position;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Positions of C, C#, D ... B within a period
+     * Spelled along the chain of fifths where that keeps them in order (46-EDO gives
+     * 0, 5, 8, 13 ...), otherwise the nearest pitch to each 12-TET note
+     */
+    buildTwelveTonePositions() {
+        const fifth = this.findNearestPosition(JUST_FIFTH_CENTS);
+        const chain = CHAIN_OF_FIFTHS.map(fifths => mod(fifths * fifth, this.keysPerPeriod));
+        const usable = chain.every((position, i) => i === 0 || position > chain[i - 1]) &&
+            chain.every(position => this.isMapped(MIDDLE_C_KEY + position));
+
+        return usable ? chain : CHAIN_OF_FIFTHS.map((_, semitone) => this.findNearestPosition(semitone * 100));
+    }
+
+    /**
+     * Key for a 12-tone note, which may lie outside the piano roll
+     * @param {number} octave - Octave number (4 = middle C octave)
+     * @param {number} semitone - 0 (C) to 11 (B)
+     */
+    keyFromTwelveTone(octave, semitone) {
+        return MIDDLE_C_KEY + (octave - 4) * this.keysPerPeriod + this.twelveTonePositions[semitone];
+    }
+
+    /**
+     * Key whose pitch is nearest to a number of cents above middle C, which may lie outside the piano roll
+     */
+    keyFromCents(cents) {
+        const keyboard = this.keyboard;
+        const periodCents = keyboard && keyboard.mapping.length > 0
+            ? this.getDegreeCents(keyboard.octaveDegree || this.size)
+            : this.periodCents;
+        const period = Math.floor(cents / periodCents);
+        const remainder = cents - period * periodCents;
+
+        // Include the next period's first key so pitches just below it round up
+        let nearest = 0;
+        let minDistance = Infinity;
+        for (let position = 0; position <= this.keysPerPeriod; position++) {
+            const positionCents = position === this.keysPerPeriod
+                ? periodCents
+                : this.getKeyCents(MIDDLE_C_KEY + position);
+            if (positionCents !== null && Math.abs(positionCents - remainder) < minDistance) {
+                minDistance = Math.abs(positionCents - remainder);
+                nearest = position;
+            }
+        }
+        return MIDDLE_C_KEY + period * this.keysPerPeriod + nearest;
+    }
+
+    /**
+     * Key whose pitch is nearest to a frequency in Hz, which may lie outside the piano roll
+     */
+    keyFromFrequency(frequency) {
+        return this.keyFromCents(this.referenceCents + 1200 * Math.log2(frequency / this.referenceFrequency));
+    }
+
+    /**
+     * Move a key by whole periods until it lies on the piano roll
+     */
+    foldKey(key) {
+        while (key < 0) key += this.keysPerPeriod;
+        while (key >= TOTAL_KEYS) key -= this.keysPerPeriod;
+        return Math.max(0, key);
+    }
+
+    /**
+     * Nearest 12-tone note to a key, counting the next period's C (ties go to the lower note)
+     * @returns {Object} {octave, semitone, distance} where distance is in keys
+     */
+    getTwelveTone(key) {
+        const pitchClass = this.getPitchClass(key);
+        let semitone = 0;
+        let minDistance = Infinity;
+        this.twelveTonePositions.forEach((position, i) => {
+            if (Math.abs(pitchClass - position) < minDistance) {
+                minDistance = Math.abs(pitchClass - position);
+                semitone = i;
+            }
+        });
+
+        // Keys just below the next C belong to that C, an octave up
+        const nextC = this.twelveTonePositions[0] + this.keysPerPeriod;
+        if (nextC - pitchClass < minDistance) {
+            return { octave: this.getOctave(key) + 1, semitone: 0, distance: pitchClass - nextC };
+        }
+        return { octave: this.getOctave(key), semitone, distance: pitchClass - this.twelveTonePositions[semitone] };
+    }
+
+    /**
+     * Keys above (positive) or below (negative) the nearest 12-tone note,
+     * counting the next period's C and preferring the lower note on ties
+     */
+    getMicrotonalOffset(key) {
+        const pitchClass = this.getPitchClass(key);
+        let lower = 0;
+        let upper = this.keysPerPeriod;
+        for (const position of this.twelveTonePositions) {
+            if (position === pitchClass) return 0;
+            if (position < pitchClass && position > lower) lower = position;
+            if (position > pitchClass && position < upper) upper = position;
+        }
+        return pitchClass - lower <= upper - pitchClass ? pitchClass - lower : pitchClass - upper;
+    }
+
+    /**
+     * Number of keys from middle C whose interval is nearest to the given cents
+     */
+    getStepsForCents(cents) {
+        let nearest = 0;
+        let minDistance = Infinity;
+        for (let key = 0; key < TOTAL_KEYS; key++) {
+            const keyCents = this.keyCents[key];
+            if (keyCents !== null && Math.abs(keyCents - cents) < minDistance) {
+                minDistance = Math.abs(keyCents - cents);
+                nearest = key - MIDDLE_C_KEY;
+            }
+        }
+        return nearest;
+    }
+}
+
+export const DEFAULT_TUNING = Tuning.fromEdo(NOTES_PER_OCTAVE);
@@ -1,4 +1,4 @@
-import { PIANO_KEY_WIDTH, GRID_WIDTH, BEATS_PER_MEASURE, VELOCITY_BAR_HEIGHT } from './constants.js';
+import { PIANO_KEY_WIDTH, GRID_WIDTH, VELOCITY_BAR_HEIGHT } from './constants.js';
 
 /**
  * VelocityBar - Handles velocity editing for notes
@@ -49,6 +49,7 @@ export class VelocityBar {
         this.pianoRoll.addEventListener('notesChanged', () => this.draw());
         this.pianoRoll.addEventListener('selectionChanged', () => this.draw());
         this.pianoRoll.addEventListener('playbackUpdate', () => this.draw());
+        this.pianoRoll.addEventListener('meterChange', () => this.draw());
     }
     
     handleMouseDown(e) {
@@ -60,6 +61,7 @@ export class VelocityBar {
         const note = this.findNoteAtX(x);
         if (note) {
             this.draggingNote = note;
+            this.pianoRoll.history.begin('Change Velocity');
             
             // Store initial velocity values for all selected notes
             if (this.pianoRoll.noteManager.selectedNotes.has(note)) {
@@ -108,6 +110,9 @@ export class VelocityBar {
     }
     
     handleMouseUp() {
+        if (this.draggingNote) {
+            this.pianoRoll.history.commit();
+        }
         this.draggingNote = null;
         this.initialVelocityValues = null;
         this.dragStartY = null;
@@ -115,6 +120,9 @@ export class VelocityBar {
     }
     
     handleMouseLeave() {
+        if (this.draggingNote) {
+            this.pianoRoll.history.commit();
+        }
         this.draggingNote = null;
         this.hoveredNote = null;
         this.canvas.style.cursor = 'default';
@@ -123,7 +131,7 @@ export class VelocityBar {
     
     findNoteAtX(x) {
         const notes = this.pianoRoll.noteManager.notes;
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         
         for (const note of notes) {
             // Scale note position for comparison
@@ -140,7 +148,9 @@ export class VelocityBar {
     updateNoteVelocity(note, y) {
         // Convert y position to velocity value (0 to 127)
         const velocity = Math.max(0, Math.min(127, Math.round((1 - y / this.canvas.height) * 127)));
-        note.velocity = velocity;
+        this.pianoRoll.history.record('Change Velocity', () => {
+            note.velocity = velocity;
+        });
         this.pianoRoll.dirty = true;
         this.draw();
     }
@@ -155,8 +165,8 @@ export class VelocityBar {
         // Draw playhead if playing or paused
         if (this.pianoRoll.isPlaying || this.pianoRoll.isPaused) {
             const currentMeasure = this.pianoRoll.currentMeasure;
-            const measureWidth = BEATS_PER_MEASURE * this.pianoRoll.gridWidth;
-            const measureX = PIANO_KEY_WIDTH + currentMeasure * measureWidth;
+            const measureX = this.pianoRoll.getMeasureX(currentMeasure);
+            const measureWidth = this.pianoRoll.getMeasureX(currentMeasure + 1) - measureX;
             
             this.ctx.fillStyle = 'rgba(255, 68, 68, 0.1)';
             this.ctx.fillRect(measureX, 0, measureWidth, this.canvas.height);
@@ -165,8 +175,9 @@ export class VelocityBar {
         // Draw grid lines
         this.ctx.strokeStyle = '#333';
         this.ctx.lineWidth = 0.5;
-        const measureWidth = this.pianoRoll.gridWidth * BEATS_PER_MEASURE;
-        for (let x = PIANO_KEY_WIDTH; x <= this.canvas.width + this.scrollX; x += measureWidth) {
+        for (let measure = this.pianoRoll.getMeasureAtX(this.scrollX); ; measure++) {
+            const x = this.pianoRoll.getMeasureX(measure);
+            if (x > this.canvas.width + this.scrollX) break;
             this.ctx.beginPath();
             this.ctx.moveTo(x, 0);
             this.ctx.lineTo(x, this.canvas.height);
@@ -175,7 +186,7 @@ export class VelocityBar {
         
         // Draw note velocity bars
         const notes = this.pianoRoll.noteManager.notes;
-        const scaleFactor = this.pianoRoll.gridWidth / this.pianoRoll.baseGridWidth;
+        const scaleFactor = this.pianoRoll.getScaleFactor();
         
         for (const note of notes) {
             // Skip if track is hidden
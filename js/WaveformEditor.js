@@ -0,0 +1,140 @@
+import { WAVE_SAMPLES } from './constants.js';
+
+/**
+ * WaveformEditor - Draw one 256-sample signed 8-bit cycle for a melodic voice
+ */
+export class WaveformEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface
+     * @param {Function} onChange - Called after every edit
+     */
+    constructor(canvas, onChange = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.samples = new Int8Array(WAVE_SAMPLES);
+        this.lastPoint = null; // Previous point of the stroke being drawn
+
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.lastPoint = null;
+            this.drawAt(e.clientX, e.clientY);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.lastPoint && e.buttons === 1) {
+                this.drawAt(e.clientX, e.clientY);
+            }
+        });
+        this.canvas.addEventListener('mouseup', () => { this.lastPoint = null; });
+        this.canvas.addEventListener('mouseleave', () => { this.lastPoint = null; });
+
+        // Touch events
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.lastPoint = null;
+            this.drawAt(e.touches[0].clientX, e.touches[0].clientY);
+        }, { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            this.drawAt(e.touches[0].clientX, e.touches[0].clientY);
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', () => { this.lastPoint = null; });
+    }
+
+    /**
+     * Set the samples under a pointer, filling in the samples skipped since the last point
+     */
+    drawAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const index = Math.max(0, Math.min(WAVE_SAMPLES - 1, Math.floor((clientX - rect.left) / rect.width * WAVE_SAMPLES)));
+        const value = Math.max(-128, Math.min(127, Math.round(128 - (clientY - rect.top) / rect.height * 256)));
+
+        const from = this.lastPoint || { index, value };
+        const steps = Math.abs(index - from.index);
+        for (let step = 0; step <= steps; step++) {
+            const t = steps === 0 ? 1 : step / steps;
+            const i = Math.round(from.index + (index - from.index) * t);
+            this.samples[i] = Math.round(from.value + (value - from.value) * t);
+        }
+        this.lastPoint = { index, value };
+
+        this.draw();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Replace the whole cycle
+     * @param {Int8Array} samples - At least 256 samples
+     */
+    setSamples(samples) {
+        this.samples = Int8Array.from(samples.subarray(0, WAVE_SAMPLES));
+        this.draw();
+        if (this.onChange) this.onChange();
+    }
+
+    getSamples() {
+        return this.samples.slice();
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+
+        // Quarter-cycle grid and the zero line
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo(Math.round(width * i / 4) + 0.5, 0);
+            ctx.lineTo(Math.round(width * i / 4) + 0.5, height);
+        }
+        ctx.stroke();
+        ctx.strokeStyle = '#444';
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2 + 0.5);
+        ctx.lineTo(width, height / 2 + 0.5);
+        ctx.stroke();
+
+        // One step per sample, as the wave is played back
+        const sampleWidth = width / WAVE_SAMPLES;
+        ctx.strokeStyle = '#4a9eff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < WAVE_SAMPLES; i++) {
+            const y = (128 - this.samples[i]) / 256 * height;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * sampleWidth, y);
+            }
+            ctx.lineTo((i + 1) * sampleWidth, y);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Build a cycle from sine harmonics, scaled so the peak uses the full range
+     * @param {Array} amplitudes - Level of harmonic 1, 2, 3, ... (any scale)
+     */
+    static fromHarmonics(amplitudes) {
+        const values = Array.from({ length: WAVE_SAMPLES }, (_, i) => amplitudes.reduce((sum, amplitude, harmonic) =>
+            sum + amplitude * Math.sin(2 * Math.PI * (harmonic + 1) * i / WAVE_SAMPLES), 0));
+        const peak = Math.max(...values.map(Math.abs));
+        return Int8Array.from(values, value => peak > 0 ? Math.round(value / peak * 127) : 0);
+    }
+
+    /**
+     * Blend two cycles sample by sample
+     * @param {number} amount - 0 for the first cycle, 1 for the second
+     */
+    static morph(from, to, amount) {
+        return Int8Array.from({ length: WAVE_SAMPLES }, (_, i) => Math.round(from[i] + (to[i] - from[i]) * amount));
+    }
+}
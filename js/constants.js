@@ -3,6 +3,28 @@ export const NOTES_PER_OCTAVE = 46; // 46 EDO tuning system
 export const NUM_OCTAVES = 8;
 export const NOTES_PER_SEMITONE = 3.83; // Approximate divisions per semitone in 46 EDO (46/12)
 export const TOTAL_KEYS = NUM_OCTAVES * NOTES_PER_OCTAVE;
+export const MIDDLE_C_KEY = 4 * NOTES_PER_OCTAVE; // C4 (MIDI note 60) in every tuning
+
+// Named intervals for the transpose dialog, rounded to the nearest 46 EDO step
+export const TRANSPOSE_INTERVALS = [
+    { name: 'Syntonic comma (81/80)', steps: 1 },
+    { name: 'Diatonic semitone (limma)', steps: 3 },
+    { name: 'Just minor second (16/15)', steps: 4 },
+    { name: 'Chromatic semitone (apotome)', steps: 4 },
+    { name: 'Major whole tone (9/8)', steps: 8 },
+    { name: 'Septimal minor third (7/6)', steps: 10 },
+    { name: 'Just minor third (6/5)', steps: 12 },
+    { name: 'Just major third (5/4)', steps: 15 },
+    { name: 'Pythagorean major third (81/64)', steps: 16 },
+    { name: 'Perfect fourth (4/3)', steps: 19 },
+    { name: 'Undecimal tritone (11/8)', steps: 21 },
+    { name: 'Perfect fifth (3/2)', steps: 27 },
+    { name: 'Just minor sixth (8/5)', steps: 31 },
+    { name: 'Just major sixth (5/3)', steps: 34 },
+    { name: 'Harmonic seventh (7/4)', steps: 37 },
+    { name: 'Just major seventh (15/8)', steps: 42 },
+    { name: 'Octave (2/1)', steps: 46 }
+];
 
 // 12-tone to 46 EDO mapping
 export const TWELVE_TO_46_EDO_MAP = {
@@ -22,15 +44,77 @@ export const TWELVE_TO_46_EDO_MAP = {
 
 // Audio constants
 export const BASE_FREQUENCY = 440; // A4 in Hz
+export const C0_FREQUENCY = BASE_FREQUENCY * Math.pow(2, -(4 * NOTES_PER_OCTAVE + 35) / NOTES_PER_OCTAVE); // Organya's lowest C
 export const WAVE_SAMPLES = 256; // Samples per wave in wavetable
 export const BASE_SAMPLE_RATE = 22050; // Base sample rate for drums
 export const MAX_DRUMS = 6; // Maximum number of drum samples
 export const MAX_MELODIC_SAMPLES = 100; // M00-M99
+export const DRUM_SAMPLE_PATTERN = /^(ORG|USR)_D/; // Built-in and sound bank drums
+export const MASTER_BUS = 'master'; // Effects target for the whole mix
+export const MAX_EFFECT_TAIL = 10; // Longest reverb/delay tail rendered after a song, in seconds
+
+// General MIDI percussion (channel 10 note numbers) onto the Organya drums:
+// D00 bass drum, D01 snare, D02 closed hi-hat, D03 open hi-hat/cymbal, D04 tom, D05 percussion.
+// Each plays at a fixed ORG key (0-95) - drum pitch is the sample rate, not the GM note.
+// Key 27 plays a drum close to its recorded pitch
+export const GM_DRUM_MAP = {
+    35: { instrument: 'ORG_D00', key: 24 }, // Acoustic Bass Drum
+    36: { instrument: 'ORG_D00', key: 27 }, // Bass Drum 1
+    37: { instrument: 'ORG_D05', key: 34 }, // Side Stick
+    38: { instrument: 'ORG_D01', key: 27 }, // Acoustic Snare
+    39: { instrument: 'ORG_D05', key: 27 }, // Hand Clap
+    40: { instrument: 'ORG_D01', key: 30 }, // Electric Snare
+    41: { instrument: 'ORG_D04', key: 20 }, // Low Floor Tom
+    42: { instrument: 'ORG_D02', key: 27 }, // Closed Hi-Hat
+    43: { instrument: 'ORG_D04', key: 22 }, // High Floor Tom
+    44: { instrument: 'ORG_D02', key: 24 }, // Pedal Hi-Hat
+    45: { instrument: 'ORG_D04', key: 25 }, // Low Tom
+    46: { instrument: 'ORG_D03', key: 27 }, // Open Hi-Hat
+    47: { instrument: 'ORG_D04', key: 27 }, // Low-Mid Tom
+    48: { instrument: 'ORG_D04', key: 30 }, // Hi-Mid Tom
+    49: { instrument: 'ORG_D03', key: 22 }, // Crash Cymbal 1
+    50: { instrument: 'ORG_D04', key: 33 }, // High Tom
+    51: { instrument: 'ORG_D03', key: 30 }, // Ride Cymbal 1
+    52: { instrument: 'ORG_D03', key: 20 }, // Chinese Cymbal
+    53: { instrument: 'ORG_D02', key: 22 }, // Ride Bell
+    54: { instrument: 'ORG_D02', key: 33 }, // Tambourine
+    55: { instrument: 'ORG_D03', key: 32 }, // Splash Cymbal
+    56: { instrument: 'ORG_D05', key: 36 }, // Cowbell
+    57: { instrument: 'ORG_D03', key: 24 }, // Crash Cymbal 2
+    59: { instrument: 'ORG_D03', key: 29 }, // Ride Cymbal 2
+    60: { instrument: 'ORG_D05', key: 33 }, // Hi Bongo
+    61: { instrument: 'ORG_D05', key: 30 }, // Low Bongo
+    62: { instrument: 'ORG_D04', key: 36 }, // Mute Hi Conga
+    63: { instrument: 'ORG_D04', key: 34 }, // Open Hi Conga
+    64: { instrument: 'ORG_D04', key: 31 }, // Low Conga
+    69: { instrument: 'ORG_D02', key: 30 }, // Cabasa
+    70: { instrument: 'ORG_D02', key: 36 }, // Maracas
+    75: { instrument: 'ORG_D05', key: 38 }, // Claves
+    76: { instrument: 'ORG_D05', key: 36 }, // Hi Wood Block
+    77: { instrument: 'ORG_D05', key: 32 }  // Low Wood Block
+};
+export const GM_DRUM_DEFAULT = { instrument: 'ORG_D05', key: 27 }; // Any other percussion note
 
 // Timing constants
 export const DEFAULT_BPM = 120;
+export const MIN_BPM = 20;
+export const MAX_BPM = 300;
 export const BEATS_PER_MEASURE = 4; // 4/4 time
 export const GRID_SUBDIVISIONS = 4; // Each beat divided into 4 parts (16th notes)
+export const AUTOMATION_TICKS_PER_BEAT = 192; // Automation ticks per beat in songs without ORG timing
+
+// Quantize grid choices (subdivisions per beat, where a beat is a quarter note)
+export const QUANTIZE_GRIDS = [
+    { label: '1/4', subdivisions: 1 },
+    { label: '1/8', subdivisions: 2 },
+    { label: '1/16', subdivisions: 4 },
+    { label: '1/32', subdivisions: 8 },
+    { label: '1/64', subdivisions: 16 },
+    { label: '1/4 triplet', subdivisions: 1.5 },
+    { label: '1/8 triplet', subdivisions: 3 },
+    { label: '1/16 triplet', subdivisions: 6 },
+    { label: '1/32 triplet', subdivisions: 12 }
+];
 
 // UI dimensions
 export const PIANO_KEY_WIDTH = 60;
@@ -39,23 +123,96 @@ export const GRID_WIDTH = 40;
 export const TOTAL_MEASURES = 256;
 export const RESIZE_HANDLE_WIDTH = 8; // Pixels from edge to detect resize
 
+// Zoom limits (multiples of GRID_WIDTH and NOTE_HEIGHT)
+export const MIN_ZOOM_X = 0.25;
+export const MAX_ZOOM_X = 8;
+export const MIN_ZOOM_Y = 0.5;
+export const MAX_ZOOM_Y = 4;
+export const ZOOM_STEP = 1.25; // Factor per zoom in/out step
+
 // UI constants
 export const PAN_BAR_HEIGHT = 60;
 export const VELOCITY_BAR_HEIGHT = 60;
 export const DEFAULT_VELOCITY = 100;
 export const DEFAULT_VOLUME = 30;
+export const MIDI_AUDITION_SECONDS = 10; // Length of a track preview in the MIDI import dialog
+export const SCRUB_AUDITION_SECONDS = 0.2; // Length of a note heard while scrubbing the ruler
 
 // Performance constants
 export const VISIBLE_AREA_PADDING = 100; // Extra pixels to render outside visible area
 export const PORTAMENTO_TIME = 0.05; // Seconds for pitch glide
-export const AUDIO_STOP_DELAY = 0.01; // Brief delay to prevent audio glitches
+export const SCHEDULE_LOOKAHEAD = 0.1; // Seconds of notes handed to the audio thread ahead of time
+export const SCHEDULE_INTERVAL = 25; // Milliseconds between scheduler runs
+export const METRONOME_CLICK = 'click'; // Synthesized metronome sound - the alternative to an ORG_D drum
+export const MAX_COUNT_IN_BARS = 2; // Longest metronome count-in before playback
 
 // Organya format constants
-export const ORG_FILE_SIGNATURE = 'Org-02';
-export const ORG_VERSION = 2;
+export const ORG_FILE_SIGNATURES = { 1: 'Org-01', 2: 'Org-02', 3: 'Org-03' }; // By format version
+export const ORG_VERSION = 2; // Version written unless another is chosen
+export const ORG_LEGACY_DRUM_COUNT = 12; // Org-01 and Org-02 drum waves; Org-03 adds the rest of ORG_DRUM_WAVES
 export const ORG_MAX_KEY = 95;
 export const ORG_VELOCITY_SCALE = 2; // Convert 0-127 to 0-254 range
 
+// Organya driver tables for authentic playback, per octave 0-7:
+// wave cycle length, frequency multiplier and loop count of a pipi note
+export const ORG_WAVE_SIZES = [256, 256, 128, 128, 64, 32, 16, 8];
+export const ORG_OCTAVE_MULTIPLIERS = [1, 2, 4, 8, 16, 32, 64, 128];
+export const ORG_PIPI_LOOPS = [4, 8, 12, 16, 20, 24, 28, 32];
+export const ORG_FREQUENCY_TABLE = [262, 277, 294, 311, 330, 349, 370, 392, 415, 440, 466, 494]; // C to B
+export const ORG_PAN_TABLE = [0, 43, 86, 129, 172, 215, 256, 297, 340, 383, 426, 469, 512]; // Pan 0-12
+
+// Playback engines - Web Audio voices, or the Organya mixer worklet
+export const ENGINE_MODE_STANDARD = 'standard';
+export const ENGINE_MODE_AUTHENTIC = 'authentic';
+
+// Organya drum wave numbers -> drum samples (kick, snare, closed hat, open hat/cymbal, tom, percussion)
+export const ORG_DRUM_WAVES = [
+    'ORG_D00', // 0 Bass01
+    'ORG_D00', // 1 Bass02
+    'ORG_D01', // 2 Snare01
+    'ORG_D01', // 3 Snare02
+    'ORG_D04', // 4 Tom01
+    'ORG_D02', // 5 HiClose
+    'ORG_D03', // 6 HiOpen
+    'ORG_D03', // 7 Crash
+    'ORG_D05', // 8 Per01
+    'ORG_D05', // 9 Per02
+    'ORG_D00', // 10 Bass03
+    'ORG_D04', // 11 Tom02
+    'ORG_D00', // 12 Bass04
+    'ORG_D00', // 13 Bass05
+    'ORG_D01', // 14 Snare03
+    'ORG_D01', // 15 Snare04
+    'ORG_D02', // 16 HiClose02
+    'ORG_D03', // 17 HiOpen02
+    'ORG_D02', // 18 HiClose03
+    'ORG_D03', // 19 HiOpen03
+    'ORG_D03', // 20 Crash02
+    'ORG_D03', // 21 RevSym01
+    'ORG_D03', // 22 Ride01
+    'ORG_D04', // 23 Tom03
+    'ORG_D04', // 24 Tom04
+    'ORG_D00', // 25 OrcDrum
+    'ORG_D05', // 26 Bell
+    'ORG_D05', // 27 Cat
+    'ORG_D00', // 28 Bass06
+    'ORG_D00', // 29 Bass07
+    'ORG_D01', // 30 Snare05
+    'ORG_D01', // 31 Snare06
+    'ORG_D01', // 32 Snare07
+    'ORG_D04', // 33 Tom05
+    'ORG_D03', // 34 HiOpen04
+    'ORG_D02', // 35 HiClose04
+    'ORG_D01', // 36 Clap01
+    'ORG_D05', // 37 Pesi01
+    'ORG_D05', // 38 Quick01
+    'ORG_D00', // 39 Bass08
+    'ORG_D01', // 40 Snare08
+    'ORG_D02'  // 41 HiClose05
+];
+// Wave written for each drum sample - all within the Org-02 drum set
+export const ORG_DRUM_SAMPLE_WAVES = { ORG_D00: 0, ORG_D01: 2, ORG_D02: 5, ORG_D03: 6, ORG_D04: 4, ORG_D05: 8 };
+
 // Colors
 export const COLORS = {
     background: '#222',
@@ -3,7 +3,16 @@ import { ModalManager } from './ModalManager.js';
 import { MenuManager } from './MenuManager.js';
 import { PanBar } from './PanBar.js';
 import { VelocityBar } from './VelocityBar.js';
-import { DEFAULT_VOLUME, NOTES_PER_OCTAVE } from './constants.js';
+import { TempoBar } from './TempoBar.js';
+import { Ruler } from './Ruler.js';
+import { Tuning, DEFAULT_TUNING } from './Tuning.js';
+import { MeterMap } from './MeterMap.js';
+import { SoundBank } from './SoundBank.js';
+import { WaveformEditor } from './WaveformEditor.js';
+import { Mixer } from './Mixer.js';
+import { Effects, EFFECT_PARAMETERS } from './Effects.js';
+import { Envelopes, ENVELOPE_PARAMETERS } from './Envelopes.js';
+import { DEFAULT_BPM, BEATS_PER_MEASURE, DEFAULT_VOLUME, NOTES_PER_OCTAVE, MIDDLE_C_KEY, ZOOM_STEP, TRANSPOSE_INTERVALS, QUANTIZE_GRIDS, PIANO_KEY_WIDTH, GRID_WIDTH, AUTOMATION_TICKS_PER_BEAT, MIDI_AUDITION_SECONDS, ORG_VERSION, ORG_LEGACY_DRUM_COUNT, DRUM_SAMPLE_PATTERN, DEFAULT_VELOCITY, WAVE_SAMPLES, MASTER_BUS, ENGINE_MODE_STANDARD, ENGINE_MODE_AUTHENTIC, METRONOME_CLICK, GM_DRUM_MAP, ORG_MAX_KEY } from './constants.js';
 
 // Initialize managers
 const modalManager = new ModalManager();
@@ -12,7 +21,11 @@ const menuManager = new MenuManager(modalManager);
 let pianoRoll = null;
 let panBar = null;
 let velocityBar = null;
+let tempoBar = null;
+let ruler = null;
+let waveformEditor = null; // Created the first time the waveform editor opens
 let currentFilename = null;
+let midiDrumMap = { ...GM_DRUM_MAP }; // GM percussion map as edited in the MIDI import dialog, kept between imports
 
 // Update page title based on current file
 function updatePageTitle() {
@@ -34,10 +47,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         updatePlayButton();
     });
     
-    // Initialize pan and velocity bars
+    // Initialize the ruler and the tempo, pan and velocity bars
+    const rulerCanvas = document.getElementById('rulerCanvas');
+    const tempoCanvas = document.getElementById('tempoCanvas');
     const panCanvas = document.getElementById('panCanvas');
     const velocityCanvas = document.getElementById('velocityCanvas');
     
+    if (rulerCanvas) {
+        ruler = new Ruler(rulerCanvas, pianoRoll);
+    }
+    
+    if (tempoCanvas) {
+        tempoBar = new TempoBar(tempoCanvas, pianoRoll);
+    }
+    
     if (panCanvas) {
         panBar = new PanBar(panCanvas, pianoRoll);
     }
@@ -109,7 +132,9 @@ function setupControls() {
     // Loop button
     const loopBtn = document.getElementById('loopBtn');
     loopBtn.addEventListener('click', () => {
-        pianoRoll.loopEnabled = !pianoRoll.loopEnabled;
+        pianoRoll.history.record('Toggle Loop', () => {
+            pianoRoll.loopEnabled = !pianoRoll.loopEnabled;
+        });
         loopBtn.classList.toggle('active', pianoRoll.loopEnabled);
     });
     
@@ -131,7 +156,9 @@ function setupControls() {
     loopStartInput.addEventListener('change', (e) => {
         const value = parseInt(e.target.value) - 1;
         if (value >= 0 && value < pianoRoll.loopEnd) {
-            pianoRoll.loopStart = value;
+            pianoRoll.history.record('Change Loop', () => {
+                pianoRoll.loopStart = value;
+            });
         } else {
             e.target.value = pianoRoll.loopStart + 1;
         }
@@ -140,7 +167,9 @@ function setupControls() {
     loopEndInput.addEventListener('change', (e) => {
         const value = parseInt(e.target.value) - 1;
         if (value > pianoRoll.loopStart && value < pianoRoll.totalMeasures) {
-            pianoRoll.loopEnd = value;
+            pianoRoll.history.record('Change Loop', () => {
+                pianoRoll.loopEnd = value;
+            });
         } else {
             e.target.value = pianoRoll.loopEnd + 1;
         }
@@ -178,8 +207,21 @@ function setupModals() {
     modalManager.register('confirmModal');
     modalManager.register('saveAsModal');
     modalManager.register('trackInfoModal');
+    modalManager.register('mixerModal');
+    modalManager.register('effectsModal');
+    modalManager.register('envelopeModal');
+    modalManager.register('metronomeModal');
     modalManager.register('tuningHelpModal');
     modalManager.register('midiImportModal');
+    modalManager.register('exportAudioModal');
+    modalManager.register('exportOrgModal');
+    modalManager.register('exportMidiModal');
+    modalManager.register('transposeModal');
+    modalManager.register('quantizeModal');
+    modalManager.register('tuningModal');
+    modalManager.register('timeSignatureModal');
+    modalManager.register('soundBankModal');
+    modalManager.register('waveformEditorModal');
 }
 
 /**
@@ -216,12 +258,34 @@ function setupMenus() {
                 id: 'menu-import-midi',
                 handler: () => handleImportMidi()
             },
+            {
+                id: 'menu-export',
+                handler: () => handleExportAudio()
+            },
+            {
+                id: 'menu-export-org',
+                handler: () => handleExportOrg()
+            },
+            {
+                id: 'menu-export-midi',
+                handler: () => handleExportMidi()
+            },
             {
                 id: 'menu-clear-all',
                 handler: () => handleClearAll()
             }
         ],
         edit: [
+            {
+                id: 'menu-undo',
+                handler: () => handleUndo(),
+                shortcut: 'Ctrl+Z'
+            },
+            {
+                id: 'menu-redo',
+                handler: () => handleRedo(),
+                shortcut: 'Ctrl+Shift+Z'
+            },
             {
                 id: 'menu-cut',
                 handler: () => handleCut(),
@@ -254,6 +318,30 @@ function setupMenus() {
             }
         ],
         view: [
+            {
+                id: 'menu-zoom-in',
+                handler: () => pianoRoll.setZoom(pianoRoll.zoomX * ZOOM_STEP),
+                shortcut: 'Ctrl+='
+            },
+            {
+                id: 'menu-zoom-out',
+                handler: () => pianoRoll.setZoom(pianoRoll.zoomX / ZOOM_STEP),
+                shortcut: 'Ctrl+-'
+            },
+            {
+                id: 'menu-zoom-in-pitch',
+                handler: () => pianoRoll.setZoom(pianoRoll.zoomX, pianoRoll.zoomY * ZOOM_STEP)
+            },
+            {
+                id: 'menu-zoom-out-pitch',
+                handler: () => pianoRoll.setZoom(pianoRoll.zoomX, pianoRoll.zoomY / ZOOM_STEP)
+            },
+            {
+                id: 'menu-zoom-reset',
+                // Fine snap mode runs at double horizontal zoom
+                handler: () => pianoRoll.setZoom(pianoRoll.snapMode === 'high-res' ? 2 : 1, 1),
+                shortcut: 'Ctrl+0'
+            },
             {
                 id: 'menu-grid-snap',
                 type: 'checkbox',
@@ -279,18 +367,86 @@ function setupMenus() {
                     pianoRoll.followMode = checked;
                 }
             },
+            {
+                id: 'menu-authentic-mode',
+                type: 'checkbox',
+                checked: false,
+                handler: (checked) => {
+                    pianoRoll.setEngineMode(checked ? ENGINE_MODE_AUTHENTIC : ENGINE_MODE_STANDARD);
+                }
+            },
+            {
+                id: 'menu-play-selection',
+                handler: () => handlePlaySelection(true)
+            },
+            {
+                id: 'menu-play-range',
+                handler: () => handlePlaySelection(false)
+            },
+            {
+                id: 'menu-loop-selection',
+                type: 'checkbox',
+                checked: false,
+                handler: (checked) => {
+                    pianoRoll.loopSelectionPlayback = checked;
+                }
+            },
+            {
+                id: 'menu-metronome',
+                type: 'checkbox',
+                checked: false,
+                handler: (checked) => {
+                    pianoRoll.metronome.setSettings({ enabled: checked });
+                }
+            },
+            {
+                id: 'menu-metronome-settings',
+                handler: () => handleMetronome()
+            },
             {
                 id: 'menu-track-info',
                 handler: () => {
                     const trackData = pianoRoll.buildTrackData();
                     pianoRoll.showTrackInfoModal(trackData);
                 }
+            },
+            {
+                id: 'menu-mixer',
+                handler: () => handleMixer()
+            },
+            {
+                id: 'menu-effects',
+                handler: () => handleEffects()
             }
         ],
         tools: [
             {
                 id: 'menu-clear-all',
                 handler: () => handleClearAll()
+            },
+            {
+                id: 'menu-transpose',
+                handler: () => handleTranspose()
+            },
+            {
+                id: 'menu-quantize',
+                handler: () => handleQuantize()
+            },
+            {
+                id: 'menu-tuning',
+                handler: () => handleTuning()
+            },
+            {
+                id: 'menu-time-signature',
+                handler: () => handleTimeSignature()
+            },
+            {
+                id: 'menu-sound-bank',
+                handler: () => handleSoundBank()
+            },
+            {
+                id: 'menu-waveform-editor',
+                handler: () => handleWaveformEditor()
             }
         ],
         help: [
@@ -308,6 +464,22 @@ function setupMenus() {
     // Register menus
     menuManager.registerMenus(menuConfig);
     
+    // Track information asks for the envelope editor
+    pianoRoll.addEventListener('editEnvelope', (trackName) => handleEnvelope(trackName));
+    
+    // Loaded songs bring their own playback mode
+    pianoRoll.addEventListener('engineModeChange', (mode) => {
+        menuManager.setChecked('menu-authentic-mode', mode === ENGINE_MODE_AUTHENTIC);
+    });
+    
+    // Keep undo/redo menu items in sync with the history
+    pianoRoll.addEventListener('historyChange', ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+        menuManager.setEnabled('menu-undo', canUndo);
+        menuManager.setEnabled('menu-redo', canRedo);
+        document.getElementById('menu-undo').textContent = undoLabel ? `Undo ${undoLabel}` : 'Undo';
+        document.getElementById('menu-redo').textContent = redoLabel ? `Redo ${redoLabel}` : 'Redo';
+    });
+    
     // Setup song menu items
     setupSongMenuItems();
 }
@@ -403,6 +575,15 @@ async function handleNew() {
     if (confirmed) {
         pianoRoll.noteManager.clearAll();
         pianoRoll.stop();
+        pianoRoll.setTempoMap([{ beat: 0, bpm: DEFAULT_BPM }]);
+        pianoRoll.setMeterMap([{ measure: 0, numerator: BEATS_PER_MEASURE, denominator: 4 }]);
+        pianoRoll.history.clear();
+        pianoRoll.setTuning(DEFAULT_TUNING);
+        pianoRoll.setSoundBank(new SoundBank());
+        pianoRoll.setMixer(new Mixer());
+        pianoRoll.setEffects(new Effects());
+        pianoRoll.setEnvelopes(new Envelopes());
+        pianoRoll.setEngineMode(ENGINE_MODE_STANDARD);
         pianoRoll.dirty = true;
         pianoRoll.emit('notesChanged');
         currentFilename = null;
@@ -450,21 +631,15 @@ async function handleImportMidi() {
                 const { MidiParser } = await import('./MidiParser.js');
                 const midiData = MidiParser.parse(buffer);
                 
-                // Count notes per track
-                const trackInfo = new Map();
-                let trackCount = 0;
-                
-                // Analyze tracks to find which have notes
-                midiData.tracks.forEach((track, trackIndex) => {
-                    const noteEvents = track.events.filter(e => e.type === 'noteOn');
-                    if (noteEvents.length > 0) {
-                        trackInfo.set(trackIndex, {
-                            noteCount: noteEvents.length,
-                            channels: [...new Set(noteEvents.map(e => e.channel))]
-                        });
-                        trackCount++;
+                // Settings per part (a track, or one channel of a split track), kept while the list is rebuilt
+                const splitTracks = new Set();
+                const partSettings = new Map();
+                const getSettings = (key) => {
+                    if (!partSettings.has(key)) {
+                        partSettings.set(key, { voice: 'default', octaveShift: -1, excluded: false });
                     }
-                });
+                    return partSettings.get(key);
+                };
                 
                 // Show options modal
                 const modal = document.getElementById('midiImportModal');
@@ -476,7 +651,7 @@ async function handleImportMidi() {
                 // Reset checkbox
                 fineResCheckbox.checked = false;
                 
-                // Add track voice selection UI
+                // Add track selection UI
                 const modalBody = modal.querySelector('.modal-body');
                 let trackSelectionDiv = modal.querySelector('.track-selection');
                 if (!trackSelectionDiv) {
@@ -485,84 +660,264 @@ async function handleImportMidi() {
                     trackSelectionDiv.style.cssText = 'margin-top: 20px; border-top: 1px solid #444; padding-top: 20px;';
                     modalBody.insertBefore(trackSelectionDiv, modalBody.lastElementChild);
                 }
+                let drumMapDiv = modal.querySelector('.drum-map');
+                if (!drumMapDiv) {
+                    drumMapDiv = document.createElement('div');
+                    drumMapDiv.className = 'drum-map';
+                    drumMapDiv.style.cssText = 'margin: 20px 0; border-top: 1px solid #444; padding-top: 20px;';
+                    modalBody.insertBefore(drumMapDiv, modalBody.lastElementChild);
+                }
                 
-                // Build track selection UI
-                if (trackCount > 0) {
-                    trackSelectionDiv.innerHTML = '<h3 style="margin: 0 0 15px 0; font-size: 16px;">Track Voice Assignment</h3>';
-                    const trackList = document.createElement('div');
-                    trackList.style.cssText = 'display: flex; flex-direction: column; gap: 10px; max-height: 200px; overflow-y: auto;';
+                const instrumentOptions = `
+                    <option value="default">Auto-assign</option>
+                    <optgroup label="Common Instruments">
+                        <option value="ORG_M00">00 - Sine Wave / Ocarina</option>
+                        <option value="ORG_M15">15 - Piano</option>
+                        <option value="ORG_M49">49 - Finger Bass (Versatile)</option>
+                        <option value="ORG_M29">29 - Nylon String Guitar</option>
+                        <option value="ORG_M43">43 - Violin</option>
+                        <option value="ORG_M42">42 - Viola</option>
+                        <option value="ORG_M45">45 - Cello / String Ensemble</option>
+                        <option value="ORG_M47">47 - Trumpet / Tuba</option>
+                        <option value="ORG_M58">58 - Trumpet / French Horn</option>
+                        <option value="ORG_M57">57 - Trombone / Brass Section</option>
+                        <option value="ORG_M30">30 - Clarinet</option>
+                        <option value="ORG_M86">86 - Saxophone</option>
+                    </optgroup>
+                    <optgroup label="Keyboards">
+                        <option value="ORG_M08">08 - Electric Piano</option>
+                        <option value="ORG_M09">09 - Electric Piano</option>
+                        <option value="ORG_M28">28 - Electric Piano / Harpsichord</option>
+                        <option value="ORG_M56">56 - Harpsichord</option>
+                        <option value="ORG_M68">68 - Organ</option>
+                        <option value="ORG_M04">04 - Honky-tonk</option>
+                    </optgroup>
+                    <optgroup label="Bass">
+                        <option value="ORG_M06">06 - Acoustic Bass / Choir</option>
+                        <option value="ORG_M07">07 - Fretless Bass</option>
+                        <option value="ORG_M26">26 - Slap Bass</option>
+                        <option value="ORG_M72">72 - Acoustic Bass</option>
+                        <option value="ORG_M91">91 - Acoustic Bass</option>
+                        <option value="ORG_M92">92 - Slap Bass</option>
+                        <option value="ORG_M67">67 - Sawtooth Bass</option>
+                    </optgroup>
+                    <optgroup label="Waveforms">
+                        <option value="ORG_M10">10 - Triangle Wave (NES-like)</option>
+                        <option value="ORG_M20">20 - Square Wave (50% duty)</option>
+                        <option value="ORG_M25">25 - Square Wave (25% duty)</option>
+                        <option value="ORG_M26">26 - Square Wave (12.5% duty)</option>
+                        <option value="ORG_M32">32 - Square Wave (50% duty)</option>
+                        <option value="ORG_M66">66 - Sawtooth Wave</option>
+                        <option value="ORG_M94">94 - Sawtooth</option>
+                        <option value="ORG_M95">95 - Sawtooth</option>
+                    </optgroup>
+                    <optgroup label="Special">
+                        <option value="ORG_M33">33 - Bell (Sharp)</option>
+                        <option value="ORG_M60">60 - Bell</option>
+                        <option value="ORG_M85">85 - Distortion Guitar</option>
+                        <option value="ORG_M34">34 - Electric Jazz Guitar</option>
+                        <option value="ORG_M50">50 - Versatile Lead</option>
+                        <option value="ORG_M99">99 - NES Static Percussion</option>
+                    </optgroup>
+                `;
+                const controlStyle = 'padding: 4px 8px; background: #2a2a2a; color: #ccc; border: 1px solid #444;';
+                const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+                const midiNoteName = (note) => `${noteNames[note % 12]}${Math.floor(note / 12) - 1}`;
+                
+                const buildImportOptions = (onlyKey = null) => ({
+                    splitTracks,
+                    parts: new Map(MidiParser.getTrackParts(midiData, splitTracks).map(part => {
+                        const settings = getSettings(part.key);
+                        return [part.key, {
+                            voice: settings.voice === 'default' ? null : settings.voice,
+                            octaveShift: settings.octaveShift,
+                            excluded: onlyKey !== null ? part.key !== onlyKey : settings.excluded
+                        }];
+                    }))
+                });
+                
+                // Audition plays the start of one part through the audio engine
+                let auditionNotes = [];
+                let auditionKey = null;
+                let auditionTimer = null;
+                const stopAudition = () => {
+                    auditionNotes.forEach(promise => promise.then(note => note && pianoRoll.audioEngine.stopVoice(note)));
+                    auditionNotes = [];
+                    auditionKey = null;
+                    clearTimeout(auditionTimer);
+                    trackSelectionDiv.querySelectorAll('.track-audition').forEach(button => {
+                        button.textContent = '\u25B6';
+                    });
+                };
+                
+                const auditionPart = async (key, button) => {
+                    const wasPlaying = auditionKey === key;
+                    stopAudition();
+                    if (wasPlaying) return;
+                    
+                    const engine = pianoRoll.audioEngine;
+                    await engine.ensureAudioContextRunning();
+                    const { notes, tempoMap } = MidiParser.convertToNotes(midiData, buffer, -1, null, false, buildImportOptions(key), pianoRoll.tuning, midiDrumMap);
+                    if (notes.length === 0) return;
                     
-                    const instrumentOptions = `
-                        <option value="default">Auto-assign</option>
-                        <optgroup label="Common Instruments">
-                            <option value="ORG_M00">00 - Sine Wave / Ocarina</option>
-                            <option value="ORG_M15">15 - Piano</option>
-                            <option value="ORG_M49">49 - Finger Bass (Versatile)</option>
-                            <option value="ORG_M29">29 - Nylon String Guitar</option>
-                            <option value="ORG_M43">43 - Violin</option>
-                            <option value="ORG_M42">42 - Viola</option>
-                            <option value="ORG_M45">45 - Cello / String Ensemble</option>
-                            <option value="ORG_M47">47 - Trumpet / Tuba</option>
-                            <option value="ORG_M58">58 - Trumpet / French Horn</option>
-                            <option value="ORG_M57">57 - Trombone / Brass Section</option>
-                            <option value="ORG_M30">30 - Clarinet</option>
-                            <option value="ORG_M86">86 - Saxophone</option>
-                        </optgroup>
-                        <optgroup label="Keyboards">
-                            <option value="ORG_M08">08 - Electric Piano</option>
-                            <option value="ORG_M09">09 - Electric Piano</option>
-                            <option value="ORG_M28">28 - Electric Piano / Harpsichord</option>
-                            <option value="ORG_M56">56 - Harpsichord</option>
-                            <option value="ORG_M68">68 - Organ</option>
-                            <option value="ORG_M04">04 - Honky-tonk</option>
-                        </optgroup>
-                        <optgroup label="Bass">
-                            <option value="ORG_M06">06 - Acoustic Bass / Choir</option>
-                            <option value="ORG_M07">07 - Fretless Bass</option>
-                            <option value="ORG_M26">26 - Slap Bass</option>
-                            <option value="ORG_M72">72 - Acoustic Bass</option>
-                            <option value="ORG_M91">91 - Acoustic Bass</option>
-                            <option value="ORG_M92">92 - Slap Bass</option>
-                            <option value="ORG_M67">67 - Sawtooth Bass</option>
-                        </optgroup>
-                        <optgroup label="Waveforms">
-                            <option value="ORG_M10">10 - Triangle Wave (NES-like)</option>
-                            <option value="ORG_M20">20 - Square Wave (50% duty)</option>
-                            <option value="ORG_M25">25 - Square Wave (25% duty)</option>
-                            <option value="ORG_M26">26 - Square Wave (12.5% duty)</option>
-                            <option value="ORG_M32">32 - Square Wave (50% duty)</option>
-                            <option value="ORG_M66">66 - Sawtooth Wave</option>
-                            <option value="ORG_M94">94 - Sawtooth</option>
-                            <option value="ORG_M95">95 - Sawtooth</option>
-                        </optgroup>
-                        <optgroup label="Special">
-                            <option value="ORG_M33">33 - Bell (Sharp)</option>
-                            <option value="ORG_M60">60 - Bell</option>
-                            <option value="ORG_M85">85 - Distortion Guitar</option>
-                            <option value="ORG_M34">34 - Electric Jazz Guitar</option>
-                            <option value="ORG_M50">50 - Versatile Lead</option>
-                            <option value="ORG_M99">99 - NES Static Percussion</option>
-                        </optgroup>
-                    `;
+                    auditionKey = key;
+                    button.textContent = '\u25A0';
+                    const offset = tempoMap.beatToTime((notes[0].x - PIANO_KEY_WIDTH) / GRID_WIDTH);
+                    const startTime = engine.audioContext.currentTime + 0.05;
+                    for (const note of notes) {
+                        const beat = (note.x - PIANO_KEY_WIDTH) / GRID_WIDTH;
+                        const time = tempoMap.beatToTime(beat) - offset;
+                        if (time >= MIDI_AUDITION_SECONDS) break;
+                        const duration = tempoMap.getDuration(beat, beat + note.width / GRID_WIDTH);
+                        const tickDuration = 60 / tempoMap.getTempoAt(beat) / AUTOMATION_TICKS_PER_BEAT;
+                        auditionNotes.push(engine.playNote(note.key, note.velocity, note.instrument, false, note.pan,
+                            startTime + time, duration, note.pipi, note.volumeAutomation, note.panAutomation, 0, tickDuration));
+                    }
+                    auditionTimer = setTimeout(stopAudition, MIDI_AUDITION_SECONDS * 1000);
+                };
+                
+                // Build the track list - one row per part, rebuilt when a track is split or joined
+                const renderTrackList = () => {
+                    stopAudition();
+                    const parts = MidiParser.getTrackParts(midiData, splitTracks);
+                    if (parts.length === 0) {
+                        trackSelectionDiv.innerHTML = '';
+                        return;
+                    }
                     
-                    trackInfo.forEach((info, trackIndex) => {
+                    trackSelectionDiv.innerHTML = '<h3 style="margin: 0 0 15px 0; font-size: 16px;">Tracks</h3>';
+                    const trackList = document.createElement('div');
+                    trackList.style.cssText = 'display: flex; flex-direction: column; gap: 10px; max-height: 300px; overflow-y: auto;';
+                    
+                    parts.forEach((part, index) => {
+                        const settings = getSettings(part.key);
+                        const isDrums = part.channels.length === 1 && part.channels[0] === 9;
+                        const program = isDrums ? 'Drums'
+                            : part.program !== null ? MidiParser.getMidiInstrumentName(part.program) : 'No program';
+                        // Multi-channel tracks can be split; the first part of a split track joins it again
+                        const canSplit = part.channels.length > 1 ||
+                            (part.channel !== null && parts[index - 1]?.trackIndex !== part.trackIndex);
+                        const octaveOptions = [-3, -2, -1, 0, 1, 2, 3].map(shift =>
+                            `<option value="${shift}">${shift > 0 ? '+' : ''}${shift} oct</option>`).join('');
+                        
                         const trackItem = document.createElement('div');
-                        trackItem.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+                        trackItem.style.cssText = 'display: flex; align-items: center; gap: 10px; flex-wrap: wrap;';
                         trackItem.innerHTML = `
-                            <label style="flex: 1; color: #ccc;">Track ${trackIndex + 1} (${info.noteCount} notes)</label>
-                            <select class="track-voice-select" data-track="${trackIndex}" style="padding: 4px 8px; background: #2a2a2a; color: #ccc; border: 1px solid #444;">
-                                ${instrumentOptions}
-                            </select>
+                            <input type="checkbox" class="track-include" title="Import this track" ${settings.excluded ? '' : 'checked'}>
+                            <label style="flex: 1; color: #ccc;">
+                                Track ${part.trackIndex + 1}${part.channel !== null ? ` - Channel ${part.channel + 1}` : ''}
+                                <span style="display: block; color: #999; font-size: 12px;">
+                                    ${program} - ${part.noteCount} notes, ${midiNoteName(part.lowNote)} to ${midiNoteName(part.highNote)}
+                                </span>
+                            </label>
+                            ${isDrums
+                                ? '<span style="color: #999; font-size: 12px;">Drum map below</span>'
+                                : `<select class="track-voice-select" style="${controlStyle}">${instrumentOptions}</select>
+                                   <select class="track-octave-select" title="Octave shift" style="${controlStyle}">${octaveOptions}</select>`}
+                            <button class="track-audition" title="Listen to the start of this track" style="${controlStyle}">\u25B6</button>
+                            ${canSplit ? `
+                                <label style="display: flex; align-items: center; gap: 4px; color: #999; font-size: 12px;">
+                                    <input type="checkbox" class="track-split" ${part.channel !== null ? 'checked' : ''}> Split channels
+                                </label>` : ''}
                         `;
+                        
+                        trackItem.querySelector('.track-include').addEventListener('change', (e) => {
+                            settings.excluded = !e.target.checked;
+                        });
+                        const voiceSelect = trackItem.querySelector('.track-voice-select');
+                        const octaveSelect = trackItem.querySelector('.track-octave-select');
+                        if (voiceSelect) {
+                            voiceSelect.value = settings.voice;
+                            voiceSelect.addEventListener('change', () => { settings.voice = voiceSelect.value; });
+                            octaveSelect.value = String(settings.octaveShift);
+                            octaveSelect.addEventListener('change', () => { settings.octaveShift = parseInt(octaveSelect.value); });
+                        }
+                        const auditionBtn = trackItem.querySelector('.track-audition');
+                        auditionBtn.addEventListener('click', () => auditionPart(part.key, auditionBtn));
+                        trackItem.querySelector('.track-split')?.addEventListener('change', (e) => {
+                            if (e.target.checked) {
+                                splitTracks.add(part.trackIndex);
+                            } else {
+                                splitTracks.delete(part.trackIndex);
+                            }
+                            renderTrackList();
+                        });
+                        
                         trackList.appendChild(trackItem);
                     });
                     
                     trackSelectionDiv.appendChild(trackList);
-                } else {
-                    trackSelectionDiv.innerHTML = '';
-                }
+                };
+                renderTrackList();
+                
+                // Drum map - which Organya drum and key each GM percussion note in the file plays
+                // Only built-in drums - an imported song starts without a sound bank
+                const drumSamples = (await pianoRoll.audioEngine.getSampleList()).drumSamples
+                    .filter(sample => sample.startsWith('ORG_'));
+                const renderDrumMap = () => {
+                    const percussionNotes = MidiParser.getPercussionNotes(midiData);
+                    if (percussionNotes.length === 0) {
+                        drumMapDiv.innerHTML = '';
+                        return;
+                    }
+                    
+                    drumMapDiv.innerHTML = `
+                        <div style="display: flex; align-items: center; justify-content: space-between; margin: 0 0 15px 0;">
+                            <h3 style="margin: 0; font-size: 16px;">Drum map</h3>
+                            <button class="drum-map-reset" title="Use the General MIDI drum map again" style="${controlStyle}">Reset</button>
+                        </div>`;
+                    const drumList = document.createElement('div');
+                    drumList.style.cssText = 'display: flex; flex-direction: column; gap: 6px; max-height: 200px; overflow-y: auto;';
+                    
+                    percussionNotes.forEach(midiNote => {
+                        const mapping = MidiParser.getDrumMapping(midiNote, midiDrumMap);
+                        const samples = drumSamples.includes(mapping.instrument) ? drumSamples : [...drumSamples, mapping.instrument];
+                        
+                        const drumItem = document.createElement('div');
+                        drumItem.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+                        drumItem.innerHTML = `
+                            <label style="flex: 1; color: #ccc;">${midiNote} - ${MidiParser.getGmDrumName(midiNote)}</label>
+                            <select class="drum-map-voice" title="Drum" style="${controlStyle}">
+                                ${samples.map(sample => `<option value="${sample}">${pianoRoll.audioEngine.getSampleLabel(sample)}</option>`).join('')}
+                            </select>
+                            <input type="number" class="drum-map-key" title="ORG key (pitch of the drum)" min="0" max="${ORG_MAX_KEY}" step="1" style="width: 60px; ${controlStyle}">
+                            <button class="drum-map-audition" title="Listen to this drum" style="${controlStyle}">\u25B6</button>
+                        `;
+                        
+                        const voiceSelect = drumItem.querySelector('.drum-map-voice');
+                        const keyInput = drumItem.querySelector('.drum-map-key');
+                        voiceSelect.value = mapping.instrument;
+                        keyInput.value = mapping.key;
+                        
+                        // Entries are replaced, never changed in place, so GM_DRUM_MAP stays untouched
+                        const updateMapping = () => {
+                            const key = Math.max(0, Math.min(ORG_MAX_KEY, parseInt(keyInput.value) || 0));
+                            keyInput.value = key;
+                            midiDrumMap = { ...midiDrumMap, [midiNote]: { instrument: voiceSelect.value, key } };
+                        };
+                        voiceSelect.addEventListener('change', updateMapping);
+                        keyInput.addEventListener('change', updateMapping);
+                        
+                        drumItem.querySelector('.drum-map-audition').addEventListener('click', async () => {
+                            const engine = pianoRoll.audioEngine;
+                            await engine.ensureAudioContextRunning();
+                            const drum = MidiParser.mapGmDrum(midiNote, midiDrumMap);
+                            engine.playNote(drum.key, DEFAULT_VELOCITY, drum.instrument);
+                        });
+                        
+                        drumList.appendChild(drumItem);
+                    });
+                    
+                    drumMapDiv.appendChild(drumList);
+                    drumMapDiv.querySelector('.drum-map-reset').addEventListener('click', () => {
+                        midiDrumMap = { ...GM_DRUM_MAP };
+                        renderDrumMap();
+                    });
+                };
+                renderDrumMap();
                 
                 const cleanup = () => {
+                    stopAudition();
                     confirmBtn.removeEventListener('click', handleConfirm);
                     cancelBtn.removeEventListener('click', handleCancel);
                     closeBtn.removeEventListener('click', handleCancel);
@@ -570,22 +925,17 @@ async function handleImportMidi() {
                 
                 const handleConfirm = async () => {
                     const useFineResolution = fineResCheckbox.checked;
-                    
-                    // Collect track voice assignments
-                    const trackVoices = new Map();
-                    modal.querySelectorAll('.track-voice-select').forEach(select => {
-                        const trackIndex = parseInt(select.dataset.track);
-                        const voice = select.value;
-                        if (voice !== 'default') {
-                            trackVoices.set(trackIndex, voice);
-                        }
-                    });
+                    const importOptions = buildImportOptions();
+                    if (Array.from(importOptions.parts.values()).every(part => part.excluded)) {
+                        modalManager.notify('Choose at least one track to import', 'info');
+                        return;
+                    }
                     
                     cleanup();
                     modalManager.close('midiImportModal');
                     
                     try {
-                        await pianoRoll.loadMidiFile(buffer, useFineResolution, trackVoices);
+                        await pianoRoll.loadMidiFile(buffer, useFineResolution, importOptions, midiDrumMap);
                         // Convert to .o46.json extension for saving
                         currentFilename = file.name.replace(/\.(mid|midi)$/i, '.o46.json');
                         updatePageTitle();
@@ -616,34 +966,45 @@ async function handleImportMidi() {
 
 async function handleClearAll() {
     const confirmed = await modalManager.confirm(
-        'Are you sure you want to clear all notes? This cannot be undone.'
+        'Are you sure you want to clear all notes? You can undo this with Ctrl+Z.'
     );
     
     if (confirmed) {
-        pianoRoll.noteManager.clearAll();
         pianoRoll.stop();
         
-        // Reset loop settings
-        pianoRoll.loopEnabled = false;
-        pianoRoll.loopStart = 0;
-        pianoRoll.loopEnd = 4;
-        document.getElementById('loopBtn').classList.remove('active');
-        document.getElementById('loopStartInput').value = 1;
-        document.getElementById('loopEndInput').value = 5;
-        
-        // Reset tempo to default
-        pianoRoll.setTempo(120);
+        pianoRoll.history.record('Clear All', () => {
+            pianoRoll.noteManager.clearAll();
+            
+            // Reset loop settings
+            pianoRoll.loopEnabled = false;
+            pianoRoll.loopStart = 0;
+            pianoRoll.loopEnd = 4;
+            
+            // Reset tempo and time signature to default, dropping any changes
+            pianoRoll.setTempoMap([{ beat: 0, bpm: DEFAULT_BPM }]);
+            pianoRoll.setMeterMap([{ measure: 0, numerator: BEATS_PER_MEASURE, denominator: 4 }]);
+        });
+        pianoRoll.updateLoopControls();
         
         // Clear filename
         pianoRoll.currentFilename = null;
         updatePageTitle();
         pianoRoll.orgTrackInfo = null;
+        pianoRoll.orgHeader = null;
         
         pianoRoll.dirty = true;
         modalManager.notify('New project created', 'info');
     }
 }
 
+function handleUndo() {
+    pianoRoll.history.undo();
+}
+
+function handleRedo() {
+    pianoRoll.history.redo();
+}
+
 function handleCut() {
     pianoRoll.noteManager.cutSelectedNotes();
     pianoRoll.emit('notesChanged');
@@ -683,12 +1044,14 @@ function handleChangeVoice() {
     
     // Change instrument for all selected notes
     let count = 0;
-    for (const note of selectedNotes) {
-        if (note.instrument !== currentInstrument) {
-            note.instrument = currentInstrument;
-            count++;
+    pianoRoll.history.record('Change Voice', () => {
+        for (const note of selectedNotes) {
+            if (note.instrument !== currentInstrument) {
+                note.instrument = currentInstrument;
+                count++;
+            }
         }
-    }
+    });
     
     if (count > 0) {
         pianoRoll.emit('notesChanged');
@@ -700,56 +1063,1108 @@ function handleChangeVoice() {
 }
 
 /**
- * Select all notes of the same pitch class
+ * Show transpose dialog for selected notes, all notes or a single track
  */
-function selectAllPitchClass(event) {
-    // Get the first selected note to determine the pitch class
+function handleTranspose() {
+    const noteManager = pianoRoll.noteManager;
+    if (noteManager.notes.length === 0) {
+        modalManager.notify('No notes to transpose', 'info');
+        return;
+    }
+    
+    const modal = document.getElementById('transposeModal');
+    const scopeSelect = document.getElementById('transposeScope');
+    const intervalSelect = document.getElementById('transposeInterval');
+    const directionSelect = document.getElementById('transposeDirection');
+    const octavesInput = document.getElementById('transposeOctaves');
+    const stepsInput = document.getElementById('transposeSteps');
+    const summary = document.getElementById('transposeSummary');
+    
+    // Build scope options - default to the selection when there is one
+    const selectedCount = noteManager.selectedNotes.size;
+    scopeSelect.innerHTML = '';
+    scopeSelect.add(new Option(`Selected notes (${selectedCount})`, 'selected'));
+    scopeSelect.options[0].disabled = selectedCount === 0;
+    scopeSelect.add(new Option(`All notes (${noteManager.notes.length})`, 'all'));
+    for (const track of pianoRoll.buildTrackData()) {
+        scopeSelect.add(new Option(`Track ${track.name} (${track.notes.length})`, 'track:' + track.name));
+    }
+    scopeSelect.value = selectedCount > 0 ? 'selected' : 'all';
+    
+    // Intervals are listed in 46-EDO steps - use the nearest key of the song's tuning
+    const { tuning } = pianoRoll;
+    intervalSelect.innerHTML = '';
+    intervalSelect.add(new Option('None', '0'));
+    for (const interval of TRANSPOSE_INTERVALS) {
+        const steps = tuning.getStepsForCents(interval.steps * 1200 / NOTES_PER_OCTAVE);
+        intervalSelect.add(new Option(`${interval.name} ≈ ${steps} steps`, String(steps)));
+    }
+    
+    const getTotalSteps = () => {
+        const intervalSteps = parseInt(intervalSelect.value) || 0;
+        const octaves = Math.max(0, parseInt(octavesInput.value) || 0);
+        const steps = Math.max(0, parseInt(stepsInput.value) || 0);
+        return parseInt(directionSelect.value) * (intervalSteps + octaves * tuning.keysPerPeriod + steps);
+    };
+    
+    const updateSummary = () => {
+        const total = getTotalSteps();
+        const cents = tuning.getKeyCents(MIDDLE_C_KEY + total);
+        const centsText = cents === null ? '' : ` (${cents > 0 ? '+' : ''}${cents.toFixed(1)} cents)`;
+        summary.textContent = `Total: ${total > 0 ? '+' : ''}${total} steps${centsText}`;
+    };
+    updateSummary();
+    
+    const inputs = [intervalSelect, directionSelect, octavesInput, stepsInput];
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        inputs.forEach(input => input.removeEventListener('input', updateSummary));
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        const steps = getTotalSteps();
+        const scope = scopeSelect.value;
+        
+        let notes;
+        if (scope === 'selected') {
+            notes = Array.from(noteManager.selectedNotes);
+        } else if (scope === 'all') {
+            notes = noteManager.notes.slice();
+        } else {
+            const instrument = scope.slice('track:'.length);
+            notes = noteManager.notes.filter(note => note.instrument === instrument);
+        }
+        
+        cleanup();
+        modalManager.close('transposeModal');
+        
+        if (steps === 0 || notes.length === 0) return;
+        
+        const clamped = noteManager.transposeNotes(notes, steps);
+        pianoRoll.renderer.markFullRedraw();
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+        
+        let message = `Transposed ${notes.length} note${notes.length > 1 ? 's' : ''} by ${steps > 0 ? '+' : ''}${steps} steps`;
+        if (clamped > 0) {
+            message += ` (${clamped} clamped to the keyboard range)`;
+        }
+        modalManager.notify(message, 'info');
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('transposeModal');
+    };
+    
+    inputs.forEach(input => input.addEventListener('input', updateSummary));
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('transposeModal');
+}
+
+/**
+ * Show quantize dialog for the selected notes
+ */
+function handleQuantize() {
     const selectedNotes = Array.from(pianoRoll.noteManager.selectedNotes);
     if (selectedNotes.length === 0) {
-        modalManager.notify('Select a note first to select all notes of that pitch class', 'info');
+        modalManager.notify('No notes selected. Select notes first to quantize them.', 'info');
         return;
     }
     
-    // Get the pitch class of the first selected note
-    const firstNote = selectedNotes[0];
-    const pitchClass = firstNote.key % NOTES_PER_OCTAVE;
+    const modal = document.getElementById('quantizeModal');
+    const gridSelect = document.getElementById('quantizeGrid');
+    const strengthInput = document.getElementById('quantizeStrength');
+    const swingInput = document.getElementById('quantizeSwing');
+    const startCheckbox = document.getElementById('quantizeStart');
+    const endCheckbox = document.getElementById('quantizeEnd');
     
-    // Clear current selection if not holding shift
-    if (!event.shiftKey) {
-        pianoRoll.noteManager.selectedNotes.clear();
+    // Keep the previous grid choice, defaulting to the current snap resolution
+    const previousGrid = gridSelect.value;
+    gridSelect.innerHTML = '';
+    for (const grid of QUANTIZE_GRIDS) {
+        gridSelect.add(new Option(grid.label, String(grid.subdivisions)));
     }
+    gridSelect.value = previousGrid || (pianoRoll.snapMode === 'high-res' ? '16' : '4');
     
-    // Select all notes with the same pitch class
-    let count = 0;
-    for (const note of pianoRoll.noteManager.notes) {
-        if (note.key % NOTES_PER_OCTAVE === pitchClass) {
-            pianoRoll.noteManager.selectedNotes.add(note);
-            count++;
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        const options = {
+            subdivisions: parseFloat(gridSelect.value),
+            strength: Math.max(0, Math.min(100, parseFloat(strengthInput.value) || 0)),
+            swing: Math.max(0, Math.min(100, parseFloat(swingInput.value) || 0)),
+            start: startCheckbox.checked,
+            end: endCheckbox.checked
+        };
+        
+        if (!options.start && !options.end) {
+            modalManager.notify('Choose note starts and/or note ends to quantize', 'info');
+            return;
         }
-    }
+        
+        cleanup();
+        modalManager.close('quantizeModal');
+        
+        pianoRoll.noteManager.quantizeNotes(selectedNotes, options);
+        pianoRoll.renderer.markFullRedraw();
+        pianoRoll.emit('notesChanged');
+        pianoRoll.dirty = true;
+        modalManager.notify(`Quantized ${selectedNotes.length} note${selectedNotes.length > 1 ? 's' : ''}`, 'info');
+    };
     
-    // Emit selection changed event to trigger proper updates
-    pianoRoll.emit('selectionChanged');
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('quantizeModal');
+    };
     
-    // Force immediate redraw
-    pianoRoll.dirty = true;
-    pianoRoll.renderer.needsRedraw = true;
-    velocityBar.draw();
-    panBar.draw();
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
     
-    modalManager.notify(`Selected ${count} notes of the same pitch class`, 'info');
+    modalManager.show('quantizeModal');
 }
 
-function handleSelectAll() {
-    pianoRoll.noteManager.selectAll();
-    pianoRoll.dirty = true;
+/**
+ * Show tuning dialog - N-EDO or a Scala scale, with an optional keyboard mapping
+ */
+function handleTuning() {
+    const modal = document.getElementById('tuningModal');
+    const sourceSelect = document.getElementById('tuningSource');
+    const edoInput = document.getElementById('tuningEdo');
+    const sclInput = document.getElementById('tuningSclFile');
+    const kbmInput = document.getElementById('tuningKbmFile');
+    const edoOptions = document.getElementById('tuningEdoOptions');
+    const scalaOptions = document.getElementById('tuningScalaOptions');
+    
+    const { tuning } = pianoRoll;
+    document.getElementById('tuningCurrent').textContent = `Current tuning: ${tuning.name}` +
+        (tuning.description && tuning.description !== tuning.name ? ` - ${tuning.description}` : '') +
+        (tuning.keyboard ? ' (with keyboard mapping)' : '');
+    sourceSelect.value = tuning.edo ? 'edo' : 'scala';
+    edoInput.value = tuning.edo || NOTES_PER_OCTAVE;
+    sclInput.value = '';
+    kbmInput.value = '';
+    
+    const updateSource = () => {
+        edoOptions.style.display = sourceSelect.value === 'edo' ? '' : 'none';
+        scalaOptions.style.display = sourceSelect.value === 'scala' ? '' : 'none';
+    };
+    updateSource();
+    
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        sourceSelect.removeEventListener('change', updateSource);
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = async () => {
+        const sclFile = sclInput.files[0];
+        const kbmFile = kbmInput.files[0];
+        if (sourceSelect.value === 'scala' && !sclFile) {
+            modalManager.notify('Choose a .scl file to load', 'info');
+            return;
+        }
+        
+        let newTuning;
+        try {
+            const keyboard = kbmFile ? Tuning.parseKbm(await kbmFile.text()) : null;
+            newTuning = sourceSelect.value === 'edo'
+                ? Tuning.fromEdo(parseInt(edoInput.value), keyboard)
+                : Tuning.fromScala(await sclFile.text(), sclFile.name.replace(/\.scl$/i, ''), keyboard);
+        } catch (error) {
+            modalManager.notify(`Failed to load tuning: ${error.message}`, 'error');
+            return;
+        }
+        
+        cleanup();
+        modalManager.close('tuningModal');
+        
+        pianoRoll.setTuning(newTuning);
+        modalManager.notify(`Tuning set to ${newTuning.name}`, 'info');
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('tuningModal');
+    };
+    
+    sourceSelect.addEventListener('change', updateSource);
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('tuningModal');
 }
 
-
 /**
- * Show keyboard shortcuts
+ * Show time signature dialog - sets the meter from a measure on
  */
-function showShortcuts() {
+function handleTimeSignature() {
+    const modal = document.getElementById('timeSignatureModal');
+    const measureInput = document.getElementById('timeSignatureMeasure');
+    const numeratorInput = document.getElementById('timeSignatureNumerator');
+    const denominatorSelect = document.getElementById('timeSignatureDenominator');
+    const currentText = document.getElementById('timeSignatureCurrent');
+    const removeBtn = document.getElementById('timeSignatureRemove');
+    const { meterMap } = pianoRoll;
+    
+    currentText.textContent = 'Current: ' + meterMap.getMeters()
+        .map(meter => `${MeterMap.format(meter)} at measure ${meter.measure + 1}`)
+        .join(', ');
+    
+    // Start from the measure at the left edge of the view
+    const viewMeasure = Math.max(0, pianoRoll.getMeasureAtX(pianoRoll.scrollX + pianoRoll.pianoKeyWidth));
+    measureInput.value = viewMeasure + 1;
+    
+    const getMeasure = () => Math.max(0, (parseInt(measureInput.value) || 1) - 1);
+    const updateFields = () => {
+        const measure = getMeasure();
+        const meter = meterMap.getMeterAt(measure);
+        numeratorInput.value = meter.numerator;
+        denominatorSelect.value = String(meter.denominator);
+        removeBtn.disabled = measure === 0 || meter.measure !== measure;
+    };
+    updateFields();
+    
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        measureInput.removeEventListener('input', updateFields);
+        confirmBtn.removeEventListener('click', handleConfirm);
+        removeBtn.removeEventListener('click', handleRemove);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        const measure = getMeasure();
+        const meter = MeterMap.parse(`${numeratorInput.value}/${denominatorSelect.value}`);
+        if (!meter || meter.numerator > 32) {
+            modalManager.notify('Beats per measure must be between 1 and 32', 'info');
+            return;
+        }
+        
+        cleanup();
+        modalManager.close('timeSignatureModal');
+        
+        pianoRoll.history.record('Change Time Signature', () => {
+            meterMap.setMeter(measure, meter.numerator, meter.denominator);
+            pianoRoll.updateMeter();
+        });
+        modalManager.notify(`Time signature set to ${MeterMap.format(meter)} from measure ${measure + 1}`, 'info');
+    };
+    
+    const handleRemove = () => {
+        const measure = getMeasure();
+        
+        cleanup();
+        modalManager.close('timeSignatureModal');
+        
+        pianoRoll.history.record('Change Time Signature', () => {
+            meterMap.removeMeter(measure);
+            pianoRoll.updateMeter();
+        });
+        modalManager.notify(`Removed time signature change at measure ${measure + 1}`, 'info');
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('timeSignatureModal');
+    };
+    
+    measureInput.addEventListener('input', updateFields);
+    confirmBtn.addEventListener('click', handleConfirm);
+    removeBtn.addEventListener('click', handleRemove);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('timeSignatureModal');
+}
+
+/**
+ * Show sound bank dialog - drums, waveforms and a wavetable from the user's files
+ */
+function handleSoundBank() {
+    const modal = document.getElementById('soundBankModal');
+    const list = document.getElementById('soundBankList');
+    const drumInput = document.getElementById('soundBankDrumFiles');
+    const waveInput = document.getElementById('soundBankWaveFiles');
+    const wavetableInput = document.getElementById('soundBankWavetableFile');
+    const { audioContext } = pianoRoll.audioEngine;
+    
+    // Edits go to a copy until Apply; sounds that notes use can't be removed
+    const bank = pianoRoll.soundBank.clone();
+    const usedSamples = new Set(pianoRoll.noteManager.notes.map(note => note.instrument));
+    drumInput.value = '';
+    waveInput.value = '';
+    wavetableInput.value = '';
+    
+    const renderList = () => {
+        const rows = [
+            ...(bank.wavetable ? [{ id: null, label: `Wavetable: ${bank.wavetable.name}` }] : []),
+            ...bank.drums.map(drum => ({ id: drum.id, label: `${drum.id.replace('USR_', '')} ${drum.name} (drum)` })),
+            ...bank.waves.map(wave => ({ id: wave.id, label: `${wave.id.replace('USR_', '')} ${wave.name} (waveform)` }))
+        ];
+        document.getElementById('soundBankCurrent').textContent = rows.length > 0
+            ? 'Custom sounds in this song:'
+            : 'No custom sounds - the song uses the built-in ORG sounds.';
+        
+        list.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+            const label = document.createElement('span');
+            label.style.cssText = 'flex: 1; color: #ccc;';
+            label.textContent = row.label;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = row.id ? 'Remove' : 'Use Built-in';
+            removeBtn.disabled = row.id !== null && usedSamples.has(row.id);
+            if (removeBtn.disabled) {
+                removeBtn.title = 'Notes in the song use this sound';
+            }
+            removeBtn.addEventListener('click', () => {
+                if (row.id) {
+                    bank.remove(row.id);
+                } else {
+                    bank.setWavetable(null, null);
+                }
+                renderList();
+            });
+            
+            item.append(label, removeBtn);
+            list.appendChild(item);
+        });
+    };
+    renderList();
+    
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = async () => {
+        const updated = bank.clone();
+        const getName = (file) => file.name.replace(/\.[^.]+$/, '');
+        let fileName = null;
+        try {
+            for (const file of drumInput.files) {
+                fileName = file.name;
+                const data = await file.arrayBuffer();
+                // Make sure the browser can play it before it goes in the song
+                await audioContext.decodeAudioData(data.slice(0));
+                updated.addDrum(getName(file), data);
+            }
+            for (const file of waveInput.files) {
+                fileName = file.name;
+                const data = await file.arrayBuffer();
+                const samples = SoundBank.waveFromBytes(data) ||
+                    SoundBank.waveFromAudioBuffer(await audioContext.decodeAudioData(data.slice(0)));
+                updated.addWave(getName(file), samples);
+            }
+            const wavetableFile = wavetableInput.files[0];
+            if (wavetableFile) {
+                fileName = wavetableFile.name;
+                updated.setWavetable(wavetableFile.name, await wavetableFile.arrayBuffer());
+            }
+        } catch (error) {
+            modalManager.notify(`Failed to load ${fileName}: ${error.message || 'unsupported audio file'}`, 'error');
+            return;
+        }
+        
+        cleanup();
+        modalManager.close('soundBankModal');
+        
+        pianoRoll.setSoundBank(updated);
+        modalManager.notify('Sound bank updated', 'info');
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('soundBankModal');
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('soundBankModal');
+}
+
+/**
+ * Show waveform editor - draw a cycle, build one from harmonics or morph two waves,
+ * then save it as a sound bank voice
+ */
+function handleWaveformEditor() {
+    const modal = document.getElementById('waveformEditorModal');
+    const startSelect = document.getElementById('waveformEditorStart');
+    const morphA = document.getElementById('waveformEditorMorphA');
+    const morphB = document.getElementById('waveformEditorMorphB');
+    const morphAmount = document.getElementById('waveformEditorMorphAmount');
+    const buildBtn = document.getElementById('waveformEditorBuild');
+    const nameInput = document.getElementById('waveformEditorName');
+    const keyButtons = modal.querySelectorAll('.waveform-key');
+    const engine = pianoRoll.audioEngine;
+    // Silence if the wavetable failed to load
+    const getWave = (sampleName) => engine.getWaveSamples(sampleName) || new Int8Array(WAVE_SAMPLES);
+    
+    if (!waveformEditor) {
+        waveformEditor = new WaveformEditor(document.getElementById('waveformEditorCanvas'));
+    }
+    
+    // Every melodic voice can be a starting point or a morph end
+    const waves = [];
+    for (let i = 0; i <= 99; i++) {
+        waves.push(`ORG_M${i.toString().padStart(2, '0')}`);
+    }
+    waves.push(...pianoRoll.soundBank.waves.map(wave => wave.id));
+    const options = waves.map(wave => `<option value="${wave}"></option>`).join('');
+    [startSelect, morphA, morphB].forEach(select => {
+        select.innerHTML = options;
+        select.querySelectorAll('option').forEach(option => {
+            option.textContent = engine.getSampleLabel(option.value);
+        });
+    });
+    
+    // Start from the selected instrument when it's a melodic voice
+    const startWave = waves.includes(pianoRoll.currentSample) ? pianoRoll.currentSample : 'ORG_M00';
+    startSelect.value = startWave;
+    morphA.value = startWave;
+    morphB.value = waves[1];
+    morphAmount.value = 0;
+    nameInput.value = 'Custom wave';
+    waveformEditor.setSamples(getWave(startWave));
+    
+    const loadStart = () => {
+        waveformEditor.setSamples(getWave(startSelect.value));
+    };
+    
+    const updateMorph = () => {
+        waveformEditor.setSamples(WaveformEditor.morph(
+            getWave(morphA.value),
+            getWave(morphB.value),
+            parseInt(morphAmount.value) / 100
+        ));
+    };
+    
+    const buildHarmonics = () => {
+        const amplitudes = Array.from(modal.querySelectorAll('.waveform-harmonic'), input => parseFloat(input.value) || 0);
+        if (amplitudes.every(amplitude => amplitude === 0)) {
+            modalManager.notify('Give at least one harmonic a level', 'info');
+            return;
+        }
+        waveformEditor.setSamples(WaveformEditor.fromHarmonics(amplitudes));
+    };
+    
+    // Audition keys play the wave as drawn right now, for as long as they're held
+    const getKey = (button) => pianoRoll.tuning.keyFromTwelveTone(parseInt(button.dataset.octave), parseInt(button.dataset.semitone));
+    const startAudition = async (e) => {
+        e.preventDefault();
+        const key = getKey(e.currentTarget);
+        await engine.ensureAudioContextRunning();
+        engine.playNote(key, DEFAULT_VELOCITY, engine.setPreviewWave(waveformEditor.getSamples()));
+    };
+    const stopAudition = (e) => {
+        engine.stopNote(getKey(e.currentTarget));
+    };
+    
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        engine.stopAllNotes();
+        startSelect.removeEventListener('change', loadStart);
+        morphA.removeEventListener('change', updateMorph);
+        morphB.removeEventListener('change', updateMorph);
+        morphAmount.removeEventListener('input', updateMorph);
+        buildBtn.removeEventListener('click', buildHarmonics);
+        keyButtons.forEach(button => {
+            button.removeEventListener('mousedown', startAudition);
+            button.removeEventListener('mouseup', stopAudition);
+            button.removeEventListener('mouseleave', stopAudition);
+        });
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        const name = nameInput.value.trim();
+        if (!name) return;
+        
+        const bank = pianoRoll.soundBank.clone();
+        let id;
+        try {
+            id = bank.addWave(name, waveformEditor.getSamples());
+        } catch (error) {
+            modalManager.notify(error.message, 'error');
+            return;
+        }
+        
+        cleanup();
+        modalManager.close('waveformEditorModal');
+        
+        // Switch to the new voice so it can be drawn with straight away
+        pianoRoll.currentSample = id;
+        pianoRoll.setSoundBank(bank);
+        pianoRoll.updateInstrumentColorIndicator();
+        modalManager.notify(`Saved ${name} as ${id.replace('USR_', '')}`, 'info');
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('waveformEditorModal');
+    };
+    
+    startSelect.addEventListener('change', loadStart);
+    morphA.addEventListener('change', updateMorph);
+    morphB.addEventListener('change', updateMorph);
+    morphAmount.addEventListener('input', updateMorph);
+    buildBtn.addEventListener('click', buildHarmonics);
+    keyButtons.forEach(button => {
+        button.addEventListener('mousedown', startAudition);
+        button.addEventListener('mouseup', stopAudition);
+        button.addEventListener('mouseleave', stopAudition);
+    });
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('waveformEditorModal');
+}
+
+/**
+ * Show mixer - a channel strip per instrument with volume, pan, mute, solo and a level meter
+ */
+function handleMixer() {
+    const stripsEl = document.getElementById('mixerStrips');
+    const engine = pianoRoll.audioEngine;
+    const tracks = pianoRoll.buildTrackData();
+    const meters = new Map(); // Meter canvas and held peak per instrument
+    let animationFrame = null;
+    
+    const formatPan = (pan) => pan === 0 ? 'C' : `${Math.abs(pan)}${pan < 0 ? 'L' : 'R'}`;
+    
+    // Rebuilt when solo or mute change, since solo on one strip changes the others
+    const render = () => {
+        stripsEl.innerHTML = '';
+        meters.clear();
+        
+        if (tracks.length === 0) {
+            stripsEl.innerHTML = '<p style="color: #999;">No tracks - add some notes first</p>';
+            return;
+        }
+        
+        tracks.forEach(track => {
+            const channel = pianoRoll.mixer.getChannel(track.name);
+            const audible = pianoRoll.mixer.isAudible(track.name);
+            const hasEffects = Object.values(pianoRoll.effects.getChain(track.name)).some(effect => effect.enabled);
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
+            strip.style.opacity = audible ? '' : '0.6';
+            strip.innerHTML = `
+                <div class="track-color" style="background-color: ${track.color.note}; border-color: ${track.color.border}"></div>
+                <div class="mixer-strip-name" title="${track.name}">${engine.getSampleLabel(track.name)}</div>
+                <div class="mixer-fader">
+                    <canvas class="mixer-meter" width="10" height="140"></canvas>
+                    <input type="range" class="mixer-volume" min="0" max="150" value="${channel.volume}" title="Volume">
+                </div>
+                <div class="mixer-value mixer-volume-value">${channel.volume}%</div>
+                <input type="range" class="mixer-pan" min="-100" max="100" value="${channel.pan}" title="Pan (double-click to centre)">
+                <div class="mixer-value mixer-pan-value">${formatPan(channel.pan)}</div>
+                <div class="track-controls">
+                    <button class="track-btn track-mute ${channel.mute ? 'muted' : ''}" title="${channel.mute ? 'Unmute track' : 'Mute track'}">M</button>
+                    <button class="track-btn track-solo ${channel.solo ? 'active' : ''}" title="${channel.solo ? 'Unsolo track' : 'Solo track'}">S</button>
+                    <button class="track-btn mixer-fx ${hasEffects ? 'active' : ''}" title="Effects">FX</button>
+                </div>
+            `;
+            
+            const volumeInput = strip.querySelector('.mixer-volume');
+            volumeInput.addEventListener('input', () => {
+                pianoRoll.mixer.setChannel(track.name, { volume: parseInt(volumeInput.value) });
+                engine.updateMixer();
+                strip.querySelector('.mixer-volume-value').textContent = `${volumeInput.value}%`;
+            });
+            
+            const panInput = strip.querySelector('.mixer-pan');
+            const setPan = (pan) => {
+                panInput.value = pan;
+                pianoRoll.mixer.setChannel(track.name, { pan });
+                engine.updateMixer();
+                strip.querySelector('.mixer-pan-value').textContent = formatPan(pan);
+            };
+            panInput.addEventListener('input', () => setPan(parseInt(panInput.value)));
+            panInput.addEventListener('dblclick', () => setPan(0));
+            
+            strip.querySelector('.track-mute').addEventListener('click', () => {
+                pianoRoll.toggleTrackMute(track.name);
+                render();
+            });
+            strip.querySelector('.track-solo').addEventListener('click', () => {
+                pianoRoll.toggleTrackSolo(track.name);
+                render();
+            });
+            strip.querySelector('.mixer-fx').addEventListener('click', () => handleEffects(track.name));
+            
+            meters.set(track.name, { canvas: strip.querySelector('.mixer-meter'), peakHold: 0 });
+            stripsEl.appendChild(strip);
+        });
+    };
+    
+    // Meters show RMS as a bar and the peak as a line, from -60 dB to 0 dB
+    const levelToHeight = (level, height) => {
+        const db = 20 * Math.log10(Math.max(level, 1e-6));
+        return Math.max(0, Math.min(1, (db + 60) / 60)) * height;
+    };
+    const drawMeters = () => {
+        for (const [name, meter] of meters) {
+            const { peak, rms } = engine.getChannelLevel(name);
+            const { width, height } = meter.canvas;
+            const ctx = meter.canvas.getContext('2d');
+            
+            // Peaks fall back slowly so they can be read
+            meter.peakHold = Math.max(peak, meter.peakHold * 0.95);
+            
+            ctx.fillStyle = '#111';
+            ctx.fillRect(0, 0, width, height);
+            const rmsHeight = levelToHeight(rms, height);
+            ctx.fillStyle = rms >= 0.5 ? '#ff8800' : '#4caf50';
+            ctx.fillRect(0, height - rmsHeight, width, rmsHeight);
+            const peakY = height - levelToHeight(meter.peakHold, height);
+            ctx.fillStyle = meter.peakHold >= 1 ? '#f44336' : '#e0e0e0';
+            ctx.fillRect(0, Math.min(height - 2, peakY), width, 2);
+        }
+        animationFrame = requestAnimationFrame(drawMeters);
+    };
+    
+    render();
+    drawMeters();
+    modalManager.show('mixerModal').then(() => {
+        cancelAnimationFrame(animationFrame);
+        meters.clear();
+    });
+}
+
+// Effects dialog - labels and formatting of each effect parameter
+const EFFECT_LABELS = {
+    filter: 'Low-pass Filter',
+    bitcrusher: 'Bitcrusher',
+    delay: 'Delay',
+    reverb: 'Reverb'
+};
+const EFFECT_PARAMETER_LABELS = {
+    frequency: { label: 'Cutoff', format: value => value >= 1000 ? `${(value / 1000).toFixed(1)} kHz` : `${Math.round(value)} Hz` },
+    resonance: { label: 'Resonance', step: 0.1, format: value => value.toFixed(1) },
+    bits: { label: 'Bit depth', step: 1, format: value => `${value} bit` },
+    downsample: { label: 'Downsample', step: 1, format: value => `${value}x` },
+    beats: { label: 'Time' },
+    feedback: { label: 'Feedback', step: 1, format: value => `${value}%` },
+    mix: { label: 'Mix', step: 1, format: value => `${value}%` },
+    decay: { label: 'Decay', step: 0.1, format: value => `${value.toFixed(1)} s` }
+};
+const DELAY_DIVISIONS = [
+    { beats: 0.125, label: '1/32' },
+    { beats: 0.25, label: '1/16' },
+    { beats: 0.5, label: '1/8' },
+    { beats: 0.75, label: 'Dotted 1/8' },
+    { beats: 1, label: '1/4' },
+    { beats: 1.5, label: 'Dotted 1/4' },
+    { beats: 2, label: '1/2' },
+    { beats: 4, label: '1/1' }
+];
+
+/**
+ * Show effects - the insert chain of an instrument or the master bus, applied as it is edited
+ * @param {string} target - Instrument name, or MASTER_BUS
+ */
+function handleEffects(target = MASTER_BUS) {
+    const targetSelect = document.getElementById('effectsTarget');
+    const panel = document.getElementById('effectsPanel');
+    const doneBtn = document.querySelector('#effectsModal .save-as-confirm');
+    const engine = pianoRoll.audioEngine;
+    
+    targetSelect.innerHTML = '';
+    targetSelect.add(new Option('Master bus', MASTER_BUS));
+    pianoRoll.buildTrackData().forEach(track => {
+        targetSelect.add(new Option(engine.getSampleLabel(track.name), track.name));
+    });
+    targetSelect.value = target;
+    
+    const setEffect = (effect, changes) => {
+        pianoRoll.effects.setEffect(targetSelect.value, effect, changes);
+        engine.updateEffects();
+        pianoRoll.emit('effectsChange', pianoRoll.effects);
+    };
+    
+    // The cutoff slider is logarithmic, so each octave gets the same travel
+    const { min: minFrequency, max: maxFrequency } = EFFECT_PARAMETERS.filter.frequency;
+    const toSlider = (frequency) => Math.round(Math.log(frequency / minFrequency) / Math.log(maxFrequency / minFrequency) * 1000);
+    const fromSlider = (position) => Math.round(minFrequency * Math.pow(maxFrequency / minFrequency, position / 1000));
+    
+    const render = () => {
+        const chain = pianoRoll.effects.getChain(targetSelect.value);
+        panel.innerHTML = '';
+        
+        for (const [effect, parameters] of Object.entries(EFFECT_PARAMETERS)) {
+            const settings = chain[effect];
+            const block = document.createElement('div');
+            block.className = `effect-block ${settings.enabled ? '' : 'disabled'}`;
+            
+            const header = document.createElement('label');
+            header.className = 'effect-header';
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = settings.enabled;
+            toggle.addEventListener('change', () => {
+                setEffect(effect, { enabled: toggle.checked });
+                block.classList.toggle('disabled', !toggle.checked);
+            });
+            header.append(toggle, EFFECT_LABELS[effect]);
+            if (effect === 'bitcrusher' && !engine.workletsLoaded) {
+                header.append(' (not supported by this browser)');
+                toggle.disabled = true;
+            }
+            block.appendChild(header);
+            
+            for (const [name, range] of Object.entries(parameters)) {
+                const { label, step, format } = EFFECT_PARAMETER_LABELS[name];
+                const row = document.createElement('div');
+                row.className = 'effect-param';
+                row.innerHTML = `<span>${label}</span>`;
+                const valueText = document.createElement('span');
+                valueText.className = 'effect-param-value';
+                
+                if (name === 'beats') {
+                    // Delay time as a note length
+                    const select = document.createElement('select');
+                    DELAY_DIVISIONS.forEach(division => select.add(new Option(division.label, division.beats)));
+                    if (!DELAY_DIVISIONS.some(division => division.beats === settings.beats)) {
+                        select.add(new Option(`${settings.beats} beats`, settings.beats));
+                    }
+                    select.value = settings.beats;
+                    select.addEventListener('change', () => setEffect(effect, { beats: parseFloat(select.value) }));
+                    row.append(select, valueText);
+                } else {
+                    const input = document.createElement('input');
+                    input.type = 'range';
+                    if (name === 'frequency') {
+                        input.min = 0;
+                        input.max = 1000;
+                        input.value = toSlider(settings.frequency);
+                    } else {
+                        input.min = range.min;
+                        input.max = range.max;
+                        input.step = step;
+                        input.value = settings[name];
+                    }
+                    valueText.textContent = format(settings[name]);
+                    input.addEventListener('input', () => {
+                        const value = name === 'frequency' ? fromSlider(parseInt(input.value)) : parseFloat(input.value);
+                        setEffect(effect, { [name]: value });
+                        valueText.textContent = format(value);
+                    });
+                    input.addEventListener('dblclick', () => {
+                        setEffect(effect, { [name]: range.default });
+                        render();
+                    });
+                    row.append(input, valueText);
+                }
+                block.appendChild(row);
+            }
+            panel.appendChild(block);
+        }
+    };
+    
+    const cleanup = () => {
+        targetSelect.removeEventListener('change', render);
+        doneBtn.removeEventListener('click', handleDone);
+    };
+    
+    const handleDone = () => {
+        cleanup();
+        modalManager.close('effectsModal');
+    };
+    
+    targetSelect.addEventListener('change', render);
+    doneBtn.addEventListener('click', handleDone);
+    
+    render();
+    modalManager.show('effectsModal').then(cleanup);
+}
+
+// Envelope dialog - labels of each envelope parameter
+const ENVELOPE_LABELS = {
+    attack: { label: 'Attack', format: value => `${value} ms` },
+    decay: { label: 'Decay', format: value => `${value} ms` },
+    sustain: { label: 'Sustain', format: value => `${value}%` },
+    release: { label: 'Release', format: value => `${value} ms` }
+};
+
+/**
+ * Show the envelope of a melodic instrument, applied as it is edited
+ * @param {string} trackName - Instrument name
+ */
+function handleEnvelope(trackName) {
+    const enabledInput = document.getElementById('envelopeEnabled');
+    const paramsEl = document.getElementById('envelopeParams');
+    const canvas = document.getElementById('envelopeCanvas');
+    const doneBtn = document.querySelector('#envelopeModal .save-as-confirm');
+    
+    document.getElementById('envelopeTrack').textContent = pianoRoll.audioEngine.getSampleLabel(trackName);
+    
+    // Attack, decay, a stretch of sustain and the release, each to scale
+    const drawEnvelope = () => {
+        const envelope = pianoRoll.envelopes.getEnvelope(trackName);
+        const { width, height } = canvas;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+        
+        const top = 8;
+        const levelY = (level) => height - 4 - level * (height - 4 - top);
+        ctx.strokeStyle = envelope.enabled ? '#4a9eff' : '#666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (envelope.enabled) {
+            const hold = 500; // Sustain shown for half a second
+            const total = envelope.attack + envelope.decay + hold + envelope.release;
+            const x = (ms) => ms / total * width;
+            const sustainY = levelY(envelope.sustain / 100);
+            ctx.moveTo(0, levelY(0));
+            ctx.lineTo(x(envelope.attack), levelY(1));
+            ctx.lineTo(x(envelope.attack + envelope.decay), sustainY);
+            ctx.lineTo(x(envelope.attack + envelope.decay + hold), sustainY);
+            ctx.lineTo(width, levelY(0));
+        } else {
+            // Organya gating - on at the start, off at the end
+            ctx.moveTo(0, levelY(0));
+            ctx.lineTo(0, levelY(1));
+            ctx.lineTo(width, levelY(1));
+            ctx.lineTo(width, levelY(0));
+        }
+        ctx.stroke();
+    };
+    
+    const setEnvelope = (changes) => {
+        pianoRoll.envelopes.setEnvelope(trackName, changes);
+        pianoRoll.emit('envelopesChange', pianoRoll.envelopes);
+        drawEnvelope();
+    };
+    
+    const render = () => {
+        const envelope = pianoRoll.envelopes.getEnvelope(trackName);
+        enabledInput.checked = envelope.enabled;
+        paramsEl.innerHTML = '';
+        
+        for (const [name, range] of Object.entries(ENVELOPE_PARAMETERS)) {
+            const { label, format } = ENVELOPE_LABELS[name];
+            const row = document.createElement('div');
+            row.className = 'effect-param';
+            row.style.opacity = envelope.enabled ? '' : '0.5';
+            row.innerHTML = `<span>${label}</span>`;
+            
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = range.min;
+            input.max = range.max;
+            input.value = envelope[name];
+            input.disabled = !envelope.enabled;
+            const valueText = document.createElement('span');
+            valueText.className = 'effect-param-value';
+            valueText.textContent = format(envelope[name]);
+            
+            input.addEventListener('input', () => {
+                setEnvelope({ [name]: parseInt(input.value) });
+                valueText.textContent = format(parseInt(input.value));
+            });
+            input.addEventListener('dblclick', () => {
+                setEnvelope({ [name]: range.default });
+                render();
+            });
+            
+            row.append(input, valueText);
+            paramsEl.appendChild(row);
+        }
+        drawEnvelope();
+    };
+    
+    const handleToggle = () => {
+        setEnvelope({ enabled: enabledInput.checked });
+        render();
+    };
+    
+    const cleanup = () => {
+        enabledInput.removeEventListener('change', handleToggle);
+        doneBtn.removeEventListener('click', handleDone);
+    };
+    
+    const handleDone = () => {
+        cleanup();
+        modalManager.close('envelopeModal');
+    };
+    
+    enabledInput.addEventListener('change', handleToggle);
+    doneBtn.addEventListener('click', handleDone);
+    
+    render();
+    modalManager.show('envelopeModal').then(cleanup);
+}
+
+/**
+ * Metronome settings - sound, volume and count-in
+ */
+async function handleMetronome() {
+    const metronome = pianoRoll.metronome;
+    const enabledInput = document.getElementById('metronomeEnabled');
+    const soundSelect = document.getElementById('metronomeSound');
+    const volumeInput = document.getElementById('metronomeVolume');
+    const volumeValue = document.getElementById('metronomeVolumeValue');
+    const countInSelect = document.getElementById('metronomeCountIn');
+    const doneBtn = document.querySelector('#metronomeModal .save-as-confirm');
+    
+    // The synthesized click, then the Organya drums
+    const { drumSamples } = await pianoRoll.audioEngine.getSampleList();
+    soundSelect.innerHTML = '';
+    soundSelect.add(new Option('Click', METRONOME_CLICK));
+    drumSamples.filter(name => name.startsWith('ORG_D')).forEach(name => {
+        soundSelect.add(new Option(pianoRoll.audioEngine.getSampleLabel(name), name));
+    });
+    
+    const settings = metronome.getSettings();
+    enabledInput.checked = settings.enabled;
+    soundSelect.value = settings.sound;
+    volumeInput.value = settings.volume;
+    volumeValue.textContent = `${settings.volume}%`;
+    countInSelect.value = settings.countIn;
+    
+    const handleEnabled = () => {
+        metronome.setSettings({ enabled: enabledInput.checked });
+        menuManager.setChecked('menu-metronome', enabledInput.checked);
+    };
+    const handleSound = () => metronome.setSettings({ sound: soundSelect.value });
+    const handleVolume = () => {
+        metronome.setSettings({ volume: parseInt(volumeInput.value) });
+        volumeValue.textContent = `${volumeInput.value}%`;
+    };
+    const handleCountIn = () => metronome.setSettings({ countIn: parseInt(countInSelect.value) });
+    
+    const cleanup = () => {
+        enabledInput.removeEventListener('change', handleEnabled);
+        soundSelect.removeEventListener('change', handleSound);
+        volumeInput.removeEventListener('input', handleVolume);
+        countInSelect.removeEventListener('change', handleCountIn);
+        doneBtn.removeEventListener('click', handleDone);
+    };
+    
+    const handleDone = () => {
+        cleanup();
+        modalManager.close('metronomeModal');
+    };
+    
+    enabledInput.addEventListener('change', handleEnabled);
+    soundSelect.addEventListener('change', handleSound);
+    volumeInput.addEventListener('input', handleVolume);
+    countInSelect.addEventListener('change', handleCountIn);
+    doneBtn.addEventListener('click', handleDone);
+    
+    modalManager.show('metronomeModal').then(cleanup);
+}
+
+/**
+ * Select all notes of the same pitch class
+ */
+function selectAllPitchClass(event) {
+    // Get the first selected note to determine the pitch class
+    const selectedNotes = Array.from(pianoRoll.noteManager.selectedNotes);
+    if (selectedNotes.length === 0) {
+        modalManager.notify('Select a note first to select all notes of that pitch class', 'info');
+        return;
+    }
+    
+    // Get the pitch class of the first selected note
+    const firstNote = selectedNotes[0];
+    const pitchClass = pianoRoll.tuning.getPitchClass(firstNote.key);
+    
+    // Clear current selection if not holding shift
+    if (!event.shiftKey) {
+        pianoRoll.noteManager.selectedNotes.clear();
+    }
+    
+    // Select all notes with the same pitch class
+    let count = 0;
+    for (const note of pianoRoll.noteManager.notes) {
+        if (pianoRoll.tuning.getPitchClass(note.key) === pitchClass) {
+            pianoRoll.noteManager.selectedNotes.add(note);
+            count++;
+        }
+    }
+    
+    // Emit selection changed event to trigger proper updates
+    pianoRoll.emit('selectionChanged');
+    
+    // Force immediate redraw
+    pianoRoll.dirty = true;
+    pianoRoll.renderer.needsRedraw = true;
+    velocityBar.draw();
+    panBar.draw();
+    
+    modalManager.notify(`Selected ${count} notes of the same pitch class`, 'info');
+}
+
+function handleSelectAll() {
+    pianoRoll.noteManager.selectAll();
+    pianoRoll.dirty = true;
+}
+
+/**
+ * Play Selection / Play Range - the same shortcut again stops it
+ * @param {boolean} selectedOnly - Only the selected notes, rather than everything in their span
+ */
+async function handlePlaySelection(selectedOnly) {
+    if (pianoRoll.playRange && pianoRoll.isPlaying) {
+        pianoRoll.stop();
+    } else if (!await pianoRoll.playSelection(selectedOnly)) {
+        modalManager.notify('Select some notes to play first', 'info');
+    }
+    updatePlayButton();
+}
+
+
+/**
+ * Show keyboard shortcuts
+ */
+function showShortcuts() {
     const shortcuts = `
 <div class="shortcuts-container">
     <div class="shortcut-section">
@@ -762,6 +2177,14 @@ function showShortcuts() {
             <span class="shortcut-key">Shift+Space</span>
             <span class="shortcut-desc">Play from current position</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Space</span>
+            <span class="shortcut-desc">Play selection (selected notes only)</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Shift+Space</span>
+            <span class="shortcut-desc">Play range (all notes across the selection)</span>
+        </div>
         <div class="shortcut-item">
             <span class="shortcut-key">Enter</span>
             <span class="shortcut-desc">Stop and return to start</span>
@@ -782,6 +2205,14 @@ function showShortcuts() {
 
     <div class="shortcut-section">
         <h3>Selection & Editing</h3>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Z</span>
+            <span class="shortcut-desc">Undo</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Shift+Z</span>
+            <span class="shortcut-desc">Redo</span>
+        </div>
         <div class="shortcut-item">
             <span class="shortcut-key">Ctrl+A</span>
             <span class="shortcut-desc">Select all notes</span>
@@ -846,6 +2277,22 @@ function showShortcuts() {
             <span class="shortcut-key">Shift+Wheel</span>
             <span class="shortcut-desc">Scroll horizontally</span>
         </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Wheel / Ctrl+= / Ctrl+-</span>
+            <span class="shortcut-desc">Zoom time</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+Shift+Wheel</span>
+            <span class="shortcut-desc">Zoom pitch</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Pinch</span>
+            <span class="shortcut-desc">Zoom (horizontal and vertical spread)</span>
+        </div>
+        <div class="shortcut-item">
+            <span class="shortcut-key">Ctrl+0</span>
+            <span class="shortcut-desc">Reset zoom</span>
+        </div>
         <div class="shortcut-item">
             <span class="shortcut-key">Home</span>
             <span class="shortcut-desc">Go to beginning</span>
@@ -973,6 +2420,245 @@ function downloadSong(filename) {
     modalManager.notify('Song saved', 'info');
 }
 
+/**
+ * Export song as an Organya (.org) file
+ */
+function handleExportOrg() {
+    const input = document.getElementById('exportOrgFilename');
+    const baseName = currentFilename ? currentFilename.replace(/(\.o46)?\.json$/i, '') : 'song';
+    input.value = baseName + '.org';
+    
+    // ORG only has 12-tone keys, so warn about microtonal notes
+    const microtonalCount = pianoRoll.noteManager.notes
+        .filter(note => !DRUM_SAMPLE_PATTERN.test(note.instrument) && pianoRoll.tuning.getTwelveTone(note.key).distance !== 0).length;
+    let exportNote = microtonalCount > 0
+        ? `${microtonalCount} microtonal note${microtonalCount > 1 ? 's' : ''} will be rounded to the nearest 12-tone key.`
+        : 'All notes are on 12-tone keys.';
+    // ORG has a single tempo
+    if (pianoRoll.tempoMap.hasChanges()) {
+        exportNote += ` Tempo changes are dropped; the song plays at ${pianoRoll.currentBPM} BPM.`;
+    }
+    // ORG can only name its own waves and drums
+    const bankNoteCount = pianoRoll.noteManager.notes.filter(note => note.instrument.startsWith('USR_')).length;
+    if (bankNoteCount > 0) {
+        exportNote += ` ${bankNoteCount} note${bankNoteCount > 1 ? 's use' : ' uses'} sound bank sounds, written as M00 or the first drum.`;
+    }
+    
+    // Older versions lose pipi and the extended drum waves
+    const versionSelect = document.getElementById('exportOrgVersion');
+    versionSelect.value = String(pianoRoll.orgHeader?.version || ORG_VERSION);
+    const hasPipi = pianoRoll.noteManager.notes.some(note => note.pipi && !DRUM_SAMPLE_PATTERN.test(note.instrument));
+    const hasExtendedDrums = (pianoRoll.orgTrackInfo || [])
+        .some((track, index) => index >= 8 && track.noteCount > 0 && track.instrument >= ORG_LEGACY_DRUM_COUNT);
+    const updateNote = () => {
+        const version = parseInt(versionSelect.value);
+        let versionNote = '';
+        if (version === 1 && hasPipi) {
+            versionNote += ' Org-01 has no pipi, so pipi notes will ring out.';
+        }
+        if (version < 3 && hasExtendedDrums) {
+            versionNote += ' Org-03 drums will be replaced with the closest Org-02 drum.';
+        }
+        document.getElementById('exportOrgNote').textContent = exportNote + versionNote;
+    };
+    updateNote();
+    
+    const modal = document.getElementById('exportOrgModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        versionSelect.removeEventListener('change', updateNote);
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        let filename = input.value.trim();
+        if (!filename) return;
+        if (!filename.toLowerCase().endsWith('.org')) {
+            filename += '.org';
+        }
+        
+        cleanup();
+        modalManager.close('exportOrgModal');
+        
+        try {
+            const { blob, skippedNotes } = pianoRoll.exportToOrg(parseInt(versionSelect.value));
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            
+            URL.revokeObjectURL(url);
+            if (skippedNotes > 0) {
+                modalManager.notify(`Org exported, but ${skippedNotes} overlapping note${skippedNotes > 1 ? 's' : ''} didn't fit in the 16 ORG tracks`, 'error');
+            } else {
+                modalManager.notify('Org exported', 'info');
+            }
+        } catch (error) {
+            modalManager.notify('Failed to export Org: ' + error.message, 'error');
+        }
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('exportOrgModal');
+    };
+    
+    versionSelect.addEventListener('change', updateNote);
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('exportOrgModal');
+    input.focus();
+    input.select();
+}
+
+/**
+ * Export song as a Standard MIDI File with pitch bends for the 46-EDO tuning
+ */
+function handleExportMidi() {
+    const input = document.getElementById('exportMidiFilename');
+    const modeSelect = document.getElementById('exportMidiMode');
+    const baseName = currentFilename ? currentFilename.replace(/(\.o46)?\.json$/i, '') : 'song';
+    input.value = baseName + '.mid';
+    
+    const modal = document.getElementById('exportMidiModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+    
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+    
+    const handleConfirm = () => {
+        let filename = input.value.trim();
+        if (!filename) return;
+        if (!/\.midi?$/i.test(filename)) {
+            filename += '.mid';
+        }
+        
+        cleanup();
+        modalManager.close('exportMidiModal');
+        
+        try {
+            const blob = pianoRoll.exportToMidi(modeSelect.value);
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            
+            URL.revokeObjectURL(url);
+            modalManager.notify('MIDI exported', 'info');
+        } catch (error) {
+            modalManager.notify('Failed to export MIDI: ' + error.message, 'error');
+        }
+    };
+    
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('exportMidiModal');
+    };
+    
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+    
+    modalManager.show('exportMidiModal');
+    input.focus();
+    input.select();
+}
+
+/**
+ * Render song to a WAV file with export options dialog
+ */
+function handleExportAudio() {
+    const input = document.getElementById('exportAudioFilename');
+    const loopCountInput = document.getElementById('exportAudioLoopCount');
+    const fadeOutInput = document.getElementById('exportAudioFadeOut');
+    const baseName = currentFilename ? currentFilename.replace(/(\.o46)?\.json$/i, '') : 'song';
+    input.value = baseName + '.wav';
+
+    // Loop count and fade-out only apply when the loop is enabled
+    loopCountInput.disabled = !pianoRoll.loopEnabled;
+    fadeOutInput.disabled = !pianoRoll.loopEnabled;
+    document.getElementById('exportAudioLoopNote').textContent = pianoRoll.loopEnabled
+        ? `Measures ${pianoRoll.loopStart + 1}-${pianoRoll.loopEnd} will repeat, then fade out.`
+        : 'Loop is disabled - the song will be rendered once to the last note.';
+
+    // Set up event handlers
+    const modal = document.getElementById('exportAudioModal');
+    const confirmBtn = modal.querySelector('.save-as-confirm');
+    const cancelBtn = modal.querySelector('.save-as-cancel');
+    const closeBtn = modal.querySelector('.modal-close');
+
+    const cleanup = () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+        cancelBtn.removeEventListener('click', handleCancel);
+        closeBtn.removeEventListener('click', handleCancel);
+    };
+
+    const handleConfirm = async () => {
+        let filename = input.value.trim();
+        if (!filename) return;
+        if (!filename.toLowerCase().endsWith('.wav')) {
+            filename += '.wav';
+        }
+
+        const loopCount = Math.max(1, parseInt(loopCountInput.value) || 1);
+        const fadeOut = Math.max(0, parseFloat(fadeOutInput.value) || 0);
+
+        cleanup();
+        modalManager.close('exportAudioModal');
+        modalManager.notify('Rendering audio...', 'info', 2000);
+
+        try {
+            const blob = await pianoRoll.renderAudio({ loopCount, fadeOut });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+            modalManager.notify('Audio exported', 'info');
+        } catch (error) {
+            modalManager.notify('Failed to export audio: ' + error.message, 'error');
+        }
+    };
+
+    const handleCancel = () => {
+        cleanup();
+        modalManager.close('exportAudioModal');
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+    closeBtn.addEventListener('click', handleCancel);
+
+    modalManager.show('exportAudioModal');
+    input.focus();
+    input.select();
+}
+
 /**
  * Open file dialog to load song
  */
@@ -1164,7 +2850,10 @@ document.addEventListener('keydown', (e) => {
     // Playback shortcuts
     if (e.code === 'Space') {
         e.preventDefault();
-        if (e.shiftKey) {
+        if (e.ctrlKey) {
+            // Ctrl+Space: Play Selection, Ctrl+Shift+Space: Play Range
+            handlePlaySelection(!e.shiftKey);
+        } else if (e.shiftKey) {
             // Shift+Space: Play from current position
             pianoRoll.playFromCurrentPosition();
         } else {